@@ -0,0 +1,449 @@
+/**
+ * Command-Line Argument Parser Module
+ *
+ * Parses the arguments passed to the downloader on the command line into
+ * a plain options object consumed by the application entry point.
+ *
+ * @module argParser
+ * @requires configLoader
+ * @requires dateUtils
+ */
+
+const { coerceSetting } = require("../config/configLoader");
+const { parseDate } = require("../utils/dateUtils");
+
+/**
+ * Usage text printed by `--help`
+ * @constant {string}
+ */
+const HELP_TEXT = `Usage: node index.js [options] [url...]
+       node index.js config show [options]
+       node index.js verify [path...]
+       node index.js serve [options]
+       node index.js watch <dir> [options]
+
+Download TikTok videos and photo posts.
+
+Arguments:
+  url                     One or more TikTok post, profile, hashtag, sound or
+                          collection URLs
+
+Commands:
+  config show             Print the effective settings and where each came from
+  verify [path...]        Check downloaded files against the hash index and
+                          read back their embedded metadata (default: the
+                          output directories)
+  serve                   Run an HTTP server that queues downloads submitted
+                          to its REST API
+  watch <dir>             Download the links of .txt files dropped into <dir>,
+                          then move each file to <dir>/done or <dir>/failed
+                          with a report
+
+Options:
+      --config <file>     Read settings from <file> instead of the user-level
+                          and project config files
+  -i, --input <file>      Read newline-separated URLs from <file> ("-" for stdin)
+  -o, --output <dir>      Save videos, images and soundtracks to <dir>
+  -c, --concurrency <n>   URLs processed in parallel (default: 3)
+  -r, --rate <n>          tiktok.com requests allowed per rate interval (default: 1)
+      --rate-interval <ms>
+                          Rate limit interval in milliseconds (default: 2000)
+  -d, --delay <ms>        Pause between URLs in milliseconds (default: 0)
+      --media-concurrency <n>
+                          Parallel media downloads from the CDN (default: 4)
+      --retries <n>       Retries for timeouts, 5xx, 429 and resets (default: 3)
+      --download-archive <file>
+                          Skip posts listed in <file> and record new downloads
+      --force             Download posts even if they are in the archive
+      --rebuild-archive   Add posts found in the output directories to the archive
+      --video-template <tpl>
+                          Filename template for videos
+                          (default: {author}_video_{date:DDMMYYYY}_{id}.{ext})
+      --image-template <tpl>
+                          Filename template for images
+                          (default: {author}_image_{date:DDMMYYYY}_{id}_{index}.{ext})
+      --on-collision <rename|overwrite|skip>
+                          What to do when a filename is taken (default: rename)
+      --dedupe <link|skip|off>
+                          What to do with a video or image identical to one
+                          already saved: hard-link it to that file, drop it,
+                          or keep the copy (default: link)
+      --quality <best|worst|height>
+                          Video variant to download: highest, lowest, or the
+                          best at or below a resolution such as 720 (default: best)
+      --codec <h264|h265|any>
+                          Video codec to download (default: any)
+      --video-extractors <list>
+                          Comma-separated extractors to try for videos
+                          (default: rehydration,sigi-state,next-data,api,oembed)
+      --photo-extractors <list>
+                          Comma-separated extractors to try for photo posts
+                          (default: rehydration,sigi-state,next-data,api,oembed)
+      --audio             Also save each post's soundtrack as .mp3/.m4a
+      --audio-only        Save only the soundtrack, no video or images
+      --audio-template <tpl>
+                          Filename template for soundtracks
+                          (default: {author}_audio_{date:DDMMYYYY}_{id}.{ext})
+      --write-info-json   Write <file>.info.json with the full post metadata
+      --comments          Write <file>.comments.json with the post's comments
+                          and their replies
+      --max-comments <n>  Export at most <n> comments and replies per post
+                          (default: 500)
+      --subs <langs>      Download caption tracks in these comma-separated
+                          languages (e.g. en,es), or "all"
+      --sub-format <vtt|srt>
+                          Subtitle file format (default: vtt)
+      --write-caption     Write <file>.txt with the post caption
+      --slideshow         Also render photo posts into an MP4 slideshow with
+                          their soundtrack (needs the ffmpeg-static package)
+      --slide-duration <s>
+                          Seconds each photo is shown (default: 3)
+      --slideshow-size <WxH>
+                          Slideshow resolution; photos are letterboxed to fit
+                          (default: 1080x1920)
+      --no-embed-metadata Do not embed the caption, author, date and source in
+                          downloaded videos and JPEG images
+      --report <file>     Write a per-URL run report to <file>
+      --report-format <json|csv>
+                          Report format (default: from the file extension)
+      --videos-only       Only download video posts
+      --photos-only       Only download photo posts
+      --date-after <date> Only take listed posts uploaded on or after <date>
+                          (YYYY-MM-DD or YYYYMMDD)
+      --date-before <date>
+                          Only take listed posts uploaded on or before <date>
+      --max-count <n>     Take at most <n> posts from each profile, hashtag,
+                          sound or collection
+      --break-on-existing Stop reading a list at its first archived post
+      --host <address>    Address the server listens on (default: 127.0.0.1)
+      --port <n>          Port the server listens on (default: 8080)
+      --job-store <file>  File keeping the server's jobs
+                          (default: ./tiktok-dl-jobs.json)
+  -h, --help              Show this help and exit
+
+Template fields:
+  {author} {nickname} {id} {type} {ext} {index}
+  {date:<pattern>}        YYYY, YY, MM, DD, HH, mm, ss (e.g. {date:YYYY-MM-DD})
+  {desc:<n>}              Caption, truncated to n characters
+  Use "/" for folders, e.g. "{author}/{date:YYYY}/"
+
+Configuration:
+  Settings are read from ~/.config/tiktok-dl/config.json, then
+  ./tiktok-dl.config.json, then TIKTOK_DL_* environment variables
+  (e.g. TIKTOK_DL_VIDEO_DIR), then command-line flags.
+
+Exit codes:
+  0  every URL was processed successfully
+  1  at least one URL failed
+  2  invalid command-line usage`;
+
+/**
+ * Options that expect a value, keyed by every accepted spelling
+ * @constant {Object<string, string>}
+ * @private
+ */
+const VALUE_OPTIONS = {
+    "-i": "input",
+    "--input": "input",
+    "-o": "output",
+    "--output": "output",
+    "-d": "delay",
+    "--delay": "delay",
+    "-c": "concurrency",
+    "--concurrency": "concurrency",
+    "-r": "rate",
+    "--rate": "rate",
+    "--rate-interval": "rateInterval",
+    "--media-concurrency": "mediaConcurrency",
+    "--retries": "retries",
+    "--download-archive": "downloadArchive",
+    "--report": "report",
+    "--report-format": "reportFormat",
+    "--video-template": "videoTemplate",
+    "--image-template": "imageTemplate",
+    "--on-collision": "onCollision",
+    "--dedupe": "dedupe",
+    "--config": "config",
+    "--video-extractors": "videoExtractors",
+    "--photo-extractors": "photoExtractors",
+    "--audio-template": "audioTemplate",
+    "--quality": "quality",
+    "--codec": "codec",
+    "--date-after": "dateAfter",
+    "--date-before": "dateBefore",
+    "--max-count": "maxCount",
+    "--max-comments": "maxComments",
+    "--subs": "subs",
+    "--sub-format": "subFormat",
+    "--slide-duration": "slideDuration",
+    "--slideshow-size": "slideshowSize",
+    "--host": "serverHost",
+    "--port": "serverPort",
+    "--job-store": "jobStore",
+};
+
+/**
+ * Boolean flags, keyed by every accepted spelling
+ * @constant {Object<string, string>}
+ * @private
+ */
+const FLAG_OPTIONS = {
+    "-h": "help",
+    "--help": "help",
+    "--videos-only": "videosOnly",
+    "--photos-only": "photosOnly",
+    "--force": "force",
+    "--rebuild-archive": "rebuildArchive",
+    "--write-info-json": "writeInfoJson",
+    "--comments": "comments",
+    "--write-caption": "writeCaption",
+    "--slideshow": "slideshow",
+    "--no-embed-metadata": "noEmbedMetadata",
+    "--audio": "audio",
+    "--audio-only": "audioOnly",
+    "--break-on-existing": "breakOnExisting",
+};
+
+/**
+ * Subcommands recognised as the first positional argument
+ * @constant {string[]}
+ * @private
+ */
+const COMMANDS = ["config", "verify", "serve", "watch"];
+
+/**
+ * Parses command-line arguments into an options object
+ *
+ * Supports `--name value`, `--name=value` and `-n value` forms. Everything
+ * that is not an option, as well as everything after a bare `--`, is
+ * treated as a URL, unless the first positional argument names a command.
+ * Values that map to settings are validated with the same rules as config
+ * files; options that were not given are left undefined or null so they do
+ * not override lower configuration layers.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Object} Parsed options containing:
+ *   - command: Subcommand name, or null when downloading
+ *   - commandArgs: Positional arguments after the subcommand
+ *   - urls: Positional URLs
+ *   - config: Path of an explicit config file, or null
+ *   - input: Path of a URL list file, or "-" for stdin
+ *   - output: Output directory override
+ *   - concurrency: URLs processed in parallel
+ *   - rate: tiktok.com requests allowed per rate interval
+ *   - rateInterval: Rate limit interval in milliseconds
+ *   - delay: Pause between URLs in milliseconds
+ *   - mediaConcurrency: Parallel CDN media downloads
+ *   - retries: Retries for transient network errors
+ *   - downloadArchive: Path of the download archive file, or null
+ *   - force: Whether archived posts are downloaded again
+ *   - rebuildArchive: Whether to rebuild the archive from existing files
+ *   - writeInfoJson: Whether to write `.info.json` metadata sidecars
+ *   - comments: Whether to write `.comments.json` comment sidecars
+ *   - maxComments: Maximum number of comments exported per post
+ *   - subs: Caption languages to download, or null
+ *   - subFormat: "vtt", "srt" or null
+ *   - writeCaption: Whether to write `.txt` caption sidecars
+ *   - slideshow: Whether photo posts are rendered into slideshows
+ *   - slideDuration: Seconds each slideshow photo is shown, or undefined
+ *   - slideshowSize: Slideshow resolution as "WIDTHxHEIGHT", or null
+ *   - embedMetadata: false to not embed metadata tags, or null
+ *   - report: Path of the run report, or null
+ *   - reportFormat: "json", "csv" or null
+ *   - videoTemplate: Filename template for videos, or null
+ *   - imageTemplate: Filename template for images, or null
+ *   - audioTemplate: Filename template for soundtracks, or null
+ *   - audio: Soundtrack mode, "also", "only" or null
+ *   - onCollision: "rename", "overwrite", "skip" or null
+ *   - dedupe: "link", "skip", "off" or null
+ *   - quality: "best", "worst", a resolution such as 720, or null
+ *   - codec: "h264", "h265", "any" or null
+ *   - videoExtractors: Extractor names for videos, or null
+ *   - photoExtractors: Extractor names for photo posts, or null
+ *   - only: "video", "photo" or null
+ *   - dateAfter: Earliest listed post upload date as given, or null
+ *   - dateBefore: Latest listed post upload date as given, or null
+ *   - maxCount: Maximum number of posts per list, or null
+ *   - breakOnExisting: Whether reading a list stops at the first archived post
+ *   - serverHost: Address the HTTP server listens on, or null
+ *   - serverPort: Port the HTTP server listens on, or undefined
+ *   - jobStore: Path of the HTTP server's job store, or null
+ *   - help: Whether usage should be printed
+ * @throws {Error} If an option is unknown, missing its value, or invalid
+ *
+ * @example
+ * parseArgs(["-o", "downloads", "https://www.tiktok.com/@user/video/123"]);
+ * // => { urls: ["https://..."], output: "downloads", delay: undefined, ... }
+ */
+const parseArgs = (argv) => {
+    const raw = {};
+    const urls = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === "--") {
+            urls.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith("-") || arg === "-") {
+            urls.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.startsWith("--")
+            ? splitInlineValue(arg)
+            : [arg, undefined];
+
+        if (FLAG_OPTIONS[name]) {
+            if (inlineValue !== undefined) {
+                throw new Error(`Option ${name} does not take a value`);
+            }
+            raw[FLAG_OPTIONS[name]] = true;
+        } else if (VALUE_OPTIONS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Option ${name} requires a value`);
+            }
+            raw[VALUE_OPTIONS[name]] = value;
+        } else {
+            throw new Error(`Unknown option: ${name}`);
+        }
+    }
+
+    if (raw.videosOnly && raw.photosOnly) {
+        throw new Error("--videos-only and --photos-only cannot be combined");
+    }
+    if (raw.audio && raw.audioOnly) {
+        throw new Error("--audio and --audio-only cannot be combined");
+    }
+    if (raw.slideshow && raw.audioOnly) {
+        throw new Error("--slideshow and --audio-only cannot be combined");
+    }
+
+    const command = COMMANDS.includes(urls[0]) ? urls.shift() : null;
+
+    return {
+        command,
+        commandArgs: command ? urls.splice(0) : [],
+        urls,
+        config: raw.config || null,
+        input: raw.input || null,
+        output: raw.output || null,
+        concurrency: readSetting(raw, "concurrency"),
+        rate: readSetting(raw, "rate"),
+        rateInterval: readSetting(raw, "rateInterval"),
+        delay: readSetting(raw, "delay"),
+        mediaConcurrency: readSetting(raw, "mediaConcurrency"),
+        retries: readSetting(raw, "retries"),
+        downloadArchive: raw.downloadArchive || null,
+        force: Boolean(raw.force),
+        rebuildArchive: Boolean(raw.rebuildArchive),
+        writeInfoJson: Boolean(raw.writeInfoJson),
+        comments: Boolean(raw.comments),
+        maxComments: readSetting(raw, "maxComments"),
+        subs: readSetting(raw, "subs") || null,
+        subFormat: readSetting(raw, "subFormat") || null,
+        writeCaption: Boolean(raw.writeCaption),
+        slideshow: Boolean(raw.slideshow),
+        slideDuration: readSetting(raw, "slideDuration"),
+        slideshowSize: readSetting(raw, "slideshowSize") || null,
+        embedMetadata: raw.noEmbedMetadata ? false : null,
+        report: raw.report || null,
+        reportFormat: readSetting(raw, "reportFormat") || null,
+        videoTemplate: readSetting(raw, "videoTemplate") || null,
+        imageTemplate: readSetting(raw, "imageTemplate") || null,
+        audioTemplate: readSetting(raw, "audioTemplate") || null,
+        audio: raw.audioOnly ? "only" : raw.audio ? "also" : null,
+        onCollision: readSetting(raw, "onCollision") || null,
+        dedupe: readSetting(raw, "dedupe") || null,
+        quality: readSetting(raw, "quality") || null,
+        codec: readSetting(raw, "codec") || null,
+        videoExtractors: readSetting(raw, "videoExtractors") || null,
+        photoExtractors: readSetting(raw, "photoExtractors") || null,
+        only: raw.videosOnly ? "video" : raw.photosOnly ? "photo" : null,
+        dateAfter: readDate(raw, "dateAfter", "--date-after"),
+        dateBefore: readDate(raw, "dateBefore", "--date-before"),
+        maxCount: readCount(raw, "maxCount", "--max-count"),
+        breakOnExisting: Boolean(raw.breakOnExisting),
+        serverHost: raw.serverHost || null,
+        serverPort: readSetting(raw, "serverPort"),
+        jobStore: raw.jobStore || null,
+        help: Boolean(raw.help),
+    };
+};
+
+/**
+ * Reads an optional option that maps to a setting, validating it against
+ * the settings schema
+ *
+ * @param {Object} raw - Raw option values keyed by option name
+ * @param {string} name - Option and setting name
+ * @returns {*} The validated value, or undefined if not given
+ * @throws {Error} If the value is invalid for the setting
+ * @private
+ */
+const readSetting = (raw, name) => {
+    if (raw[name] === undefined) return undefined;
+    return coerceSetting(name, raw[name], "command line", true);
+};
+
+/**
+ * Reads an optional date option
+ *
+ * @param {Object} raw - Raw option values keyed by option name
+ * @param {string} name - Option name
+ * @param {string} flag - Option spelling, used in error messages
+ * @returns {string|null} The date as given, or null if not given
+ * @throws {Error} If the value is not a valid `YYYY-MM-DD` or `YYYYMMDD` date
+ * @private
+ */
+const readDate = (raw, name, flag) => {
+    if (raw[name] === undefined) return null;
+    if (parseDate(raw[name]) === null) {
+        throw new Error(
+            `Invalid value for ${flag}: expected YYYY-MM-DD or YYYYMMDD, got "${raw[name]}"`
+        );
+    }
+    return raw[name];
+};
+
+/**
+ * Reads an optional positive integer option
+ *
+ * @param {Object} raw - Raw option values keyed by option name
+ * @param {string} name - Option name
+ * @param {string} flag - Option spelling, used in error messages
+ * @returns {number|null} The number, or null if not given
+ * @throws {Error} If the value is not a positive integer
+ * @private
+ */
+const readCount = (raw, name, flag) => {
+    if (raw[name] === undefined) return null;
+    const count = Number(raw[name]);
+    if (!/^\d+$/.test(raw[name]) || count < 1) {
+        throw new Error(
+            `Invalid value for ${flag}: expected an integer >= 1, got "${raw[name]}"`
+        );
+    }
+    return count;
+};
+
+/**
+ * Splits a `--name=value` argument into its name and value
+ *
+ * @param {string} arg - Long option argument
+ * @returns {Array<string|undefined>} Tuple of option name and inline value
+ * @private
+ */
+const splitInlineValue = (arg) => {
+    const index = arg.indexOf("=");
+    if (index === -1) return [arg, undefined];
+    return [arg.slice(0, index), arg.slice(index + 1)];
+};
+
+module.exports = {
+    HELP_TEXT,
+    parseArgs,
+};
@@ -0,0 +1,66 @@
+/**
+ * Input Reader Module
+ *
+ * Reads lists of TikTok URLs from files or standard input so that batches
+ * can be passed to the downloader without editing any source code.
+ *
+ * @module inputReader
+ * @requires fs
+ */
+
+const fs = require("fs");
+
+/**
+ * Splits text into a list of URLs
+ *
+ * One URL per line. Blank lines and lines starting with `#` are ignored,
+ * surrounding whitespace is trimmed.
+ *
+ * @param {string} text - Raw newline-separated text
+ * @returns {string[]} URLs in their original order
+ */
+const parseUrlList = (text) =>
+    text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"));
+
+/**
+ * Reads all data from standard input
+ *
+ * @async
+ * @returns {Promise<string>} Everything written to stdin, decoded as UTF-8
+ * @private
+ */
+const readStdin = () =>
+    new Promise((resolve, reject) => {
+        let data = "";
+        process.stdin.setEncoding("utf8");
+        process.stdin.on("data", (chunk) => (data += chunk));
+        process.stdin.on("end", () => resolve(data));
+        process.stdin.on("error", reject);
+    });
+
+/**
+ * Reads a newline-separated list of URLs from a file or stdin
+ *
+ * @async
+ * @param {string} source - Path to the list file, or "-" to read stdin
+ * @returns {Promise<string[]>} URLs read from the source
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * const urls = await readUrlList("links.txt");
+ */
+const readUrlList = async (source) => {
+    const text =
+        source === "-"
+            ? await readStdin()
+            : await fs.promises.readFile(source, "utf8");
+    return parseUrlList(text);
+};
+
+module.exports = {
+    parseUrlList,
+    readUrlList,
+};
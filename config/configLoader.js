@@ -0,0 +1,505 @@
+/**
+ * Configuration Loader Module
+ *
+ * Builds the effective settings of the downloader from several layers, each
+ * overriding the one before it:
+ * 1. Built-in defaults (see the constants module)
+ * 2. The user-level config file (`~/.config/tiktok-dl/config.json`)
+ * 3. The project config file (`tiktok-dl.config.json` in the working directory),
+ *    or the file passed with `--config` / `TIKTOK_DL_CONFIG` instead of both
+ * 4. Environment variables (`TIKTOK_DL_<SETTING>`, e.g. `TIKTOK_DL_VIDEO_DIR`)
+ * 5. Command-line flags
+ *
+ * Every value is validated against the settings schema, and errors name the
+ * layer the bad value came from. Services read the loaded settings through
+ * {@link getConfig}, which falls back to the defaults when nothing was loaded.
+ *
+ * @module configLoader
+ * @requires constants
+ * @requires templateUtils
+ * @requires fileUtils
+ * @requires reportService
+ * @requires hashIndexService
+ * @requires variantSelector
+ * @requires subtitleUtils
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    USER_AGENT,
+    MOBILE_USER_AGENT,
+    API_URL,
+    WEB_API_URL,
+    VIDEO_DIR,
+    IMAGE_DIR,
+    AUDIO_DIR,
+    VIDEO_TEMPLATE,
+    IMAGE_TEMPLATE,
+    AUDIO_TEMPLATE,
+    VIDEO_EXTRACTORS,
+    PHOTO_EXTRACTORS,
+    VIDEO_QUALITY,
+    VIDEO_CODEC,
+    SLIDE_DURATION,
+    SLIDESHOW_SIZE,
+    SERVER_HOST,
+    SERVER_PORT,
+    JOB_STORE,
+} = require("./constants");
+const { validateTemplate } = require("../utils/templateUtils");
+const { COLLISION_POLICIES } = require("../utils/fileUtils");
+const { REPORT_FORMATS } = require("../services/reportService");
+const { DEDUPE_MODES } = require("../services/hashIndexService");
+const {
+    CODECS,
+    QUALITY_PRESETS,
+    parseQuality,
+} = require("../extractors/variantSelector");
+const {
+    SUBTITLE_FORMATS,
+    LANGUAGE_REGEX,
+} = require("../utils/subtitleUtils");
+
+/**
+ * Name of the project config file looked up in the working directory
+ * @constant {string}
+ */
+const PROJECT_CONFIG_FILE = "tiktok-dl.config.json";
+
+/**
+ * Prefix of the environment variables that override settings
+ * @constant {string}
+ */
+const ENV_PREFIX = "TIKTOK_DL_";
+
+/**
+ * Soundtrack modes: no audio, audio next to the video or images, or audio only
+ * @constant {string[]}
+ */
+const AUDIO_MODES = ["off", "also", "only"];
+
+/**
+ * Settings schema: type, constraints and built-in default of every setting
+ * @constant {Object<string, Object>}
+ */
+const SETTINGS = {
+    videoDir: { type: "string", default: VIDEO_DIR },
+    imageDir: { type: "string", default: IMAGE_DIR },
+    audioDir: { type: "string", default: AUDIO_DIR },
+    videoTemplate: { type: "template", default: VIDEO_TEMPLATE },
+    imageTemplate: { type: "template", default: IMAGE_TEMPLATE },
+    audioTemplate: { type: "template", default: AUDIO_TEMPLATE },
+    audio: { type: "enum", values: AUDIO_MODES, default: "off" },
+    onCollision: { type: "enum", values: COLLISION_POLICIES, default: "rename" },
+    dedupe: { type: "enum", values: DEDUPE_MODES, default: "link" },
+    quality: { type: "quality", default: VIDEO_QUALITY },
+    codec: { type: "enum", values: CODECS, default: VIDEO_CODEC },
+    concurrency: { type: "integer", min: 1, default: 3 },
+    rate: { type: "integer", min: 1, default: 1 },
+    rateInterval: { type: "integer", min: 1, default: 2000 },
+    delay: { type: "integer", min: 0, default: 0 },
+    mediaConcurrency: { type: "integer", min: 1, default: 4 },
+    retries: { type: "integer", min: 0, default: 3 },
+    downloadArchive: { type: "string", nullable: true, default: null },
+    writeInfoJson: { type: "boolean", default: false },
+    comments: { type: "boolean", default: false },
+    maxComments: { type: "integer", min: 1, default: 500 },
+    subs: { type: "languages", nullable: true, default: null },
+    subFormat: { type: "enum", values: SUBTITLE_FORMATS, default: "vtt" },
+    writeCaption: { type: "boolean", default: false },
+    slideshow: { type: "boolean", default: false },
+    slideDuration: { type: "number", min: 0.5, default: SLIDE_DURATION },
+    slideshowSize: { type: "size", default: SLIDESHOW_SIZE },
+    embedMetadata: { type: "boolean", default: true },
+    reportFormat: {
+        type: "enum",
+        values: REPORT_FORMATS,
+        nullable: true,
+        default: null,
+    },
+    videoExtractors: {
+        type: "list",
+        values: VIDEO_EXTRACTORS,
+        default: VIDEO_EXTRACTORS,
+    },
+    photoExtractors: {
+        type: "list",
+        values: PHOTO_EXTRACTORS,
+        default: PHOTO_EXTRACTORS,
+    },
+    userAgent: { type: "string", default: USER_AGENT },
+    mobileUserAgent: { type: "string", default: MOBILE_USER_AGENT },
+    apiUrl: { type: "url", default: API_URL },
+    webApiUrl: { type: "url", default: WEB_API_URL },
+    serverHost: { type: "string", default: SERVER_HOST },
+    serverPort: { type: "integer", min: 1, default: SERVER_PORT },
+    jobStore: { type: "string", default: JOB_STORE },
+};
+
+/**
+ * Accepted spellings of boolean values in environment variables
+ * @constant {Object<string, boolean>}
+ * @private
+ */
+const BOOLEAN_STRINGS = {
+    1: true,
+    true: true,
+    yes: true,
+    on: true,
+    0: false,
+    false: false,
+    no: false,
+    off: false,
+};
+
+/**
+ * Settings currently in effect, or null until {@link loadConfig} runs
+ * @type {Object|null}
+ * @private
+ */
+let activeConfig = null;
+
+/**
+ * Returns the built-in default of every setting
+ *
+ * @returns {Object} Default settings
+ */
+const getDefaults = () =>
+    Object.fromEntries(
+        Object.entries(SETTINGS).map(([key, spec]) => [key, spec.default])
+    );
+
+/**
+ * Returns the environment variable name of a setting
+ *
+ * @param {string} key - Setting name, e.g. "videoDir"
+ * @returns {string} Variable name, e.g. "TIKTOK_DL_VIDEO_DIR"
+ *
+ * @example
+ * toEnvName("mediaConcurrency"); // "TIKTOK_DL_MEDIA_CONCURRENCY"
+ */
+const toEnvName = (key) =>
+    ENV_PREFIX + key.replace(/([A-Z])/g, "_$1").toUpperCase();
+
+/**
+ * Validates a setting value and converts it to the setting's type
+ *
+ * Values from config files must already have the right JSON type; values
+ * from environment variables and the command line are strings and are
+ * converted first (lists are comma-separated).
+ *
+ * @param {string} key - Setting name
+ * @param {*} value - Raw value
+ * @param {string} source - Where the value came from, used in error messages
+ * @param {boolean} [fromString=false] - Whether the value is an unparsed string
+ * @returns {*} Validated value
+ * @throws {Error} If the setting is unknown or the value is invalid
+ *
+ * @example
+ * coerceSetting("concurrency", "5", "command line", true); // 5
+ * coerceSetting("concurrency", 0, "tiktok-dl.config.json");
+ * // Error: Invalid value for "concurrency" in tiktok-dl.config.json: expected an integer >= 1, got 0
+ */
+const coerceSetting = (key, value, source, fromString = false) => {
+    const spec = SETTINGS[key];
+    if (!spec) {
+        throw new Error(
+            `Unknown setting "${key}" in ${source} (known settings: ${Object.keys(
+                SETTINGS
+            ).join(", ")})`
+        );
+    }
+
+    const fail = (expected) => {
+        throw new Error(
+            `Invalid value for "${key}" in ${source}: expected ${expected}, got ${JSON.stringify(
+                value
+            )}`
+        );
+    };
+
+    if (value === null && spec.nullable) return null;
+
+    switch (spec.type) {
+        case "integer": {
+            const number =
+                fromString && typeof value === "string" && value.trim() !== ""
+                    ? Number(value)
+                    : value;
+            if (!Number.isInteger(number) || number < spec.min) {
+                fail(`an integer >= ${spec.min}`);
+            }
+            return number;
+        }
+        case "number": {
+            const number =
+                fromString && typeof value === "string" && value.trim() !== ""
+                    ? Number(value)
+                    : value;
+            if (!Number.isFinite(number) || number < spec.min) {
+                fail(`a number >= ${spec.min}`);
+            }
+            return number;
+        }
+        case "boolean": {
+            if (typeof value === "boolean") return value;
+            const parsed = fromString
+                ? BOOLEAN_STRINGS[String(value).trim().toLowerCase()]
+                : undefined;
+            if (parsed === undefined) fail("true or false");
+            return parsed;
+        }
+        case "enum":
+            if (!spec.values.includes(value)) {
+                fail(`one of ${spec.values.join(", ")}`);
+            }
+            return value;
+        case "list": {
+            const list =
+                fromString && typeof value === "string"
+                    ? value.split(",").map((item) => item.trim())
+                    : value;
+            if (
+                !Array.isArray(list) ||
+                list.length === 0 ||
+                list.some((item) => !spec.values.includes(item)) ||
+                new Set(list).size !== list.length
+            ) {
+                fail(
+                    `a non-empty list of distinct names from ${spec.values.join(
+                        ", "
+                    )}`
+                );
+            }
+            return [...list];
+        }
+        case "languages": {
+            const languages =
+                fromString && typeof value === "string"
+                    ? value.split(",").map((item) => item.trim())
+                    : value;
+            if (
+                !Array.isArray(languages) ||
+                languages.length === 0 ||
+                languages.some(
+                    (item) =>
+                        typeof item !== "string" || !LANGUAGE_REGEX.test(item)
+                )
+            ) {
+                fail(
+                    'a non-empty list of language codes such as "en", or "all"'
+                );
+            }
+            return [...languages];
+        }
+        case "quality": {
+            const quality =
+                typeof value === "string" || Number.isInteger(value)
+                    ? parseQuality(value)
+                    : null;
+            if (quality === null) {
+                fail(
+                    `${QUALITY_PRESETS.join(", ")} or a resolution such as 720`
+                );
+            }
+            return quality;
+        }
+        case "size": {
+            // H.264 needs even dimensions
+            const match =
+                typeof value === "string" && /^(\d+)x(\d+)$/.exec(value);
+            if (
+                !match ||
+                [match[1], match[2]].some(
+                    (side) => Number(side) < 2 || Number(side) % 2 !== 0
+                )
+            ) {
+                fail("even WIDTHxHEIGHT dimensions such as 1080x1920");
+            }
+            return value;
+        }
+        case "url":
+            if (typeof value !== "string" || !/^https?:\/\/\S+$/.test(value)) {
+                fail("an http(s) URL");
+            }
+            return value;
+        case "template":
+            if (typeof value !== "string") fail("a filename template");
+            try {
+                validateTemplate(value);
+            } catch (error) {
+                throw new Error(
+                    `Invalid value for "${key}" in ${source}: ${error.message}`
+                );
+            }
+            return value;
+        default:
+            if (typeof value !== "string" || value.trim() === "") {
+                fail("a non-empty string");
+            }
+            return value;
+    }
+};
+
+/**
+ * Returns the path of the user-level config file
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} `$XDG_CONFIG_HOME/tiktok-dl/config.json`, defaulting to `~/.config`
+ * @private
+ */
+const getUserConfigPath = (env) =>
+    path.join(
+        env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+        "tiktok-dl",
+        "config.json"
+    );
+
+/**
+ * Reads and validates one config file
+ *
+ * @param {string} filePath - Path of the JSON config file
+ * @returns {Object} Validated settings found in the file
+ * @throws {Error} If the file cannot be read, is not a JSON object, or
+ *   contains an invalid setting
+ * @private
+ */
+const readConfigFile = (filePath) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error(`Config file ${filePath} must contain a JSON object`);
+    }
+
+    const settings = {};
+    for (const [key, value] of Object.entries(parsed)) {
+        settings[key] = coerceSetting(key, value, filePath);
+    }
+    return settings;
+};
+
+/**
+ * Loads the effective settings and makes them the active configuration
+ *
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.cwd=process.cwd()] - Directory searched for the project config file
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.configPath] - Explicit config file, replacing the
+ *   user-level and project files (defaults to `TIKTOK_DL_CONFIG`)
+ * @param {Object} [options.overrides={}] - Command-line values; undefined and
+ *   null entries are ignored
+ * @returns {Object} Loaded configuration containing:
+ *   - settings: Effective value of every setting
+ *   - sources: Layer each value came from ("default", a file path,
+ *     an environment variable name or "command line")
+ *   - files: Config files that were read
+ * @throws {Error} If a config file or environment variable is invalid
+ *
+ * @example
+ * const { settings } = loadConfig({ overrides: { concurrency: 5 } });
+ * settings.videoDir; // "./tiktok-videos" unless a config file changes it
+ */
+const loadConfig = ({
+    cwd = process.cwd(),
+    env = process.env,
+    configPath = env.TIKTOK_DL_CONFIG,
+    overrides = {},
+} = {}) => {
+    const settings = getDefaults();
+    const sources = Object.fromEntries(
+        Object.keys(SETTINGS).map((key) => [key, "default"])
+    );
+    const files = [];
+
+    const apply = (values, source) => {
+        for (const [key, value] of Object.entries(values)) {
+            settings[key] = value;
+            sources[key] = source;
+        }
+    };
+
+    const candidates = configPath
+        ? [path.resolve(cwd, configPath)]
+        : [getUserConfigPath(env), path.join(cwd, PROJECT_CONFIG_FILE)];
+    for (const filePath of candidates) {
+        if (!configPath && !fs.existsSync(filePath)) continue;
+        apply(readConfigFile(filePath), filePath);
+        files.push(filePath);
+    }
+
+    for (const key of Object.keys(SETTINGS)) {
+        const name = toEnvName(key);
+        if (env[name] === undefined || env[name] === "") continue;
+        apply(
+            { [key]: coerceSetting(key, env[name], `environment variable ${name}`, true) },
+            name
+        );
+    }
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === undefined || value === null) continue;
+        apply({ [key]: coerceSetting(key, value, "command line") }, "command line");
+    }
+
+    activeConfig = settings;
+    return { settings: { ...settings }, sources, files };
+};
+
+/**
+ * Returns the active settings
+ *
+ * @returns {Object} Settings from the last {@link loadConfig} call, or the
+ *   built-in defaults if no configuration was loaded
+ */
+const getConfig = () => activeConfig || getDefaults();
+
+/**
+ * Formats a loaded configuration for `config show`
+ *
+ * @param {Object} loaded - Result of {@link loadConfig}
+ * @returns {string} The config files read, then one line per setting with
+ *   its source and value
+ *
+ * @example
+ * console.log(formatConfig(loadConfig()));
+ * // videoDir          (/home/me/project/tiktok-dl.config.json)  "./downloads"
+ * // concurrency       (default)                                 3
+ */
+const formatConfig = ({ settings, sources, files }) => {
+    const keys = Object.keys(SETTINGS);
+    const keyWidth = Math.max(...keys.map((key) => key.length)) + 2;
+    const labels = keys.map((key) => `(${sources[key]})`);
+    const labelWidth = Math.max(...labels.map((label) => label.length)) + 2;
+
+    const lines = [
+        `Config files: ${files.length > 0 ? files.join(", ") : "(none)"}`,
+        "",
+        ...keys.map(
+            (key, i) =>
+                `${key.padEnd(keyWidth)}${labels[i].padEnd(labelWidth)}${JSON.stringify(
+                    settings[key]
+                )}`
+        ),
+    ];
+    return lines.join("\n");
+};
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    ENV_PREFIX,
+    AUDIO_MODES,
+    SETTINGS,
+    getDefaults,
+    toEnvName,
+    coerceSetting,
+    loadConfig,
+    getConfig,
+    formatConfig,
+};
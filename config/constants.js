@@ -22,23 +22,86 @@ const MOBILE_USER_AGENT =
     "TikTok 26.2.0 rv:262018 (iPhone; iOS 14.4.2; en_US) Cronet";
 
 /**
- * Regular expression pattern for validating TikTok URLs
- * @constant {RegExp}
+ * Base URL for the TikTok downloader API
+ * @constant {string}
  */
-const TIKTOK_URL_REGEX = /^https?:\/\/(www\.|vm\.)?(tiktok\.com)\/?(.*)$/;
+const API_URL = "https://api-tiktok-downloader.vercel.app/api/v4/download";
 
 /**
- * Base URL for the TikTok downloader API
+ * TikTok oEmbed endpoint, used for metadata when no other extractor works
  * @constant {string}
  */
-const API_URL = "https://api-tiktok-downloader.vercel.app/api/v4/download";
+const OEMBED_URL = "https://www.tiktok.com/oembed";
 
 /**
- * Default query parameters for TikTok web requests
+ * Base URL of TikTok's web API, used to list the posts of profiles
  * @constant {string}
  */
-const QUERY_PARAMS =
-    "?is_from_webapp=1&sender_device=pc&web_id=7221493350775866882";
+const WEB_API_URL = "https://www.tiktok.com/api";
+
+/**
+ * Query parameters the TikTok web app sends with every web API request
+ * @constant {Object<string, string>}
+ */
+const WEB_API_PARAMS = {
+    aid: "1988",
+    app_name: "tiktok_web",
+    app_language: "en",
+    browser_language: "en-US",
+    browser_platform: "Win32",
+    channel: "tiktok_web",
+    device_platform: "web_pc",
+    os: "windows",
+    region: "US",
+};
+
+/**
+ * Posts requested per page when listing a profile
+ * @constant {number}
+ */
+const ITEM_LIST_PAGE_SIZE = 35;
+
+/**
+ * Comments requested per page when exporting comments
+ * @constant {number}
+ */
+const COMMENT_PAGE_SIZE = 50;
+
+/**
+ * Built-in extractors for video posts, in default order (see extractorRegistry)
+ * @constant {string[]}
+ */
+const VIDEO_EXTRACTORS = [
+    "rehydration",
+    "sigi-state",
+    "next-data",
+    "api",
+    "oembed",
+];
+
+/**
+ * Built-in extractors for photo posts, in default order
+ * @constant {string[]}
+ */
+const PHOTO_EXTRACTORS = [
+    "rehydration",
+    "sigi-state",
+    "next-data",
+    "api",
+    "oembed",
+];
+
+/**
+ * Default video variant: "best", "worst" or a resolution (see variantSelector)
+ * @constant {string}
+ */
+const VIDEO_QUALITY = "best";
+
+/**
+ * Default video codec: "h264", "h265" or "any"
+ * @constant {string}
+ */
+const VIDEO_CODEC = "any";
 
 /**
  * Directory path for storing downloaded videos
@@ -52,12 +115,90 @@ const VIDEO_DIR = "./tiktok-videos";
  */
 const IMAGE_DIR = "./tiktok-images";
 
+/**
+ * Directory path for storing downloaded soundtracks
+ * @constant {string}
+ */
+const AUDIO_DIR = "./tiktok-audio";
+
+/**
+ * Default filename template for videos (see templateUtils)
+ * @constant {string}
+ */
+const VIDEO_TEMPLATE = "{author}_video_{date:DDMMYYYY}_{id}.{ext}";
+
+/**
+ * Default filename template for photo post images (see templateUtils)
+ * @constant {string}
+ */
+const IMAGE_TEMPLATE = "{author}_image_{date:DDMMYYYY}_{id}_{index}.{ext}";
+
+/**
+ * Default filename template for soundtracks (see templateUtils)
+ * @constant {string}
+ */
+const AUDIO_TEMPLATE = "{author}_audio_{date:DDMMYYYY}_{id}.{ext}";
+
+/**
+ * Default time each photo is shown in a slideshow, in seconds
+ * @constant {number}
+ */
+const SLIDE_DURATION = 3;
+
+/**
+ * Default slideshow resolution, matching TikTok's portrait videos
+ * @constant {string}
+ */
+const SLIDESHOW_SIZE = "1080x1920";
+
+/**
+ * Frame rate of rendered slideshows
+ * @constant {number}
+ */
+const SLIDESHOW_FPS = 30;
+
+/**
+ * Default address the HTTP server listens on; localhost only, since the
+ * server has no authentication
+ * @constant {string}
+ */
+const SERVER_HOST = "127.0.0.1";
+
+/**
+ * Default port of the HTTP server
+ * @constant {number}
+ */
+const SERVER_PORT = 8080;
+
+/**
+ * Default path of the file keeping the HTTP server's jobs
+ * @constant {string}
+ */
+const JOB_STORE = "./tiktok-dl-jobs.json";
+
 module.exports = {
     USER_AGENT,
     MOBILE_USER_AGENT,
-    TIKTOK_URL_REGEX,
     API_URL,
-    QUERY_PARAMS,
+    OEMBED_URL,
+    WEB_API_URL,
+    WEB_API_PARAMS,
+    ITEM_LIST_PAGE_SIZE,
+    COMMENT_PAGE_SIZE,
+    VIDEO_EXTRACTORS,
+    PHOTO_EXTRACTORS,
+    VIDEO_QUALITY,
+    VIDEO_CODEC,
     VIDEO_DIR,
     IMAGE_DIR,
+    AUDIO_DIR,
+    VIDEO_TEMPLATE,
+    IMAGE_TEMPLATE,
+    AUDIO_TEMPLATE,
+    SLIDE_DURATION,
+    SLIDESHOW_SIZE,
+    SLIDESHOW_FPS,
+    SERVER_HOST,
+    SERVER_PORT,
+    JOB_STORE,
 };
@@ -0,0 +1,63 @@
+/**
+ * Expander Registry Module
+ *
+ * Maps the kinds of list URLs (see urlUtils) to the expander that turns
+ * them into individual posts. An expander is an async function taking the
+ * parsed URL and the download options and returning post entries with at
+ * least `id`, `kind` and the canonical post `url`.
+ *
+ * @module expanderRegistry
+ * @requires profileExpander
+ * @requires listExpanders
+ */
+
+const { expandProfile } = require("./profileExpander");
+const {
+    expandTag,
+    expandMusic,
+    expandCollection,
+} = require("./listExpanders");
+
+/**
+ * Expanders keyed by URL kind
+ * @constant {Object<string, Function>}
+ * @private
+ */
+const EXPANDERS = {
+    user: expandProfile,
+    tag: expandTag,
+    music: expandMusic,
+    collection: expandCollection,
+};
+
+/**
+ * Checks whether a URL kind is a list of posts that can be expanded
+ *
+ * @param {string} kind - URL kind from urlUtils.parseTikTokUrl
+ * @returns {boolean} True if an expander exists for the kind
+ */
+const isExpandable = (kind) => Object.hasOwn(EXPANDERS, kind);
+
+/**
+ * Expands a list URL into its posts
+ *
+ * @async
+ * @param {Object} target - Parsed list URL (see urlUtils)
+ * @param {Object} [options={}] - Download options, including the list filters
+ * @returns {Promise<Object[]>} Post entries
+ * @throws {Error} If the URL kind cannot be expanded or the list cannot be read
+ *
+ * @example
+ * const posts = await expandUrl(parseTikTokUrl("https://www.tiktok.com/@user"));
+ */
+const expandUrl = async (target, options = {}) => {
+    if (!isExpandable(target.kind)) {
+        throw new Error(`Cannot list the posts of a ${target.kind} page`);
+    }
+    return EXPANDERS[target.kind](target, options);
+};
+
+module.exports = {
+    isExpandable,
+    expandUrl,
+};
@@ -0,0 +1,127 @@
+/**
+ * List Expanders Module
+ *
+ * Expanders for the post lists that are not profiles:
+ * - hashtags (`/tag/<name>`), keyed by the challenge ID from the tag page
+ * - sounds (`/music/<slug>-<id>`), keyed by the music ID in the URL
+ * - collections (`/@user/collection/<name>-<id>`), keyed by the collection
+ *   ID in the URL
+ *
+ * These lists are ranked by TikTok rather than sorted by date, so the date
+ * filters skip posts without ending the listing early.
+ *
+ * @module listExpanders
+ * @requires htmlService
+ * @requires itemListService
+ * @requires postCollector
+ * @requires errors
+ */
+
+const {
+    handleHtml,
+    getDocument,
+    getScriptJson,
+} = require("../services/htmlService");
+const { fetchItemPages } = require("../services/itemListService");
+const { getListFilters, collectPosts } = require("./postCollector");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Creates an expander for a web API item list
+ *
+ * @param {Object} spec - List description
+ * @param {string} spec.endpoint - Item list endpoint, e.g. "music/item_list"
+ * @param {Function} spec.describe - Returns the list name used in log messages
+ * @param {Function} spec.getParams - Async function returning the query
+ *   parameters that identify the list
+ * @returns {Function} Expander (see expanderRegistry)
+ * @private
+ */
+const createListExpander =
+    ({ endpoint, describe, getParams }) =>
+    async (target, options = {}) => {
+        const filters = getListFilters(options);
+        const params = await getParams(target);
+
+        console.log(`Listing posts of ${describe(target)}...`);
+        const { posts, archived } = await collectPosts(
+            fetchItemPages(endpoint, params, { referer: target.canonicalUrl }),
+            filters
+        );
+
+        console.log(
+            `Found ${posts.length} post(s) on ${describe(target)}` +
+                (archived ? ` (${archived} already in download archive)` : "")
+        );
+        return posts;
+    };
+
+/**
+ * Reads the challenge ID of a hashtag from its tag page
+ *
+ * Uses the `webapp.challenge-detail` rehydration data, falling back to the
+ * legacy `SIGI_STATE` challenge page.
+ *
+ * @async
+ * @param {Object} tag - Parsed tag URL (see urlUtils)
+ * @returns {Promise<string>} Challenge ID
+ * @throws {FatalError} If the hashtag does not exist
+ * @private
+ */
+const getChallengeId = async (tag) => {
+    const $ = getDocument(await handleHtml(tag.canonicalUrl));
+    const rehydration = getScriptJson($, "#__UNIVERSAL_DATA_FOR_REHYDRATION__");
+    const sigiState = getScriptJson($, "#SIGI_STATE");
+
+    const challenge =
+        rehydration?.__DEFAULT_SCOPE__?.["webapp.challenge-detail"]
+            ?.challengeInfo?.challenge ||
+        sigiState?.ChallengePage?.challengeInfo?.challenge;
+    if (!challenge?.id) {
+        throw new FatalError(`Hashtag #${tag.id} not found`, {
+            category: ERROR_CATEGORIES.NOT_FOUND,
+            url: tag.canonicalUrl,
+        });
+    }
+    return String(challenge.id);
+};
+
+/**
+ * Lists the posts of a hashtag
+ * @type {Function}
+ */
+const expandTag = createListExpander({
+    endpoint: "challenge/item_list",
+    describe: (tag) => `#${tag.id}`,
+    getParams: async (tag) => ({ challengeID: await getChallengeId(tag) }),
+});
+
+/**
+ * Lists the posts using a sound
+ * @type {Function}
+ */
+const expandMusic = createListExpander({
+    endpoint: "music/item_list",
+    describe: (music) => `sound ${music.id}`,
+    getParams: async (music) => ({ musicID: music.id }),
+});
+
+/**
+ * Lists the posts of a collection
+ * @type {Function}
+ */
+const expandCollection = createListExpander({
+    endpoint: "collection/item_list",
+    describe: (collection) =>
+        `collection ${collection.id} of @${collection.username}`,
+    getParams: async (collection) => ({
+        collectionId: collection.id,
+        sourceType: "113",
+    }),
+});
+
+module.exports = {
+    expandTag,
+    expandMusic,
+    expandCollection,
+};
@@ -0,0 +1,154 @@
+/**
+ * Post Collector Module
+ *
+ * Turns the item pages of a post list (a profile, hashtag, sound or
+ * collection) into post entries the processors can download, applying the
+ * list filters: upload date range, media type, maximum count and the
+ * download archive.
+ *
+ * @module postCollector
+ * @requires dateUtils
+ * @requires archiveService
+ */
+
+const { parseDate } = require("../utils/dateUtils");
+const { openArchive } = require("../services/archiveService");
+
+/**
+ * Converts an item structure to a post entry
+ *
+ * @param {Object} item - Item structure from a list page
+ * @param {string} [fallbackUsername] - Username used when the item has no author
+ * @returns {Object} Post entry containing:
+ *   - id: Post ID
+ *   - kind: "video" or "photo"
+ *   - username: Creator username
+ *   - createTime: Upload time as a Unix timestamp, or null
+ *   - pinned: Whether the post is pinned to the top of the list
+ *   - url: Canonical post URL
+ * @private
+ */
+const toPostEntry = (item, fallbackUsername) => {
+    const username =
+        (typeof item.author === "string"
+            ? item.author
+            : item.author?.uniqueId) ||
+        fallbackUsername ||
+        "";
+    const kind = item.imagePost?.images?.length ? "photo" : "video";
+    const createTime = Number(item.createTime);
+
+    return {
+        id: String(item.id),
+        kind,
+        username,
+        createTime: createTime > 0 ? createTime : null,
+        pinned: Boolean(item.isPinnedItem),
+        url: `https://www.tiktok.com/@${username}/${kind}/${item.id}`,
+    };
+};
+
+/**
+ * Builds the list filters from download options
+ *
+ * @param {Object} [options={}] - Download options
+ * @param {string} [options.dateAfter] - Earliest upload date, `YYYY-MM-DD` or `YYYYMMDD`
+ * @param {string} [options.dateBefore] - Latest upload date, inclusive
+ * @param {string|null} [options.only] - Keep only "video" or "photo" posts
+ * @param {number} [options.maxCount] - Maximum number of posts per list
+ * @param {string} [options.downloadArchive] - Archive whose posts are left out
+ * @param {boolean} [options.force=false] - Keep archived posts
+ * @param {boolean} [options.breakOnExisting=false] - Stop listing at the first
+ *   archived post
+ * @returns {Object} Filters for {@link collectPosts}
+ * @throws {Error} If a date is invalid
+ */
+const getListFilters = (options = {}) => {
+    const readDate = (name, endOfDay) => {
+        if (!options[name]) return null;
+        const timestamp = parseDate(options[name], endOfDay);
+        if (timestamp === null) {
+            throw new Error(
+                `Invalid ${name} "${options[name]}": expected YYYY-MM-DD or YYYYMMDD`
+            );
+        }
+        return timestamp;
+    };
+
+    return {
+        after: readDate("dateAfter", false),
+        before: readDate("dateBefore", true),
+        only: options.only || null,
+        maxCount: options.maxCount || null,
+        archive:
+            options.downloadArchive && !options.force
+                ? openArchive(options.downloadArchive)
+                : null,
+        breakOnExisting: Boolean(options.breakOnExisting),
+    };
+};
+
+/**
+ * Collects the posts of a list, applying the list filters
+ *
+ * Archived posts are left out without fetching their pages. For lists
+ * sorted newest first, paging stops at the first post older than the date
+ * range, and with `breakOnExisting` at the first archived post, so an
+ * incremental sync only requests the pages holding new posts. Pinned posts
+ * sit above the date order and never stop paging.
+ *
+ * @async
+ * @param {AsyncIterable<Object[]>} pages - Item pages, e.g. from itemListService
+ * @param {Object} filters - Filters from {@link getListFilters}
+ * @param {Object} [options={}] - List options
+ * @param {string} [options.username] - Username of the list owner, for items without an author
+ * @param {boolean} [options.newestFirst=false] - Whether the list is sorted by
+ *   upload date, newest first
+ * @returns {Promise<Object>} Object containing:
+ *   - posts: Post entries that passed the filters, in list order
+ *   - archived: Number of posts left out because they are archived
+ */
+const collectPosts = async (pages, filters, options = {}) => {
+    const { username, newestFirst = false } = options;
+    const { after, before, only, maxCount, archive, breakOnExisting } = filters;
+    const posts = [];
+    const seen = new Set();
+    let archived = 0;
+
+    const accept = (post) => {
+        const time = post.createTime;
+        if (after !== null && time !== null && time < after) {
+            return newestFirst && !post.pinned ? "stop" : "skip";
+        }
+        if (before !== null && time !== null && time > before) return "skip";
+        if (only && post.kind !== only) return "skip";
+        if (archive?.has(post.id)) {
+            archived++;
+            return breakOnExisting && !post.pinned ? "stop" : "skip";
+        }
+        return "take";
+    };
+
+    for await (const items of pages) {
+        for (const item of items) {
+            if (!item?.id || seen.has(String(item.id))) continue;
+            seen.add(String(item.id));
+
+            const post = toPostEntry(item, username);
+            const decision = accept(post);
+            if (decision === "stop") return { posts, archived };
+            if (decision === "skip") continue;
+
+            posts.push(post);
+            if (maxCount && posts.length >= maxCount) {
+                return { posts, archived };
+            }
+        }
+    }
+    return { posts, archived };
+};
+
+module.exports = {
+    getListFilters,
+    collectPosts,
+};
@@ -0,0 +1,119 @@
+/**
+ * Profile Expander Module
+ *
+ * Expands a profile URL (`https://www.tiktok.com/@user`) into the posts of
+ * that creator. The profile page's rehydration data holds the creator's
+ * `secUid`, which the web API's post list is keyed by; the list is then
+ * paged through newest first.
+ *
+ * @module profileExpander
+ * @requires htmlService
+ * @requires itemListService
+ * @requires postCollector
+ * @requires errors
+ */
+
+const {
+    handleHtml,
+    getDocument,
+    getScriptJson,
+} = require("../services/htmlService");
+const { fetchItemPages } = require("../services/itemListService");
+const { getListFilters, collectPosts } = require("./postCollector");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Profile page status codes that mean the posts cannot be listed, with the
+ * error category and message of each
+ * @constant {Object<number, string[]>}
+ * @private
+ */
+const UNAVAILABLE_PROFILE_CODES = {
+    10221: [ERROR_CATEGORIES.NOT_FOUND, "does not exist"],
+    10222: [ERROR_CATEGORIES.PRIVATE, "is private"],
+};
+
+/**
+ * Reads the creator of a profile page
+ *
+ * Uses the `webapp.user-detail` rehydration data, falling back to the
+ * legacy `SIGI_STATE` user module.
+ *
+ * @async
+ * @param {Object} profile - Parsed profile URL (see urlUtils)
+ * @returns {Promise<Object>} Creator with `uniqueId` and `secUid`
+ * @throws {FatalError} If the profile does not exist, is private, or has no secUid
+ * @private
+ */
+const getProfileUser = async (profile) => {
+    const $ = getDocument(await handleHtml(profile.canonicalUrl));
+    const fail = (message, category = ERROR_CATEGORIES.EXTRACTION) =>
+        new FatalError(message, { category, url: profile.canonicalUrl });
+
+    const rehydration = getScriptJson($, "#__UNIVERSAL_DATA_FOR_REHYDRATION__");
+    const detail = rehydration?.__DEFAULT_SCOPE__?.["webapp.user-detail"];
+    const unavailable = UNAVAILABLE_PROFILE_CODES[detail?.statusCode];
+    if (unavailable) {
+        const [category, reason] = unavailable;
+        throw fail(`Profile @${profile.username} ${reason}`, category);
+    }
+
+    const sigiState = getScriptJson($, "#SIGI_STATE");
+    const user =
+        detail?.userInfo?.user ||
+        sigiState?.UserModule?.users?.[profile.username];
+    if (!user?.secUid) {
+        throw fail(`Profile data not found for @${profile.username}`);
+    }
+    if (user.privateAccount) {
+        throw fail(
+            `Profile @${profile.username} is private`,
+            ERROR_CATEGORIES.PRIVATE
+        );
+    }
+    return user;
+};
+
+/**
+ * Lists the posts of a profile
+ *
+ * @async
+ * @param {Object} profile - Parsed profile URL with kind "user" (see urlUtils)
+ * @param {Object} [options={}] - Download options; the list filters are
+ *   described in {@link module:postCollector.getListFilters}
+ * @returns {Promise<Object[]>} Post entries, newest first, each with `id`,
+ *   `kind`, `username`, `createTime` and the canonical `url`
+ * @throws {DownloadError} If the profile is unavailable or its posts cannot be listed
+ *
+ * @example
+ * const posts = await expandProfile(parseTikTokUrl("https://www.tiktok.com/@user"), {
+ *     dateAfter: "2024-01-01",
+ *     maxCount: 50,
+ * });
+ */
+const expandProfile = async (profile, options = {}) => {
+    const filters = getListFilters(options);
+    const user = await getProfileUser(profile);
+    const username = user.uniqueId || profile.username;
+
+    console.log(`Listing posts of @${username}...`);
+    const { posts, archived } = await collectPosts(
+        fetchItemPages(
+            "post/item_list",
+            { secUid: user.secUid },
+            { referer: profile.canonicalUrl }
+        ),
+        filters,
+        { username, newestFirst: true }
+    );
+
+    console.log(
+        `Found ${posts.length} post(s) on @${username}` +
+            (archived ? ` (${archived} already in download archive)` : "")
+    );
+    return posts;
+};
+
+module.exports = {
+    expandProfile,
+};
@@ -0,0 +1,97 @@
+/**
+ * API Extractor Module
+ *
+ * Extractor backed by the third-party TikTok downloader API. It is the only
+ * built-in extractor that returns media for both video and photo posts.
+ *
+ * @module apiExtractor
+ * @requires apiService
+ * @requires metadataNormalizer
+ * @requires errors
+ */
+
+const { getMediaInfoFromAPI } = require("../services/apiService");
+const { normalizeApiResult } = require("./metadataNormalizer");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Converts an API video result to video data
+ *
+ * @param {Object} apiData - `result` object from the API response
+ * @param {string} url - Post URL
+ * @returns {Object} Video data: authorUniqueId, videoId, createTime, videoUrl,
+ *   videoUrls
+ * @throws {FatalError} If the result is not a video or has no play address
+ * @private
+ */
+const toVideoData = (apiData, url) => {
+    if (
+        apiData.type !== "video" ||
+        !apiData.video ||
+        !apiData.video.playAddr
+    ) {
+        throw new FatalError("Invalid video data from API", {
+            category: ERROR_CATEGORIES.EXTRACTION,
+            url,
+        });
+    }
+
+    return {
+        authorUniqueId: apiData.author?.username,
+        videoId: apiData.id,
+        createTime: apiData.createTime,
+        videoUrl: apiData.video.playAddr[0],
+        videoUrls: apiData.video.playAddr,
+    };
+};
+
+/**
+ * Converts an API photo result to photo data
+ *
+ * @param {Object} apiData - `result` object from the API response
+ * @param {string} url - Post URL
+ * @returns {Object} Photo data: imageId, authorUniqueId, createTime, imageUrls
+ * @throws {FatalError} If the result is not a photo post or has no images
+ * @private
+ */
+const toPhotoData = (apiData, url) => {
+    if (
+        apiData.type !== "image" ||
+        !apiData.images ||
+        apiData.images.length === 0
+    ) {
+        throw new FatalError("Invalid or missing photo data", {
+            category: ERROR_CATEGORIES.EXTRACTION,
+            url,
+        });
+    }
+
+    return {
+        imageId: apiData.id,
+        authorUniqueId: apiData.author?.username,
+        createTime: apiData.createTime,
+        imageUrls: apiData.images,
+    };
+};
+
+/**
+ * Extractor for the third-party downloader API
+ * @constant {Object}
+ */
+const apiExtractor = {
+    name: "api",
+    types: ["video", "photo"],
+    providesMedia: true,
+    extract: async ({ url, type }) => {
+        const apiData = await getMediaInfoFromAPI(url);
+        const metadata = normalizeApiResult(apiData, { url });
+
+        return type === "photo"
+            ? { photoData: toPhotoData(apiData, url), metadata }
+            : { videoData: toVideoData(apiData, url), metadata };
+    },
+};
+
+module.exports = {
+    apiExtractor,
+};
@@ -3,16 +3,55 @@
  *
  * Handles the extraction and parsing of TikTok video data from JSON responses.
  * This module provides utilities for parsing and validating video metadata
- * from TikTok's embedded JSON data.
+ * from the JSON blobs TikTok embeds in its pages: the current
+ * `__UNIVERSAL_DATA_FOR_REHYDRATION__` script and the legacy `SIGI_STATE`
+ * and `__NEXT_DATA__` scripts. All three carry the same item structure.
  *
  * @module dataExtractor
+ * @requires errors
+ * @requires metadataNormalizer
+ * @requires variantSelector
  */
 
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+const { normalizeItemStruct } = require("./metadataNormalizer");
+const { getVideoVariants, rankVideoVariants } = require("./variantSelector");
+
+/**
+ * TikTok page status codes that mean the post can never be downloaded
+ * @constant {Object<number, string>}
+ * @private
+ */
+const UNAVAILABLE_STATUS_CODES = {
+    10204: ERROR_CATEGORIES.REMOVED,
+    10216: ERROR_CATEGORIES.PRIVATE,
+    10222: ERROR_CATEGORIES.PRIVATE,
+};
+
+/**
+ * Throws if a page status code marks the post as unavailable
+ *
+ * @param {number} statusCode - Status code reported by the page
+ * @param {string} [statusMsg] - Status message reported by the page
+ * @throws {FatalError} If the post is removed or private
+ * @private
+ */
+const checkAvailability = (statusCode, statusMsg) => {
+    const category = UNAVAILABLE_STATUS_CODES[statusCode];
+    if (category) {
+        throw new FatalError(
+            `Post is ${category}: ${statusMsg || `status ${statusCode}`}`,
+            { category }
+        );
+    }
+};
+
 /**
  * Extracts and validates the video detail object from parsed JSON
  *
  * @param {Object} parsedJSON - The parsed JSON object from TikTok's response
  * @returns {Object} The video detail object containing essential video information
+ * @throws {FatalError} If the page reports the post as removed or private
  * @throws {Error} If video detail data is not found in the response
  */
 const parseVideoDetail = (parsedJSON) => {
@@ -20,6 +59,8 @@ const parseVideoDetail = (parsedJSON) => {
     if (!videoDetail) {
         throw new Error("Video data not found in JSON response");
     }
+
+    checkAvailability(videoDetail.statusCode, videoDetail.statusMsg);
     return videoDetail;
 };
 
@@ -38,6 +79,66 @@ const getItemStruct = (videoDetail) => {
     return itemStruct;
 };
 
+/**
+ * Finds the item structure in a legacy `SIGI_STATE` object
+ *
+ * `SIGI_STATE` keeps items in `ItemModule` keyed by ID, with the author
+ * stored separately in `UserModule`; they are merged back into the
+ * rehydration item layout.
+ *
+ * @param {Object} state - Parsed `SIGI_STATE` object
+ * @returns {Object} Item structure in the rehydration layout
+ * @throws {FatalError} If the page reports the post as removed or private
+ * @throws {Error} If no item is found
+ * @private
+ */
+const getSigiStateItem = (state) => {
+    const page = state?.VideoPage;
+    if (page) checkAvailability(page.statusCode, page.statusMsg);
+
+    const item = Object.values(state?.ItemModule || {})[0];
+    if (!item) {
+        throw new Error("Item not found in SIGI_STATE");
+    }
+
+    const uniqueId =
+        typeof item.author === "string" ? item.author : item.author?.uniqueId;
+    const user = state.UserModule?.users?.[uniqueId];
+    return {
+        ...item,
+        author: user || {
+            id: item.authorId,
+            uniqueId,
+            nickname: item.nickname,
+            secUid: item.secUid,
+        },
+        authorStats: item.authorStats || state.UserModule?.stats?.[uniqueId],
+    };
+};
+
+/**
+ * Finds the item structure in a legacy `__NEXT_DATA__` object
+ *
+ * @param {Object} nextData - Parsed `__NEXT_DATA__` object
+ * @returns {Object} Item structure
+ * @throws {FatalError} If the page reports the post as removed or private
+ * @throws {Error} If no item is found
+ * @private
+ */
+const getNextDataItem = (nextData) => {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps) {
+        throw new Error("Page props not found in __NEXT_DATA__");
+    }
+
+    checkAvailability(pageProps.statusCode, pageProps.statusMsg);
+    const itemStruct = pageProps.itemInfo?.itemStruct;
+    if (!itemStruct) {
+        throw new Error("Item structure not found in __NEXT_DATA__");
+    }
+    return itemStruct;
+};
+
 /**
  * Validates the presence of author and video data within the item structure
  *
@@ -54,31 +155,181 @@ const validateAuthorAndVideo = (itemStruct) => {
 };
 
 /**
- * Extracts the video URL from various possible locations in the video object
+ * Matches the `:<width>:<height>` resize suffix of TikTok image URLs
+ * @constant {RegExp}
+ * @private
+ */
+const IMAGE_SIZE_REGEX = /:(\d+):(\d+)(?=[.~?]|$)/;
+
+/**
+ * Picks the highest-quality URL from an image URL list
+ *
+ * TikTok lists each carousel image several times: the original and
+ * resized copies, in JPEG, WebP or HEIC. URLs without a resize suffix are
+ * originals and rank above any resized copy, and larger sizes rank above
+ * smaller ones. Between URLs of the same size, JPEG ranks above the other
+ * formats, since only JPEG images can carry embedded metadata. The saved
+ * file takes its extension from the chosen URL.
  *
- * Implements a fallback strategy:
- * 1. Attempts to extract from bitrateInfo.PlayAddr
- * 2. Falls back to direct playAddr if primary method fails
+ * @param {string[]} urlList - Alternative URLs of one image
+ * @returns {string|null} The best URL, or null if the list is empty
  *
- * @param {Object} video - The video object containing URL information
- * @returns {string} The extracted video URL
- * @throws {Error} If no valid video URL can be found
+ * @example
+ * pickBestImageUrl([
+ *     "https://p16.tiktokcdn.com/obj~tplv-photomode-image.webp",
+ *     "https://p16.tiktokcdn.com/obj~tplv-photomode-tx2:540:720.jpeg",
+ *     "https://p16.tiktokcdn.com/obj~tplv-photomode-image.jpeg",
+ * ]); // the third, unresized JPEG URL
  */
-const extractVideoUrl = (video) => {
-    // Try bitrateInfo first
-    if (video.bitrateInfo?.length > 0) {
-        const playAddr = video.bitrateInfo[0].PlayAddr;
-        if (playAddr?.UrlList?.[0]) {
-            return playAddr.UrlList[0];
-        }
+const pickBestImageUrl = (urlList) => {
+    const ranked = (urlList || [])
+        .filter((url) => typeof url === "string" && url)
+        .map((url, index) => {
+            const size = url.match(IMAGE_SIZE_REGEX);
+            return {
+                url,
+                index,
+                area: size ? Number(size[1]) * Number(size[2]) : Infinity,
+                jpeg: /\.jpe?g(?:[?~]|$)/i.test(url),
+            };
+        })
+        .sort(
+            (a, b) =>
+                (a.area === b.area ? 0 : b.area > a.area ? 1 : -1) ||
+                Number(b.jpeg) - Number(a.jpeg) ||
+                a.index - b.index
+        );
+    return ranked[0]?.url || null;
+};
+
+/**
+ * Lists the caption tracks of a video
+ *
+ * Reads `video.subtitleInfos`, where TikTok lists one WebVTT track per
+ * language and source: "ASR" for auto-generated captions, "MT" for machine
+ * translations and others for creator captions.
+ *
+ * @param {Object} video - Video object of the item structure
+ * @returns {Object[]} Tracks with `language` (e.g. "eng-US"), `url`,
+ *   `format` and `source`, skipping entries without a language or URL
+ * @private
+ */
+const getSubtitleTracks = (video) =>
+    (Array.isArray(video.subtitleInfos) ? video.subtitleInfos : [])
+        .filter((info) => info?.LanguageCodeName && info.Url)
+        .map((info) => ({
+            language: info.LanguageCodeName,
+            url: info.Url,
+            format: String(info.Format || "webvtt").toLowerCase(),
+            source: info.Source || null,
+        }));
+
+/**
+ * Builds the video data object from an item structure
+ *
+ * @param {Object} itemStruct - Item structure in the rehydration layout
+ * @param {string} method - Name of the extractor, recorded in the metadata
+ * @param {Object} [selection={}] - Variant selection, see {@link rankVideoVariants}
+ * @returns {Object} Video data object (see {@link extractVideoDataFromJson})
+ * @throws {FatalError} If no variant has the requested codec
+ * @throws {Error} If author or video are missing
+ * @private
+ */
+const buildVideoData = (itemStruct, method, selection = {}) => {
+    const { author, video } = validateAuthorAndVideo(itemStruct);
+    const [variant] = rankVideoVariants(getVideoVariants(video), selection);
+    if (!variant) {
+        throw new Error("Video URL not found in response");
+    }
+    const videoUrl = variant.urls[0];
+
+    return {
+        authorUniqueId: author.uniqueId,
+        authorNickname: author.nickname,
+        videoId: itemStruct.id,
+        createTime: itemStruct.createTime,
+        videoUrl: videoUrl,
+        videoUrls: variant.urls,
+        variant,
+        subtitles: getSubtitleTracks(video),
+        description: itemStruct.desc,
+        metadata: normalizeItemStruct(itemStruct, {
+            method,
+            videoUrl,
+            variant,
+        }),
+    };
+};
+
+/**
+ * Builds the photo data object from an item structure
+ *
+ * @param {Object} itemStruct - Item structure in the rehydration layout
+ * @param {string} method - Name of the extractor, recorded in the metadata
+ * @returns {Object} Photo data object (see {@link extractPhotoDataFromJson})
+ * @throws {Error} If the post has no carousel or an image has no URL
+ * @private
+ */
+const buildPhotoData = (itemStruct, method) => {
+    const images = itemStruct.imagePost?.images;
+    if (!Array.isArray(images) || images.length === 0) {
+        throw new Error("Photo carousel not found in response");
     }
 
-    // Fallback to direct playAddr
-    if (video.playAddr) {
-        return video.playAddr;
+    const imageUrls = images.map((image) =>
+        pickBestImageUrl(image.imageURL?.urlList)
+    );
+    if (imageUrls.some((url) => !url)) {
+        throw new Error("Image URL missing in photo carousel");
     }
 
-    throw new Error("Video URL not found in response");
+    return {
+        imageId: itemStruct.id,
+        authorUniqueId: itemStruct.author?.uniqueId,
+        authorNickname: itemStruct.author?.nickname,
+        createTime: itemStruct.createTime,
+        imageUrls,
+        description: itemStruct.desc,
+        metadata: normalizeItemStruct(itemStruct, { method, imageUrls }),
+    };
+};
+
+/**
+ * Functions returning the item structure from each kind of page JSON,
+ * keyed by extractor name
+ * @constant {Object<string, Function>}
+ * @private
+ */
+const ITEM_FINDERS = {
+    rehydration: (parsedJSON) => getItemStruct(parseVideoDetail(parsedJSON)),
+    "sigi-state": getSigiStateItem,
+    "next-data": getNextDataItem,
+};
+
+/**
+ * Parses an embedded JSON blob and builds the post data from it
+ *
+ * @param {string} rawJSON - Raw JSON string from the page
+ * @param {string} source - Kind of JSON, a key of {@link ITEM_FINDERS}
+ * @param {Function} build - Builds the post data from the item structure
+ * @param {Object} [options] - Extra options passed to `build`
+ * @returns {Object|null} Post data object, or null if extraction fails
+ * @throws {FatalError} If the page reports the post as removed or private,
+ *   or no video variant has the requested codec
+ * @private
+ */
+const extractFromJson = (rawJSON, source, build, options) => {
+    try {
+        return build(
+            ITEM_FINDERS[source](JSON.parse(rawJSON)),
+            source,
+            options
+        );
+    } catch (error) {
+        if (error instanceof FatalError) throw error;
+        console.error(`Error extracting post data (${source}): ${error.message}`);
+        return null;
+    }
 };
 
 /**
@@ -91,37 +342,59 @@ const extractVideoUrl = (video) => {
  * 4. Compiles the final video metadata object
  *
  * @param {string} rawJSON - Raw JSON string from TikTok's response
+ * @param {string} [source="rehydration"] - Script the JSON came from:
+ *   "rehydration", "sigi-state" or "next-data"
+ * @param {Object} [selection] - Variant selection
+ * @param {string|number} [selection.quality="best"] - "best", "worst" or a
+ *   resolution such as 720
+ * @param {string} [selection.codec="any"] - "h264", "h265" or "any"
  * @returns {Object|null} Processed video data object containing:
  *   - authorUniqueId: Creator's unique identifier
  *   - authorNickname: Creator's display name
  *   - videoId: Unique video identifier
  *   - createTime: Video creation timestamp
  *   - videoUrl: Direct URL to video content
+ *   - videoUrls: All mirror URLs of the chosen variant, videoUrl first
+ *   - variant: The chosen variant (see variantSelector)
+ *   - subtitles: Caption tracks with `language`, `url`, `format` and `source`
  *   - description: Video caption/description
+ *   - metadata: Full normalized metadata (see metadataNormalizer)
  * @returns {null} If extraction fails at any point
+ * @throws {FatalError} If the page reports the post as removed or private,
+ *   or lists no variant in the requested codec, since no fallback method
+ *   can succeed either
  */
-const extractVideoDataFromJson = (rawJSON) => {
-    try {
-        const parsedJSON = JSON.parse(rawJSON);
-        const videoDetail = parseVideoDetail(parsedJSON);
-        const itemStruct = getItemStruct(videoDetail);
-        const { author, video } = validateAuthorAndVideo(itemStruct);
-        const videoUrl = extractVideoUrl(video);
-
-        return {
-            authorUniqueId: author.uniqueId,
-            authorNickname: author.nickname,
-            videoId: itemStruct.id,
-            createTime: itemStruct.createTime,
-            videoUrl: videoUrl,
-            description: itemStruct.desc,
-        };
-    } catch (error) {
-        console.error(`Error extracting video data: ${error.message}`);
-        return null;
-    }
-};
+const extractVideoDataFromJson = (
+    rawJSON,
+    source = "rehydration",
+    selection
+) => extractFromJson(rawJSON, source, buildVideoData, selection);
+
+/**
+ * Extracts photo carousel data from TikTok's JSON response
+ *
+ * Reads `imagePost.images[].imageURL.urlList` and keeps the best URL of
+ * every image (see {@link pickBestImageUrl}), in carousel order.
+ *
+ * @param {string} rawJSON - Raw JSON string from TikTok's response
+ * @param {string} [source="rehydration"] - Script the JSON came from:
+ *   "rehydration", "sigi-state" or "next-data"
+ * @returns {Object|null} Photo data object containing:
+ *   - imageId: Unique post identifier
+ *   - authorUniqueId: Creator's unique identifier
+ *   - authorNickname: Creator's display name
+ *   - createTime: Post creation timestamp
+ *   - imageUrls: Best URL of every image
+ *   - description: Post caption
+ *   - metadata: Full normalized metadata (see metadataNormalizer)
+ * @returns {null} If extraction fails at any point
+ * @throws {FatalError} If the page reports the post as removed or private
+ */
+const extractPhotoDataFromJson = (rawJSON, source = "rehydration") =>
+    extractFromJson(rawJSON, source, buildPhotoData);
 
 module.exports = {
+    pickBestImageUrl,
     extractVideoDataFromJson,
+    extractPhotoDataFromJson,
 };
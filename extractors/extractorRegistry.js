@@ -0,0 +1,318 @@
+/**
+ * Extractor Registry Module
+ *
+ * Keeps the extraction strategies available for each media type and runs
+ * them as a fallback chain. An extractor is a plain object:
+ *
+ * ```javascript
+ * {
+ *     name: "rehydration",       // unique name, used in config and results
+ *     types: ["video"],          // media types it can read
+ *     providesMedia: true,       // false for metadata-only extractors
+ *     selectsCodec: true,        // honours the `codec` setting for videos
+ *     extract: async (context) => ({ videoData, metadata }) // or null
+ * }
+ * ```
+ *
+ * `context` holds the post `url`, the media `type`, the video `quality` and
+ * `codec` to select, and `loadPage()`, which fetches and parses the post
+ * page once per post no matter how many extractors use it. Video extractors
+ * return `videoData`, photo extractors `photoData`, and all of them the
+ * normalized `metadata`.
+ *
+ * Which extractors run, and in which order, comes from the `videoExtractors`
+ * and `photoExtractors` settings. The registry records every attempt, and
+ * extractors with a better success rate move ahead of the configured order,
+ * so a strategy TikTok has broken stops costing time on every post.
+ *
+ * @module extractorRegistry
+ * @requires htmlService
+ * @requires configLoader
+ * @requires errors
+ * @requires pageExtractors
+ * @requires apiExtractor
+ * @requires oembedExtractor
+ */
+
+const { handleHtml, getDocument } = require("../services/htmlService");
+const { getConfig } = require("../config/configLoader");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+const {
+    rehydrationExtractor,
+    sigiStateExtractor,
+    nextDataExtractor,
+} = require("./pageExtractors");
+const { apiExtractor } = require("./apiExtractor");
+const { oembedExtractor } = require("./oembedExtractor");
+
+/**
+ * Error categories meaning the post itself is unavailable, which no other
+ * extractor can work around
+ * @constant {string[]}
+ * @private
+ */
+const UNAVAILABLE_CATEGORIES = [
+    ERROR_CATEGORIES.NOT_FOUND,
+    ERROR_CATEGORIES.FORBIDDEN,
+    ERROR_CATEGORIES.PRIVATE,
+    ERROR_CATEGORIES.REMOVED,
+];
+
+/**
+ * Registered extractors, keyed by name
+ * @type {Map<string, Object>}
+ * @private
+ */
+const extractors = new Map();
+
+/**
+ * Attempt counters, keyed by "<type>:<name>"
+ * @type {Map<string, Object>}
+ * @private
+ */
+const stats = new Map();
+
+/**
+ * Registers an extractor, replacing any extractor with the same name
+ *
+ * @param {Object} extractor - Extractor object (see module description)
+ * @throws {Error} If the extractor is missing a name, types or extract function
+ *
+ * @example
+ * registerExtractor({
+ *     name: "mirror",
+ *     types: ["video"],
+ *     providesMedia: true,
+ *     extract: async ({ url }) => fetchFromMirror(url),
+ * });
+ */
+const registerExtractor = (extractor) => {
+    if (
+        !extractor?.name ||
+        !Array.isArray(extractor.types) ||
+        typeof extractor.extract !== "function"
+    ) {
+        throw new Error("Extractors need a name, types and an extract function");
+    }
+    extractors.set(extractor.name, extractor);
+};
+
+/**
+ * Returns the recorded counters of an extractor, creating them if needed
+ *
+ * @param {string} type - Media type
+ * @param {string} name - Extractor name
+ * @returns {Object} Counters with `attempts` and `successes`
+ * @private
+ */
+const getStats = (type, name) => {
+    const key = `${type}:${name}`;
+    if (!stats.has(key)) stats.set(key, { attempts: 0, successes: 0 });
+    return stats.get(key);
+};
+
+/**
+ * Scores an extractor by its smoothed success rate
+ *
+ * Untried extractors score 0.5, so one early failure does not bury an
+ * extractor and one early success does not promote it past proven ones.
+ *
+ * @param {string} type - Media type
+ * @param {string} name - Extractor name
+ * @returns {number} Score between 0 and 1
+ * @private
+ */
+const getScore = (type, name) => {
+    const { attempts, successes } = getStats(type, name);
+    return (successes + 1) / (attempts + 2);
+};
+
+/**
+ * Returns the extractors to try for a media type, best first
+ *
+ * @param {string} type - Media type, "video" or "photo"
+ * @param {Object} [options={}] - Selection options
+ * @param {string[]} [options.order] - Enabled extractor names in preferred
+ *   order (default: the `videoExtractors` / `photoExtractors` setting)
+ * @param {boolean} [options.requireMedia=true] - Skip metadata-only extractors
+ * @returns {Object[]} Extractors sorted by success rate, then configured order
+ * @throws {Error} If the order names an unregistered extractor or one that
+ *   cannot read this media type
+ */
+const getExtractorChain = (type, options = {}) => {
+    const { requireMedia = true } = options;
+    const order = options.order || getConfig()[`${type}Extractors`];
+
+    const chain = order.map((name) => {
+        const extractor = extractors.get(name);
+        if (!extractor) {
+            throw new Error(
+                `Unknown extractor "${name}" (registered: ${[
+                    ...extractors.keys(),
+                ].join(", ")})`
+            );
+        }
+        if (!extractor.types.includes(type)) {
+            throw new Error(`Extractor "${name}" cannot read ${type} posts`);
+        }
+        return extractor;
+    });
+
+    return chain
+        .filter((extractor) => !requireMedia || extractor.providesMedia)
+        .map((extractor, index) => ({
+            extractor,
+            index,
+            score: getScore(type, extractor.name),
+        }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ extractor }) => extractor);
+};
+
+/**
+ * Creates the page loader shared by the extractors of one post
+ *
+ * Pages that are unreachable after retries resolve to null so the chain can
+ * move on to extractors that do not need the page; unavailable posts throw.
+ *
+ * @param {string} url - Post URL
+ * @returns {Function} Function returning a promise of the parsed page or null
+ * @private
+ */
+const createPageLoader = (url) => {
+    let page = null;
+    return () => {
+        page =
+            page ||
+            handleHtml(url).then(getDocument, (error) => {
+                if (UNAVAILABLE_CATEGORIES.includes(error.category)) throw error;
+                return null;
+            });
+        return page;
+    };
+};
+
+/**
+ * Runs the extractor chain for a post until one extractor succeeds
+ *
+ * Extractors returning null or throwing are recorded as failures and the
+ * next one is tried. Errors meaning the post is missing, forbidden, private
+ * or removed stop the chain immediately, and so does a video without any
+ * variant in the requested codec. With a codec other than "any", video
+ * extractors that cannot select a codec (no `selectsCodec`) are skipped, so
+ * a post is never saved in another codec than the one asked for.
+ *
+ * @async
+ * @param {string} url - Canonical post URL
+ * @param {string} type - Media type, "video" or "photo"
+ * @param {Object} [options={}] - Options, as for {@link getExtractorChain}, plus:
+ * @param {string|number} [options.quality] - Video quality to select
+ *   (default: the `quality` setting)
+ * @param {string} [options.codec] - Video codec to select (default: the
+ *   `codec` setting)
+ * @returns {Promise<Object>} Result of the successful extractor (`videoData`
+ *   or `photoData`, and `metadata`) plus `method`, the extractor name
+ * @throws {DownloadError} The error of the last extractor if all of them fail,
+ *   or the error that marked the post as unavailable
+ *
+ * @example
+ * const { method, videoData, metadata } = await runExtractors(url, "video");
+ */
+const runExtractors = async (url, type, options = {}) => {
+    const {
+        quality = getConfig().quality,
+        codec = getConfig().codec,
+    } = options;
+    const context = {
+        url,
+        type,
+        quality,
+        codec,
+        loadPage: createPageLoader(url),
+    };
+    const { requireMedia = true } = options;
+    let lastError = null;
+
+    for (const extractor of getExtractorChain(type, options)) {
+        if (
+            type === "video" &&
+            requireMedia &&
+            codec !== "any" &&
+            !extractor.selectsCodec
+        ) {
+            console.log(
+                `Skipping ${extractor.name} extraction: it cannot select the ${codec} codec`
+            );
+            continue;
+        }
+
+        const counters = getStats(type, extractor.name);
+        try {
+            const result = await extractor.extract(context);
+            counters.attempts++;
+            if (result) {
+                counters.successes++;
+                console.log(`METHOD: ${extractor.name} extraction successful`);
+                return { method: extractor.name, ...result };
+            }
+            console.log(`${extractor.name} extraction found no data`);
+        } catch (error) {
+            if (UNAVAILABLE_CATEGORIES.includes(error.category)) throw error;
+            if (error.category === ERROR_CATEGORIES.FORMAT_UNAVAILABLE) {
+                console.log(`${extractor.name} extraction: ${error.message}`);
+                throw error;
+            }
+            counters.attempts++;
+            lastError = error;
+            console.log(`${extractor.name} extraction failed: ${error.message}`);
+        }
+    }
+
+    throw (
+        lastError ||
+        new FatalError(`No extractor could read this ${type} post`, {
+            category: ERROR_CATEGORIES.EXTRACTION,
+            url,
+        })
+    );
+};
+
+/**
+ * Returns the recorded health of every extractor that has been tried
+ *
+ * @returns {Object[]} Entries with `type`, `name`, `attempts`, `successes`
+ *   and `successRate` (0-1)
+ */
+const getExtractorStats = () =>
+    [...stats.entries()]
+        .filter(([, counters]) => counters.attempts > 0)
+        .map(([key, counters]) => {
+            const [type, name] = key.split(":");
+            return {
+                type,
+                name,
+                ...counters,
+                successRate: counters.successes / counters.attempts,
+            };
+        });
+
+/**
+ * Clears the recorded extractor health
+ */
+const resetExtractorStats = () => stats.clear();
+
+[
+    rehydrationExtractor,
+    sigiStateExtractor,
+    nextDataExtractor,
+    apiExtractor,
+    oembedExtractor,
+].forEach(registerExtractor);
+
+module.exports = {
+    registerExtractor,
+    getExtractorChain,
+    runExtractors,
+    getExtractorStats,
+    resetExtractorStats,
+};
@@ -0,0 +1,347 @@
+/**
+ * Metadata Normalizer Module
+ *
+ * Converts the post data returned by the different extraction methods into a
+ * single metadata schema. The embedded page data (`itemStruct`), the backup
+ * API response and the oEmbed response describe the same post with different
+ * field names; everything downstream (sidecar files, reports, library
+ * results) only sees the normalized form.
+ *
+ * @module metadataNormalizer
+ */
+
+/**
+ * Matches hashtags inside a caption
+ * @constant {RegExp}
+ * @private
+ */
+const HASHTAG_REGEX = /#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * Matches user mentions inside a caption
+ * @constant {RegExp}
+ * @private
+ */
+const MENTION_REGEX = /@([\w.]+)/g;
+
+/**
+ * Converts a value to a number, keeping null for missing values
+ *
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} The number, or null if not numeric
+ * @private
+ */
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Returns the first element of an array, or the value itself
+ *
+ * @param {*} value - Array or scalar
+ * @returns {*} First element or the value
+ * @private
+ */
+const first = (value) => (Array.isArray(value) ? value[0] : value) ?? null;
+
+/**
+ * Removes duplicates while keeping the first occurrence order
+ *
+ * @param {string[]} values - Values to deduplicate
+ * @returns {string[]} Unique values
+ * @private
+ */
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Collects all regex capture groups from a caption
+ *
+ * @param {string} caption - Post caption
+ * @param {RegExp} regex - Global regex with one capture group
+ * @returns {string[]} Captured values
+ * @private
+ */
+const matchAll = (caption, regex) =>
+    [...(caption || "").matchAll(regex)].map((match) => match[1]);
+
+/**
+ * Assembles the normalized metadata object
+ *
+ * @param {Object} fields - Normalized fields
+ * @returns {Object} Metadata in the shared schema
+ * @private
+ */
+const buildMetadata = (fields) => {
+    const caption = fields.caption || "";
+    return {
+        id: fields.id ? String(fields.id) : null,
+        type: fields.type,
+        url: fields.url,
+        caption,
+        hashtags: unique([
+            ...(fields.hashtags || []),
+            ...matchAll(caption, HASHTAG_REGEX),
+        ]),
+        mentions: unique([
+            ...(fields.mentions || []),
+            ...matchAll(caption, MENTION_REGEX),
+        ]),
+        createTime: toNumber(fields.createTime),
+        createdAt: toNumber(fields.createTime)
+            ? new Date(toNumber(fields.createTime) * 1000).toISOString()
+            : null,
+        author: fields.author,
+        stats: fields.stats,
+        music: fields.music,
+        video: fields.video,
+        images: fields.images,
+        extraction: {
+            method: fields.method,
+            extractedAt: new Date().toISOString(),
+        },
+    };
+};
+
+/**
+ * Normalizes the `itemStruct` object from TikTok's rehydration JSON
+ *
+ * @param {Object} itemStruct - Item structure from `webapp.video-detail`
+ * @param {Object} [context={}] - Extraction context
+ * @param {string} [context.method="rehydration"] - Extractor used
+ * @param {string} [context.url] - Canonical post URL
+ * @param {string} [context.videoUrl] - Chosen video download URL
+ * @param {Object} [context.variant] - Chosen video variant (see variantSelector);
+ *   its dimensions, bitrate and codec describe the downloaded file
+ * @param {string[]} [context.imageUrls] - Chosen image download URLs
+ * @returns {Object} Metadata in the shared schema:
+ *   id, type, url, caption, hashtags, mentions, createTime, createdAt,
+ *   author, stats, music, video, images, extraction
+ */
+const normalizeItemStruct = (itemStruct, context = {}) => {
+    const author = itemStruct.author || {};
+    const authorStats = itemStruct.authorStats || {};
+    const stats = { ...itemStruct.stats, ...itemStruct.statsV2 };
+    const music = itemStruct.music;
+    const video = itemStruct.video;
+    const variant = context.variant || {};
+    const images = itemStruct.imagePost?.images;
+    const textExtra = itemStruct.textExtra || [];
+
+    return buildMetadata({
+        id: itemStruct.id,
+        type: images?.length ? "photo" : "video",
+        url: context.url || null,
+        caption: itemStruct.desc,
+        hashtags: [
+            ...textExtra.map((extra) => extra.hashtagName),
+            ...(itemStruct.challenges || []).map((tag) => tag.title),
+        ],
+        mentions: textExtra.map((extra) => extra.userUniqueId),
+        createTime: itemStruct.createTime,
+        author: {
+            id: author.id || null,
+            uniqueId: author.uniqueId || null,
+            nickname: author.nickname || null,
+            secUid: author.secUid || null,
+            signature: author.signature || null,
+            verified: Boolean(author.verified),
+            avatarUrl: author.avatarLarger || author.avatarMedium || null,
+            followers: toNumber(authorStats.followerCount),
+            following: toNumber(authorStats.followingCount),
+            likes: toNumber(authorStats.heartCount ?? authorStats.heart),
+            videos: toNumber(authorStats.videoCount),
+        },
+        stats: {
+            plays: toNumber(stats.playCount),
+            likes: toNumber(stats.diggCount),
+            shares: toNumber(stats.shareCount),
+            comments: toNumber(stats.commentCount),
+            saves: toNumber(stats.collectCount),
+        },
+        music: music
+            ? {
+                  id: music.id ? String(music.id) : null,
+                  title: music.title || null,
+                  author: music.authorName || null,
+                  album: music.album || null,
+                  duration: toNumber(music.duration),
+                  original: Boolean(music.original),
+                  playUrl: music.playUrl || null,
+                  coverUrl: music.coverLarge || null,
+              }
+            : null,
+        video:
+            video && !images?.length
+                ? {
+                      duration: toNumber(video.duration),
+                      width: toNumber(variant.width ?? video.width),
+                      height: toNumber(variant.height ?? video.height),
+                      ratio: video.ratio || null,
+                      format: video.format || null,
+                      bitrate: toNumber(variant.bitrate ?? video.bitrate),
+                      codec: variant.codec || video.codecType || null,
+                      coverUrl: video.cover || null,
+                      downloadUrl: context.videoUrl || null,
+                  }
+                : null,
+        images: images?.length
+            ? images.map((image, i) => ({
+                  url:
+                      context.imageUrls?.[i] || first(image.imageURL?.urlList),
+                  width: toNumber(image.imageWidth),
+                  height: toNumber(image.imageHeight),
+              }))
+            : null,
+        method: context.method || "rehydration",
+    });
+};
+
+/**
+ * Normalizes a post returned by the backup TikTok downloader API
+ *
+ * @param {Object} apiData - `result` object from the API response
+ * @param {Object} [context={}] - Extraction context
+ * @param {string} [context.method="api"] - Extraction method used
+ * @param {string} [context.url] - Canonical post URL
+ * @returns {Object} Metadata in the same schema as {@link normalizeItemStruct}
+ */
+const normalizeApiResult = (apiData, context = {}) => {
+    const author = apiData.author || {};
+    const stats = apiData.statistics || apiData.stats || {};
+    const music = apiData.music;
+    const video = apiData.video;
+    const isPhoto = apiData.type === "image";
+
+    return buildMetadata({
+        id: apiData.id,
+        type: isPhoto ? "photo" : "video",
+        url: context.url || null,
+        caption: apiData.description || apiData.desc,
+        hashtags: apiData.hashtag || apiData.hashtags || [],
+        mentions: [],
+        createTime: apiData.createTime,
+        author: {
+            id: author.uid || author.id || null,
+            uniqueId: author.username || author.uniqueId || null,
+            nickname: author.nickname || null,
+            secUid: author.secUid || null,
+            signature: author.signature || null,
+            verified: Boolean(author.verified),
+            avatarUrl: first(author.avatarLarger || author.avatarThumb),
+            followers: toNumber(author.followerCount),
+            following: toNumber(author.followingCount),
+            likes: toNumber(author.heartCount),
+            videos: toNumber(author.videoCount),
+        },
+        stats: {
+            plays: toNumber(stats.playCount),
+            likes: toNumber(stats.likeCount ?? stats.diggCount),
+            shares: toNumber(stats.shareCount),
+            comments: toNumber(stats.commentCount),
+            saves: toNumber(stats.collectCount),
+        },
+        music: music
+            ? {
+                  id: music.id ? String(music.id) : null,
+                  title: music.title || null,
+                  author: music.author || music.authorName || null,
+                  album: music.album || null,
+                  duration: toNumber(music.duration),
+                  original: Boolean(music.original),
+                  playUrl: first(music.playUrl),
+                  coverUrl: first(music.coverLarge),
+              }
+            : null,
+        video:
+            video && !isPhoto
+                ? {
+                      duration: toNumber(video.duration),
+                      width: toNumber(video.width),
+                      height: toNumber(video.height),
+                      ratio: video.ratio || null,
+                      format: video.format || null,
+                      bitrate: toNumber(video.bitrate),
+                      codec: null,
+                      coverUrl: first(video.cover),
+                      downloadUrl: first(video.playAddr),
+                  }
+                : null,
+        images: isPhoto
+            ? (apiData.images || []).map((url) => ({
+                  url,
+                  width: null,
+                  height: null,
+              }))
+            : null,
+        method: context.method || "api",
+    });
+};
+
+/**
+ * Normalizes a TikTok oEmbed response
+ *
+ * oEmbed only describes the post and its author, so stats, music and media
+ * fields are left empty.
+ *
+ * @param {Object} oembed - oEmbed response body
+ * @param {Object} [context={}] - Extraction context
+ * @param {string} [context.method="oembed"] - Extractor used
+ * @param {string} [context.url] - Canonical post URL
+ * @param {string} [context.type="video"] - Post type, "video" or "photo"
+ * @returns {Object} Metadata in the same schema as {@link normalizeItemStruct}
+ */
+const normalizeOEmbed = (oembed, context = {}) =>
+    buildMetadata({
+        id: oembed.embed_product_id,
+        type: context.type || "video",
+        url: context.url || null,
+        caption: oembed.title,
+        hashtags: [],
+        mentions: [],
+        createTime: null,
+        author: {
+            id: null,
+            uniqueId: oembed.author_unique_id || null,
+            nickname: oembed.author_name || null,
+            secUid: null,
+            signature: null,
+            verified: false,
+            avatarUrl: null,
+            followers: null,
+            following: null,
+            likes: null,
+            videos: null,
+        },
+        stats: {
+            plays: null,
+            likes: null,
+            shares: null,
+            comments: null,
+            saves: null,
+        },
+        music: null,
+        video:
+            context.type === "photo"
+                ? null
+                : {
+                      duration: null,
+                      width: toNumber(oembed.thumbnail_width),
+                      height: toNumber(oembed.thumbnail_height),
+                      ratio: null,
+                      format: null,
+                      bitrate: null,
+                      codec: null,
+                      coverUrl: oembed.thumbnail_url || null,
+                      downloadUrl: null,
+                  },
+        images: null,
+        method: context.method || "oembed",
+    });
+
+module.exports = {
+    normalizeItemStruct,
+    normalizeApiResult,
+    normalizeOEmbed,
+};
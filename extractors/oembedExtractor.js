@@ -0,0 +1,32 @@
+/**
+ * oEmbed Extractor Module
+ *
+ * Metadata-only extractor backed by TikTok's oEmbed endpoint. It cannot
+ * download anything, but it still describes posts when every page and API
+ * extractor fails, so `getInfo` can return the caption and author.
+ *
+ * @module oembedExtractor
+ * @requires oembedService
+ * @requires metadataNormalizer
+ */
+
+const { getOEmbedInfo } = require("../services/oembedService");
+const { normalizeOEmbed } = require("./metadataNormalizer");
+
+/**
+ * Extractor for the oEmbed endpoint
+ * @constant {Object}
+ */
+const oembedExtractor = {
+    name: "oembed",
+    types: ["video", "photo"],
+    providesMedia: false,
+    extract: async ({ url, type }) => {
+        const oembed = await getOEmbedInfo(url);
+        return { metadata: normalizeOEmbed(oembed, { url, type }) };
+    },
+};
+
+module.exports = {
+    oembedExtractor,
+};
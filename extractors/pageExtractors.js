@@ -0,0 +1,108 @@
+/**
+ * Page Extractors Module
+ *
+ * Extractors that read a post from the JSON TikTok embeds in the post page.
+ * TikTok has moved this data between several scripts over time, so there is
+ * one extractor per known location:
+ * - `rehydration`: the current `__UNIVERSAL_DATA_FOR_REHYDRATION__` script
+ * - `sigi-state`: the legacy `SIGI_STATE` script or `window['SIGI_STATE']` assignment
+ * - `next-data`: the legacy Next.js `__NEXT_DATA__` script
+ *
+ * All of them read both video posts and photo carousels, and share the page
+ * fetched once per post by the extractor registry.
+ *
+ * @module pageExtractors
+ * @requires htmlService
+ * @requires dataExtractor
+ */
+
+const { getScriptText } = require("../services/htmlService");
+const {
+    extractVideoDataFromJson,
+    extractPhotoDataFromJson,
+} = require("./dataExtractor");
+
+/**
+ * Matches the legacy inline `window['SIGI_STATE'] = {...};` assignment
+ * @constant {RegExp}
+ * @private
+ */
+const SIGI_ASSIGNMENT_REGEX =
+    /window\[['"]SIGI_STATE['"]\]\s*=\s*(\{.*?\});\s*(?:window\[|$)/s;
+
+/**
+ * Creates an extractor that reads post data from an embedded JSON script
+ *
+ * @param {string} name - Extractor name, also the JSON source passed to dataExtractor
+ * @param {Function} findJson - Returns the raw JSON string from the parsed page
+ * @returns {Object} Extractor (see extractorRegistry)
+ * @private
+ */
+const createPageExtractor = (name, findJson) => ({
+    name,
+    types: ["video", "photo"],
+    providesMedia: true,
+    selectsCodec: true,
+    extract: async ({ url, type, loadPage, quality, codec }) => {
+        const $ = await loadPage();
+        const rawJSON = $ && findJson($);
+        if (!rawJSON) return null;
+
+        if (type === "photo") {
+            const photoData = extractPhotoDataFromJson(rawJSON, name);
+            return photoData
+                ? { photoData, metadata: { ...photoData.metadata, url } }
+                : null;
+        }
+
+        const videoData = extractVideoDataFromJson(rawJSON, name, {
+            quality,
+            codec,
+        });
+        return videoData
+            ? { videoData, metadata: { ...videoData.metadata, url } }
+            : null;
+    },
+});
+
+/**
+ * Extractor for the `__UNIVERSAL_DATA_FOR_REHYDRATION__` script
+ * @constant {Object}
+ */
+const rehydrationExtractor = createPageExtractor(
+    "rehydration",
+    ($) => getScriptText($, "#__UNIVERSAL_DATA_FOR_REHYDRATION__")
+);
+
+/**
+ * Extractor for the legacy `SIGI_STATE` data
+ * @constant {Object}
+ */
+const sigiStateExtractor = createPageExtractor(
+    "sigi-state",
+    ($) => {
+        const script = getScriptText($, "#SIGI_STATE");
+        if (script) return script;
+
+        const inline = $("script")
+            .toArray()
+            .map((element) => element.children?.[0]?.data || "")
+            .find((text) => text.includes("SIGI_STATE"));
+        return inline?.match(SIGI_ASSIGNMENT_REGEX)?.[1] || null;
+    }
+);
+
+/**
+ * Extractor for the legacy `__NEXT_DATA__` script
+ * @constant {Object}
+ */
+const nextDataExtractor = createPageExtractor(
+    "next-data",
+    ($) => getScriptText($, "#__NEXT_DATA__")
+);
+
+module.exports = {
+    rehydrationExtractor,
+    sigiStateExtractor,
+    nextDataExtractor,
+};
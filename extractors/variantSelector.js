@@ -0,0 +1,223 @@
+/**
+ * Variant Selector Module
+ *
+ * TikTok encodes every video several times and lists the encodings in
+ * `video.bitrateInfo`: different resolutions, bitrates and codecs (H.264, or
+ * H.265 which TikTok calls "bytevc1"), each with a `PlayAddr.UrlList` of CDN
+ * mirrors. This module turns those entries into variants and ranks them
+ * against the `quality` and `codec` settings.
+ *
+ * Resolutions are measured on the shorter side, as in "720p", so a portrait
+ * 720x1280 video and a landscape 1280x720 video are both 720p.
+ *
+ * @module variantSelector
+ * @requires errors
+ */
+
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Accepted values of the `codec` setting
+ * @constant {string[]}
+ */
+const CODECS = ["h264", "h265", "any"];
+
+/**
+ * Named values of the `quality` setting; a resolution such as 720 is also accepted
+ * @constant {string[]}
+ */
+const QUALITY_PRESETS = ["best", "worst"];
+
+/**
+ * Codec preference when any codec is accepted: H.264 plays everywhere
+ * @constant {Object<string, number>}
+ * @private
+ */
+const CODEC_RANK = { h264: 2, h265: 1 };
+
+/**
+ * Validates a `quality` value
+ *
+ * @param {string|number} value - "best", "worst" or a resolution such as 720 or "720p"
+ * @returns {string|number|null} "best", "worst" or the resolution, or null if invalid
+ *
+ * @example
+ * parseQuality("720p"); // 720
+ * parseQuality("best"); // "best"
+ * parseQuality("high"); // null
+ */
+const parseQuality = (value) => {
+    if (QUALITY_PRESETS.includes(value)) return value;
+    const match = /^([1-9]\d*)p?$/i.exec(String(value).trim());
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Maps TikTok codec names to "h264" or "h265"
+ *
+ * @param {string} [codecType] - Codec name, e.g. "h264", "h265_hvc1" or "bytevc1"
+ * @returns {string|null} Normalized codec, or null if unknown
+ * @private
+ */
+const normalizeCodec = (codecType) => {
+    const name = String(codecType || "").toLowerCase();
+    if (/264|avc/.test(name)) return "h264";
+    if (/265|hevc|hvc|bytevc1/.test(name)) return "h265";
+    return null;
+};
+
+/**
+ * Returns the resolution of a variant, the shorter side of its frame
+ *
+ * @param {number} [width] - Frame width
+ * @param {number} [height] - Frame height
+ * @param {string} [gearName] - TikTok encoding name, e.g. "normal_720_0"
+ * @returns {number|null} Resolution, or null if unknown
+ * @private
+ */
+const getResolution = (width, height, gearName) => {
+    if (width > 0 && height > 0) return Math.min(width, height);
+    const match = /_(\d{3,4})_/.exec(gearName || "");
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Lists the downloadable variants of a video
+ *
+ * Reads `bitrateInfo`, falling back to the single `playAddr` of older
+ * responses.
+ *
+ * @param {Object} video - `video` object of an item structure
+ * @returns {Object[]} Variants, in TikTok's order, containing:
+ *   - urls: Mirror URLs of the variant
+ *   - width, height, resolution, bitrate: Numbers, or null if unknown
+ *   - codec: "h264", "h265" or null
+ *   - gearName: TikTok encoding name, or null
+ */
+const getVideoVariants = (video) => {
+    const variants = (video.bitrateInfo || []).map((info) => {
+        const playAddr = info.PlayAddr || {};
+        return {
+            urls: (playAddr.UrlList || []).filter(
+                (url) => typeof url === "string" && url
+            ),
+            width: playAddr.Width || null,
+            height: playAddr.Height || null,
+            resolution: getResolution(
+                playAddr.Width,
+                playAddr.Height,
+                info.GearName
+            ),
+            bitrate: info.Bitrate || null,
+            codec: normalizeCodec(info.CodecType),
+            gearName: info.GearName || null,
+        };
+    });
+
+    if (variants.length === 0 && typeof video.playAddr === "string") {
+        variants.push({
+            urls: [video.playAddr],
+            width: video.width || null,
+            height: video.height || null,
+            resolution: getResolution(video.width, video.height),
+            bitrate: video.bitrate || null,
+            codec: normalizeCodec(video.codecType),
+            gearName: null,
+        });
+    }
+
+    return variants.filter((variant) => variant.urls.length > 0);
+};
+
+/**
+ * Ranks video variants for the `quality` and `codec` settings, best match first
+ *
+ * - `best` ranks by resolution, then bitrate, highest first
+ * - `worst` ranks by resolution, then bitrate, lowest first
+ * - a resolution such as 720 prefers the largest variants at or below it,
+ *   and only falls back to the smallest ones above it
+ *
+ * Remaining ties go to H.264. With a codec other than "any", variants in
+ * another codec are dropped; variants of unknown codec are kept behind the
+ * matching ones.
+ *
+ * @param {Object[]} variants - Variants from {@link getVideoVariants}
+ * @param {Object} [options={}] - Selection options
+ * @param {string|number} [options.quality="best"] - "best", "worst" or a resolution
+ * @param {string} [options.codec="any"] - "h264", "h265" or "any"
+ * @returns {Object[]} Ranked variants
+ * @throws {FatalError} If no variant has the requested codec, with category
+ *   "format_unavailable"; other extractors would not find one either
+ *
+ * @example
+ * const [variant] = rankVideoVariants(getVideoVariants(video), {
+ *     quality: 720,
+ *     codec: "h264",
+ * });
+ */
+const rankVideoVariants = (variants, options = {}) => {
+    const { quality = "best", codec = "any" } = options;
+
+    const candidates =
+        codec === "any"
+            ? variants
+            : variants.filter(
+                  (variant) => variant.codec === codec || variant.codec === null
+              );
+    if (candidates.length === 0) {
+        throw new FatalError(
+            `No ${codec} variant available (found: ${variants
+                .map(describeVariant)
+                .join(", ")})`,
+            { category: ERROR_CATEGORIES.FORMAT_UNAVAILABLE }
+        );
+    }
+
+    const limit = typeof quality === "number" ? quality : Infinity;
+    const direction = quality === "worst" ? -1 : 1;
+    const resolution = (variant) => variant.resolution || 0;
+    // Variants above the requested resolution rank last, smallest first
+    const tier = (variant) => (resolution(variant) > limit ? 1 : 0);
+    const size = (variant) =>
+        tier(variant) ? -resolution(variant) : resolution(variant);
+
+    return [...candidates].sort(
+        (a, b) =>
+            tier(a) - tier(b) ||
+            Number(b.codec === codec || codec === "any") -
+                Number(a.codec === codec || codec === "any") ||
+            direction * (size(b) - size(a)) ||
+            direction * ((b.bitrate || 0) - (a.bitrate || 0)) ||
+            (CODEC_RANK[b.codec] || 0) - (CODEC_RANK[a.codec] || 0)
+    );
+};
+
+/**
+ * Describes a variant for log messages
+ *
+ * @param {Object} variant - Variant from {@link getVideoVariants}
+ * @returns {string} Description, e.g. "720p h264 1.2 Mbps"
+ *
+ * @example
+ * describeVariant({ resolution: 720, codec: "h265", bitrate: 854000 });
+ * // "720p h265 0.9 Mbps"
+ */
+const describeVariant = (variant) =>
+    [
+        variant.resolution ? `${variant.resolution}p` : "unknown resolution",
+        variant.codec || "unknown codec",
+        variant.bitrate
+            ? `${(variant.bitrate / 1e6).toFixed(1)} Mbps`
+            : null,
+    ]
+        .filter(Boolean)
+        .join(" ");
+
+module.exports = {
+    CODECS,
+    QUALITY_PRESETS,
+    parseQuality,
+    getVideoVariants,
+    rankVideoVariants,
+    describeVariant,
+};
@@ -2,36 +2,351 @@
  * TikTok Media Downloader Application
  *
  * Main application module that orchestrates the downloading of TikTok videos and photos.
+ * Running it directly starts the command-line interface; requiring it exposes the
+ * programmatic API (`download`, `downloadMany`, `getInfo`, `processUrls`).
  * Features include:
+ * - Command-line interface for URLs, URL list files and stdin
  * - URL validation
  * - Automatic media type detection (photo/video)
+ * - Profile, hashtag, sound and collection URLs expanded into their posts,
+ *   with date, type and count filters
  * - Rate limiting protection
  * - Parallel download management
  * - Error handling and recovery
  *
  * @module index
+ * @requires fs
  * @requires urlUtils
+ * @requires resultUtils
+ * @requires concurrencyUtils
+ * @requires networkUtils
+ * @requires errors
+ * @requires resolverService
  * @requires videoProcessor
  * @requires photoProcessor
+ * @requires slideshowService
+ * @requires extractorRegistry
+ * @requires expanderRegistry
+ * @requires argParser
+ * @requires inputReader
+ * @requires archiveService
+ * @requires verifyService
+ * @requires reportService
+ * @requires fileUtils
+ * @requires configLoader
+ * @requires apiServer
+ * @requires watchService
  */
 
-const { validateURL } = require("./utils/urlUtils");
+const fs = require("fs");
+const { parseTikTokUrl, validateURL } = require("./utils/urlUtils");
+const { createResult } = require("./utils/resultUtils");
+const { createQueue } = require("./utils/concurrencyUtils");
+const {
+    configureNetworkLimits,
+    configureRetry,
+} = require("./utils/networkUtils");
+const { FatalError, ERROR_CATEGORIES } = require("./utils/errors");
+const { resolveUrl } = require("./services/resolverService");
 const { processVideoPost } = require("./processors/videoProcessor");
 const { processPhotoPost } = require("./processors/photoProcessor");
+const { getFfmpegPath } = require("./services/slideshowService");
+const {
+    runExtractors,
+    getExtractorStats,
+} = require("./extractors/extractorRegistry");
+const { isExpandable, expandUrl } = require("./expanders/expanderRegistry");
+const { parseArgs, HELP_TEXT } = require("./cli/argParser");
+const { readUrlList } = require("./cli/inputReader");
+const { rebuildArchive } = require("./services/archiveService");
+const {
+    verifyFiles,
+    formatVerifyEntry,
+} = require("./services/verifyService");
+const { writeReport } = require("./services/reportService");
+const { getTotalFileSize } = require("./utils/fileUtils");
+const { loadConfig, formatConfig } = require("./config/configLoader");
+const { startApiServer } = require("./server/apiServer");
+const { watchInbox } = require("./services/watchService");
 
 /**
- * Processes multiple TikTok URLs sequentially
+ * Identifies the post a TikTok URL points to
+ *
+ * Parses the URL, resolving share links to their canonical form first, and
+ * makes sure the result is a single video or photo post.
+ *
+ * @async
+ * @param {string} url - TikTok URL, short or canonical
+ * @returns {Promise<Object>} Post identity from {@link module:urlUtils.parseTikTokUrl}
+ *   with kind "video" or "photo"
+ * @throws {Error} If the URL is invalid, cannot be resolved, or is not a post
+ * @private
+ */
+const identifyPost = async (url) => {
+    let post = parseTikTokUrl(url);
+    if (post.kind === "short") {
+        post = parseTikTokUrl(await resolveUrl(post.canonicalUrl));
+    }
+
+    if (post.kind !== "video" && post.kind !== "photo") {
+        throw new FatalError(
+            `Not a video or photo post (${post.kind} page): ${url}`,
+            { category: ERROR_CATEGORIES.INVALID_URL }
+        );
+    }
+    return post;
+};
+
+/**
+ * Detects the media type of a URL without throwing
+ *
+ * Errors are swallowed here; they surface again, with a proper result, when
+ * the URL is downloaded.
+ *
+ * @async
+ * @param {string} url - TikTok URL, short or canonical
+ * @returns {Promise<string|null>} "photo", "video", or null if unknown
+ * @private
+ */
+const detectTypeSafely = async (url) => {
+    try {
+        return (await identifyPost(url)).kind;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Downloads a single TikTok post
+ *
+ * Parses the URL, resolves share links to their canonical form and hands the
+ * post to the processor matching its media type. Never throws for per-URL
+ * problems; failures are reported in the returned result.
+ *
+ * @async
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Download options
+ * @param {string} [options.videoDir] - Directory videos are saved to
+ * @param {string} [options.imageDir] - Directory images are saved to
+ * @param {string} [options.downloadArchive] - Archive file of downloaded post IDs
+ * @param {boolean} [options.force=false] - Download even if the post is archived
+ * @param {boolean} [options.writeInfoJson=false] - Write `.info.json` metadata sidecars
+ * @param {boolean} [options.comments=false] - Write `.comments.json` comment sidecars
+ * @param {number} [options.maxComments=500] - Maximum number of comments
+ *   exported per post
+ * @param {string[]} [options.subs] - Caption languages to download, or
+ *   `["all"]`
+ * @param {string} [options.subFormat="vtt"] - "vtt" or "srt"
+ * @param {boolean} [options.writeCaption=false] - Write `.txt` caption sidecars
+ * @param {boolean} [options.slideshow=false] - Render photo posts into MP4
+ *   slideshows
+ * @param {number} [options.slideDuration=3] - Seconds each slideshow photo is shown
+ * @param {string} [options.slideshowSize="1080x1920"] - Slideshow resolution
+ * @param {boolean} [options.embedMetadata=true] - Embed the caption, author,
+ *   date and source in downloaded videos and JPEG images
+ * @param {string} [options.videoTemplate] - Filename template for videos
+ * @param {string} [options.imageTemplate] - Filename template for images
+ * @param {string} [options.onCollision="rename"] - "rename", "overwrite" or "skip"
+ * @param {string} [options.dedupe="link"] - Duplicate videos and images:
+ *   "link", "skip" or "off"
+ * @param {string|number} [options.quality="best"] - "best", "worst" or a
+ *   resolution such as 720
+ * @param {string} [options.codec="any"] - "h264", "h265" or "any"
+ * @returns {Promise<Object>} Processing result with `status`, `method`,
+ *   `files`, `metadata`, `error`, `bytes` and `durationMs` (see
+ *   {@link module:resultUtils.createResult}), plus the post `id` and the
+ *   canonical `resolvedUrl` it was fetched from
+ *
+ * @example
+ * const { download } = require("tiktok-downloader");
+ * const result = await download("https://www.tiktok.com/@user/video/123", {
+ *     videoDir: "/srv/media",
+ * });
+ * console.log(result.status, result.files);
+ */
+const download = async (url, options = {}) => {
+    const startedAt = Date.now();
+
+    let post;
+    try {
+        post = await identifyPost(url);
+    } catch (error) {
+        console.error(error.message);
+        const result = createResult(url);
+        result.status = "failed";
+        result.error = error;
+        result.durationMs = Date.now() - startedAt;
+        return result;
+    }
+
+    const resolvedUrl = post.canonicalUrl;
+    const result =
+        post.kind === "photo"
+            ? await processPhotoPost(resolvedUrl, options)
+            : await processVideoPost(resolvedUrl, options);
+
+    return {
+        ...result,
+        url,
+        resolvedUrl,
+        id: post.id,
+        bytes: getTotalFileSize(result.files),
+        durationMs: Date.now() - startedAt,
+    };
+};
+
+/**
+ * Retrieves metadata for a TikTok post without downloading any media
+ *
+ * Metadata-only extractors such as oEmbed take part in the chain, so a
+ * basic description is returned even when no media extractor works.
+ *
+ * @async
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.videoExtractors] - Extractors to try for videos
+ * @param {string[]} [options.photoExtractors] - Extractors to try for photo posts
+ * @param {string|number} [options.quality] - Video quality to select
+ * @param {string} [options.codec] - Video codec to select
+ * @returns {Promise<Object>} Object containing `url`, `resolvedUrl`, `type`,
+ *   `method` and the normalized `metadata` (see metadataNormalizer)
+ * @throws {Error} If the URL is invalid, not a post, or no extractor succeeds
+ *
+ * @example
+ * const { getInfo } = require("tiktok-downloader");
+ * const info = await getInfo("https://www.tiktok.com/@user/video/123");
+ * console.log(info.metadata.caption, info.metadata.stats.likes);
+ */
+const getInfo = async (url, options = {}) => {
+    const post = await identifyPost(url);
+    const resolvedUrl = post.canonicalUrl;
+
+    const { method, metadata } = await runExtractors(resolvedUrl, post.kind, {
+        order: options[`${post.kind}Extractors`],
+        requireMedia: false,
+        quality: options.quality,
+        codec: options.codec,
+    });
+    return { url, resolvedUrl, type: post.kind, method, metadata };
+};
+
+/**
+ * Expands list URLs (profiles, hashtags, sounds, collections) into their posts
+ *
+ * Other URLs are kept as they are. A list that cannot be read becomes
+ * a failed result of its own, so the remaining URLs are still processed.
+ *
+ * @async
+ * @param {string[]} urls - TikTok URLs
+ * @param {Object} options - Download options, including the list filters
+ * @returns {Promise<Object[]>} Targets with the `url` to download, the list
+ *   URL it was found on as `source`, or a finished `result` for failed lists,
+ *   and the `input` index of the URL they came from
+ * @private
+ */
+const expandTargets = async (urls, options) => {
+    const targets = [];
+    for (const [input, url] of urls.entries()) {
+        let target = null;
+        try {
+            target = parseTikTokUrl(url);
+        } catch (error) {
+            // Invalid URLs fail with a proper result when downloaded
+        }
+        if (!target || !isExpandable(target.kind)) {
+            targets.push({ url, input });
+            continue;
+        }
+
+        try {
+            const posts = await expandUrl(target, options);
+            targets.push(
+                ...posts.map((post) => ({
+                    url: post.url,
+                    source: url,
+                    input,
+                }))
+            );
+        } catch (error) {
+            console.error(`Failed to list posts of ${url}: ${error.message}`);
+            const result = createResult(url);
+            result.status = "failed";
+            result.error = error;
+            targets.push({ url, result, input });
+        }
+    }
+    return targets;
+};
+
+/**
+ * Processes multiple TikTok URLs through a concurrent job queue
  *
  * This function coordinates the processing of multiple TikTok URLs, handling both
  * videos and photos. It includes:
  * - URL validation
- * - Rate limiting protection via delays
+ * - Short link resolution
+ * - Expansion of profiles, hashtags, sounds and collections into posts
+ * - Parallel processing with a concurrency limit
+ * - Rate limiting protection for tiktok.com requests and CDN downloads
  * - Automatic media type detection
+ * - Optional filtering by media type
  * - Error handling per URL
  *
  * @async
  * @param {string[]} urls - Array of TikTok URLs to process
- * @returns {Promise<void>} Resolves when all URLs have been processed
+ * @param {Object} [options={}] - Processing options
+ * @param {number} [options.concurrency=3] - URLs processed at the same time
+ * @param {number} [options.rate] - tiktok.com requests allowed per
+ *   `rateInterval`
+ * @param {number} [options.rateInterval] - Rate limit interval in milliseconds
+ * @param {number} [options.delay=0] - Pause between the start of two
+ *   downloads in milliseconds
+ * @param {number} [options.mediaConcurrency] - Parallel CDN media downloads
+ * @param {number} [options.retries] - Retries for transient network errors
+ * @param {string|null} [options.only=null] - Restrict to "video" or "photo" posts
+ * @param {string} [options.dateAfter] - Only take listed posts uploaded on or
+ *   after this date (`YYYY-MM-DD` or `YYYYMMDD`)
+ * @param {string} [options.dateBefore] - Only take listed posts uploaded on
+ *   or before this date
+ * @param {number} [options.maxCount] - Maximum number of posts per list
+ * @param {boolean} [options.breakOnExisting=false] - Stop reading a list at
+ *   its first post in the download archive
+ * @param {string} [options.videoDir] - Directory videos are saved to
+ * @param {string} [options.imageDir] - Directory images are saved to
+ * @param {string} [options.downloadArchive] - Archive file used to skip
+ *   already downloaded posts and record new ones
+ * @param {boolean} [options.force=false] - Download archived posts again
+ * @param {boolean} [options.writeInfoJson=false] - Write `.info.json` metadata sidecars
+ * @param {boolean} [options.comments=false] - Write `.comments.json` comment sidecars
+ * @param {number} [options.maxComments=500] - Maximum number of comments
+ *   exported per post
+ * @param {string[]} [options.subs] - Caption languages to download, or
+ *   `["all"]`
+ * @param {string} [options.subFormat="vtt"] - "vtt" or "srt"
+ * @param {boolean} [options.writeCaption=false] - Write `.txt` caption sidecars
+ * @param {boolean} [options.slideshow=false] - Render photo posts into MP4
+ *   slideshows
+ * @param {number} [options.slideDuration=3] - Seconds each slideshow photo is shown
+ * @param {string} [options.slideshowSize="1080x1920"] - Slideshow resolution
+ * @param {boolean} [options.embedMetadata=true] - Embed the caption, author,
+ *   date and source in downloaded videos and JPEG images
+ * @param {string} [options.videoTemplate] - Filename template for videos
+ * @param {string} [options.imageTemplate] - Filename template for images
+ * @param {string} [options.onCollision="rename"] - "rename", "overwrite" or "skip"
+ * @param {string} [options.dedupe="link"] - Duplicate videos and images:
+ *   "link", "skip" or "off"
+ * @param {string|number} [options.quality="best"] - "best", "worst" or a
+ *   resolution such as 720
+ * @param {string} [options.codec="any"] - "h264", "h265" or "any"
+ * @param {string} [options.report] - Path of a run report to write
+ * @param {string} [options.reportFormat] - "json" or "csv"; defaults from
+ *   the report file extension
+ * @param {Function} [options.onUrlDone] - Called as `onUrlDone(url,
+ *   results)` once every post of a submitted URL is processed, in input
+ *   order, with the results of its posts
+ * @returns {Promise<Object>} Summary with `succeeded`, `failed` and `skipped`
+ *   counts and the per-URL `results`, in input order; lists are replaced
+ *   by one result per post
  * @throws {Error} If there's a fatal error during processing
  *
  * @example
@@ -43,62 +358,371 @@ const { processPhotoPost } = require("./processors/photoProcessor");
  * ];
  *
  * try {
- *   await processUrls(urls);
+ *   const summary = await processUrls(urls, { only: "video" });
+ *   console.log(`${summary.failed} URL(s) failed`);
  * } catch (error) {
  *   console.error('Processing failed:', error);
  * }
  */
-const processUrls = async (urls) => {
-    console.log(`Starting to process ${urls.length} TikTok URLs...`);
+const processUrls = async (urls, options = {}) => {
+    const { concurrency = 3, delay = 0, only = null } = options;
+    configureNetworkLimits({
+        rate: options.rate,
+        interval: options.rateInterval,
+        mediaConcurrency: options.mediaConcurrency,
+    });
+    configureRetry({ retries: options.retries });
 
-    for (const url of urls) {
-        if (!validateURL(url)) {
-            console.error(`Invalid TikTok URL: ${url}`);
-            continue;
+    const targets = await expandTargets(urls, options);
+    console.log(
+        `Starting to process ${targets.length} TikTok URLs (${concurrency} at a time)...`
+    );
+
+    // Spaces out the start of downloads by `delay`, however many run at once
+    let nextStart = 0;
+    const waitForTurn = async () => {
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + delay;
+        if (start > now) {
+            await new Promise((resolve) => setTimeout(resolve, start - now));
         }
+    };
 
-        try {
-            // Add delay to avoid rate limiting
-            if (urls.indexOf(url) > 0) {
-                await new Promise((resolve) => setTimeout(resolve, 2000));
-            }
+    const processOne = async ({ url, source = null }) => {
+        const type =
+            only && validateURL(url) ? await detectTypeSafely(url) : null;
+
+        if (type && type !== only) {
+            console.log(`Skipping ${url} (not a ${only} post)`);
+            const result = createResult(url, type);
+            result.status = "skipped";
+            result.reason = "filtered";
+            result.source = source;
+            return result;
+        }
+
+        await waitForTurn();
+        return { ...(await download(url, options)), source };
+    };
 
-            // Detect if URL is photo or video
-            if (url.includes("/photo/")) {
-                await processPhotoPost(url);
-            } else {
-                await processVideoPost(url);
+    // Submitted URLs are reported done in input order, once all their
+    // posts are, so callers can track progress as a count of URLs
+    const results = new Array(targets.length);
+    const targetsByInput = urls.map(() => []);
+    targets.forEach((target, i) => targetsByInput[target.input].push(i));
+    const remaining = targetsByInput.map((indexes) => indexes.length);
+    let reported = 0;
+    const reportDone = () => {
+        while (reported < urls.length && remaining[reported] === 0) {
+            if (options.onUrlDone) {
+                options.onUrlDone(
+                    urls[reported],
+                    targetsByInput[reported].map((i) => results[i])
+                );
             }
-        } catch (error) {
-            console.error(`Error processing ${url}: ${error.message}`);
+            reported++;
         }
+    };
+    reportDone();
+
+    const queue = createQueue({ concurrency });
+    await Promise.all(
+        targets.map(async (target, i) => {
+            results[i] =
+                target.result || (await queue.add(() => processOne(target)));
+            remaining[target.input]--;
+            reportDone();
+        })
+    );
+
+    const summary = { succeeded: 0, failed: 0, skipped: 0, results };
+    for (const result of results) {
+        if (result.status === "success") summary.succeeded++;
+        else if (result.status === "skipped") summary.skipped++;
+        else summary.failed++;
     }
 
     console.log("All URLs have been processed!");
+    console.log(
+        `Summary: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped`
+    );
+    for (const result of results) {
+        if (result.status === "failed") {
+            const category = result.error?.category || ERROR_CATEGORIES.UNKNOWN;
+            console.log(`  [${category}] ${result.url}: ${result.error?.message}`);
+        }
+    }
+
+    const health = getExtractorStats();
+    if (health.length > 0) {
+        console.log(
+            `Extractors: ${health
+                .map(
+                    (entry) =>
+                        `${entry.type}/${entry.name} ${entry.successes}/${entry.attempts}`
+                )
+                .join(", ")}`
+        );
+    }
+
+    if (options.report) {
+        writeReport(options.report, results, options.reportFormat);
+    }
+    return summary;
 };
 
 /**
- * Application Entry Point
+ * Downloads multiple TikTok posts
+ *
+ * Library counterpart of {@link processUrls} that returns only the per-URL
+ * results.
+ *
+ * @async
+ * @param {string[]} urls - TikTok post URLs
+ * @param {Object} [options={}] - Same options as {@link processUrls}
+ * @returns {Promise<Object[]>} One processing result per URL, in input order
+ *
+ * @example
+ * const { downloadMany } = require("tiktok-downloader");
+ * const results = await downloadMany(urls, { concurrency: 5, rate: 2 });
+ * const failed = results.filter((r) => r.status === "failed");
+ */
+const downloadMany = async (urls, options = {}) =>
+    (await processUrls(urls, options)).results;
+
+/**
+ * Command-Line Entry Point
  *
- * Self-executing async function that initializes and runs the application.
- * Provides a list of TikTok URLs to process and handles any fatal errors
- * that occur during execution.
+ * Parses the command line, loads the layered configuration, collects URLs
+ * from positional arguments and the optional input list, and processes them.
+ * Also runs the `config show` and `verify` commands, the HTTP server of
+ * `serve` and the inbox of `watch`. Only runs when this file is executed
+ * directly, never when it is required as a library.
+ * Exits with code 1 if any URL fails and code 2 on invalid usage or configuration.
  *
  * @async
- * @throws {Error} If there's an unrecoverable error during execution
+ * @private
  */
-(async () => {
-    const urls = [
-        "https://www.tiktok.com/@user1/video/1234567890123456789",
-        "https://www.tiktok.com/@user2/video/2345678901234567890",
-        "https://www.tiktok.com/@user3/photo/3456789012345678901",
-        "https://www.tiktok.com/@user4/photo/4567890123456789012",
-    ];
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${HELP_TEXT}`);
+        process.exit(2);
+    }
 
+    if (args.help) {
+        console.log(HELP_TEXT);
+        return;
+    }
+
+    let loaded;
     try {
-        await processUrls(urls);
+        loaded = loadConfig({
+            configPath: args.config || undefined,
+            overrides: {
+                videoDir: args.output,
+                imageDir: args.output,
+                audioDir: args.output,
+                concurrency: args.concurrency,
+                rate: args.rate,
+                rateInterval: args.rateInterval,
+                delay: args.delay,
+                mediaConcurrency: args.mediaConcurrency,
+                retries: args.retries,
+                downloadArchive: args.downloadArchive,
+                writeInfoJson: args.writeInfoJson || undefined,
+                comments: args.comments || undefined,
+                maxComments: args.maxComments,
+                subs: args.subs,
+                subFormat: args.subFormat,
+                writeCaption: args.writeCaption || undefined,
+                slideshow: args.slideshow || undefined,
+                slideDuration: args.slideDuration,
+                slideshowSize: args.slideshowSize,
+                embedMetadata: args.embedMetadata,
+                reportFormat: args.reportFormat,
+                videoTemplate: args.videoTemplate,
+                imageTemplate: args.imageTemplate,
+                audioTemplate: args.audioTemplate,
+                audio: args.audio,
+                onCollision: args.onCollision,
+                dedupe: args.dedupe,
+                quality: args.quality,
+                codec: args.codec,
+                videoExtractors: args.videoExtractors,
+                photoExtractors: args.photoExtractors,
+                serverHost: args.serverHost,
+                serverPort: args.serverPort,
+                jobStore: args.jobStore,
+            },
+        });
+    } catch (error) {
+        console.error(`Configuration error: ${error.message}`);
+        process.exit(2);
+    }
+
+    if (args.command === "config") {
+        if (args.commandArgs[0] !== "show" || args.commandArgs.length > 1) {
+            console.error(`Usage: node index.js config show\n\n${HELP_TEXT}`);
+            process.exit(2);
+        }
+        console.log(formatConfig(loaded));
+        return;
+    }
+
+    if (args.command === "verify") {
+        const { videoDir, imageDir, audioDir } = loaded.settings;
+        const paths = args.commandArgs.length
+            ? args.commandArgs
+            : [...new Set([videoDir, imageDir, audioDir])].filter(fs.existsSync);
+        let verification;
+        try {
+            verification = verifyFiles(paths);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(2);
+        }
+        const { entries, counts, problems } = verification;
+        entries.forEach((entry) => console.log(formatVerifyEntry(entry)));
+        console.log(
+            `\nVerified ${entries.length} file(s): ${counts.ok} intact, ${counts.corrupted} corrupted, ${counts.truncated} truncated, ${counts.missing} missing, ${counts.unindexed} not indexed; ${counts.tagged} tagged, ${counts.untagged} untagged, ${counts.unsupported} untaggable, ${counts.error} unreadable`
+        );
+        process.exitCode = problems > 0 ? 1 : 0;
+        return;
+    }
+
+    const { settings } = loaded;
+    if (args.rebuildArchive && !settings.downloadArchive) {
+        console.error(
+            `--rebuild-archive requires --download-archive\n\n${HELP_TEXT}`
+        );
+        process.exit(2);
+    }
+    if (settings.slideshow) {
+        // Fail before downloading anything if slideshows cannot be rendered
+        try {
+            getFfmpegPath();
+        } catch (error) {
+            console.error(error.message);
+            process.exit(2);
+        }
+    }
+
+    if (args.command === "serve") {
+        if (args.commandArgs.length > 0 || args.input) {
+            console.error(
+                `Usage: node index.js serve [options]\n\n${HELP_TEXT}`
+            );
+            process.exit(2);
+        }
+        try {
+            const { url } = await startApiServer({
+                processUrls,
+                getInfo,
+                settings: {
+                    ...settings,
+                    downloadArchive: settings.downloadArchive || undefined,
+                    reportFormat: settings.reportFormat || undefined,
+                },
+            });
+            console.log(
+                `Listening on ${url} (jobs are kept in ${settings.jobStore})`
+            );
+        } catch (error) {
+            console.error(`Cannot start server: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    const runOptions = {
+        ...settings,
+        downloadArchive: settings.downloadArchive || undefined,
+        reportFormat: settings.reportFormat || undefined,
+        only: args.only,
+        dateAfter: args.dateAfter || undefined,
+        dateBefore: args.dateBefore || undefined,
+        maxCount: args.maxCount || undefined,
+        breakOnExisting: args.breakOnExisting,
+        force: args.force,
+    };
+
+    if (args.command === "watch") {
+        if (args.commandArgs.length !== 1 || args.input) {
+            console.error(
+                `Usage: node index.js watch <dir> [options]\n\n${HELP_TEXT}`
+            );
+            process.exit(2);
+        }
+        let watcher;
+        try {
+            watcher = watchInbox(args.commandArgs[0], {
+                processUrls,
+                options: runOptions,
+            });
+        } catch (error) {
+            console.error(error.message);
+            process.exit(2);
+        }
+
+        const shutdown = (signal) => {
+            console.log(
+                `${signal} received, finishing in-flight downloads (repeat to quit now)`
+            );
+            process.once(signal, () => process.exit(130));
+            watcher.stop();
+        };
+        process.once("SIGINT", () => shutdown("SIGINT"));
+        process.once("SIGTERM", () => shutdown("SIGTERM"));
+        await watcher.stopped;
+        return;
+    }
+
+    try {
+        const urls = [...args.urls];
+        if (args.input) {
+            urls.push(...(await readUrlList(args.input)));
+        }
+
+        if (args.rebuildArchive) {
+            const added = rebuildArchive(settings.downloadArchive, [
+                settings.videoDir,
+                settings.imageDir,
+                settings.audioDir,
+            ]);
+            console.log(
+                `Rebuilt download archive ${settings.downloadArchive}: ${added} post(s) added`
+            );
+            if (urls.length === 0) return;
+        }
+
+        if (urls.length === 0) {
+            console.error(`No URLs given.\n\n${HELP_TEXT}`);
+            process.exit(2);
+        }
+
+        const summary = await processUrls(urls, {
+            ...runOptions,
+            report: args.report || undefined,
+        });
+
+        process.exitCode = summary.failed > 0 ? 1 : 0;
     } catch (error) {
         console.error(`Fatal error: ${error.message}`);
         process.exit(1);
     }
-})();
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    download,
+    downloadMany,
+    getInfo,
+    processUrls,
+};
@@ -0,0 +1,69 @@
+/**
+ * Audio Processing Module
+ *
+ * Saves the soundtrack of video and photo posts when audio mode is enabled.
+ * Shared by the video and photo processors so both handle the `audio`
+ * setting the same way:
+ * - "off": no audio is saved
+ * - "also": the soundtrack is saved next to the video or images; failing to
+ *   save it is only a warning, since the requested media was downloaded
+ * - "only": only the soundtrack is saved; failing to save it fails the post
+ *
+ * @module audioProcessor
+ * @requires downloadService
+ */
+
+const { downloadAudio } = require("../services/downloadService");
+
+/**
+ * Saves the soundtrack of a post according to the audio mode
+ *
+ * @async
+ * @param {Object} audioData - Post and audio source information, as for
+ *   {@link module:downloadService.downloadAudio}; `tags` are filled in from
+ *   the metadata when missing
+ * @param {Object} metadata - Normalized post metadata (see metadataNormalizer)
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Processing options
+ * @param {string} [options.audio="off"] - "off", "also" or "only"
+ * @param {string} [options.audioDir] - Directory the audio is saved to
+ * @param {string} [options.audioTemplate] - Filename template for the audio
+ * @param {string} [options.onCollision] - Collision policy
+ * @returns {Promise<string|null>} Path of the saved audio file, or null if
+ *   audio mode is off or saving failed in "also" mode
+ * @throws {Error} If saving fails in "only" mode
+ */
+const saveSoundtrack = async (audioData, metadata, url, options = {}) => {
+    const mode = options.audio || "off";
+    if (mode === "off") return null;
+
+    const music = metadata.music || {};
+    try {
+        return await downloadAudio(
+            {
+                playUrl: music.playUrl,
+                ...audioData,
+                tags: {
+                    title: music.title || metadata.caption || audioData.postId,
+                    artist:
+                        music.author ||
+                        metadata.author.nickname ||
+                        audioData.authorUniqueId,
+                    album: music.album,
+                    ...audioData.tags,
+                },
+            },
+            url,
+            options.audioDir,
+            { template: options.audioTemplate, onCollision: options.onCollision }
+        );
+    } catch (error) {
+        if (mode === "only") throw error;
+        console.warn(`Soundtrack not saved for ${url}: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = {
+    saveSoundtrack,
+};
@@ -0,0 +1,56 @@
+/**
+ * Comment Processing Module
+ *
+ * Exports the comment threads of video and photo posts when comments mode
+ * is enabled. Shared by the video and photo processors. The comments are an
+ * addition to the media, so failing to export them is only a warning.
+ *
+ * @module commentProcessor
+ * @requires commentService
+ * @requires metadataService
+ */
+
+const { fetchComments } = require("../services/commentService");
+const { writeCommentsJson } = require("../services/metadataService");
+
+/**
+ * Exports the comments of a post to a `.comments.json` sidecar
+ *
+ * @async
+ * @param {string} postId - Post ID
+ * @param {string} basePath - Media path without extension
+ * @param {Object} metadata - Normalized post metadata (see metadataNormalizer)
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Processing options
+ * @param {boolean} [options.comments=false] - Whether to export comments
+ * @param {number} [options.maxComments] - Maximum number of comments and
+ *   replies (default: the `maxComments` setting)
+ * @returns {Promise<string|null>} Path of the sidecar file, or null if
+ *   comments mode is off or the export failed
+ */
+const saveComments = async (postId, basePath, metadata, url, options = {}) => {
+    if (!options.comments) return null;
+
+    try {
+        const exported = await fetchComments(postId, {
+            maxComments: options.maxComments,
+            referer: url,
+        });
+        console.log(
+            `Fetched ${exported.count} comment(s)` +
+                (exported.truncated ? " (limit reached)" : "")
+        );
+        return writeCommentsJson(basePath, {
+            url,
+            reportedCount: metadata.stats?.comments ?? null,
+            ...exported,
+        });
+    } catch (error) {
+        console.warn(`Could not export comments of ${url}: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = {
+    saveComments,
+};
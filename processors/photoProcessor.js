@@ -2,67 +2,255 @@
  * Photo Processing Module
  *
  * Handles the processing and downloading of TikTok photo posts.
- * This module coordinates between the API service for fetching photo information
- * and the download service for saving the images.
+ * This module coordinates between the extractor chain for fetching photo
+ * information and the download service for saving the images.
  *
  * @module photoProcessor
+ * @requires extractorRegistry
+ * @requires downloadService
+ * @requires audioProcessor
+ * @requires commentProcessor
+ * @requires slideshowProcessor
+ * @requires tagProcessor
+ * @requires metadataService
+ * @requires resultUtils
+ * @requires archiveService
+ * @requires urlUtils
+ * @requires errors
  */
 
-const { getMediaInfoFromAPI } = require("../services/apiService");
-const { downloadImages } = require("../services/downloadService");
+const { runExtractors } = require("../extractors/extractorRegistry");
+const {
+    getImageSetBasePath,
+    downloadImages,
+} = require("../services/downloadService");
+const { saveSoundtrack } = require("./audioProcessor");
+const { saveComments } = require("./commentProcessor");
+const { saveSlideshow } = require("./slideshowProcessor");
+const { embedPostTags } = require("./tagProcessor");
+const {
+    writeInfoJson,
+    writeCaptionTxt,
+} = require("../services/metadataService");
+const { createResult } = require("../utils/resultUtils");
+const { openArchive } = require("../services/archiveService");
+const { parseTikTokUrl } = require("../utils/urlUtils");
+const { ERROR_CATEGORIES, FatalError } = require("../utils/errors");
+
+/**
+ * Retrieves photo post metadata without downloading the images
+ *
+ * Runs the photo extractor chain (see extractorRegistry): by default the
+ * carousel is read from the post page, and the third-party API is only
+ * asked when that fails.
+ *
+ * @async
+ * @param {string} url - The complete TikTok photo post URL
+ * @param {Object} [options={}] - Extraction options
+ * @param {string[]} [options.photoExtractors] - Extractors to try, in
+ *   preferred order (default: the `photoExtractors` setting)
+ * @returns {Promise<Object>} Object containing:
+ *   - method: Name of the extractor that succeeded, e.g. "rehydration" or "api"
+ *   - photoData: imageId, authorUniqueId, createTime and imageUrls
+ *   - metadata: Full normalized metadata (see metadataNormalizer)
+ * @throws {DownloadError} If every extractor fails or the post is unavailable
+ */
+const getPhotoInfo = async (url, options = {}) => {
+    const { method, photoData, metadata } = await runExtractors(url, "photo", {
+        order: options.photoExtractors,
+    });
+    return { method, photoData, metadata };
+};
 
 /**
  * Processes a TikTok photo post URL by extracting and downloading associated images
  *
  * This function orchestrates the complete photo processing workflow:
- * 1. Fetches photo metadata from TikTok's API
- * 2. Validates the response data
- * 3. Downloads all images associated with the post
- * 4. Handles any errors that occur during processing
+ * 1. Skips posts already recorded in the download archive
+ * 2. Fetches and validates photo metadata via {@link getPhotoInfo}
+ * 3. Downloads all images and, in audio mode, the soundtrack, then records
+ *    the post in the archive
+ * 4. Reports any errors in the returned result instead of throwing
  *
  * @async
  * @param {string} url - The complete TikTok photo post URL to process
- * @throws {Error} - If photo data is invalid or missing
- * @returns {Promise<void>} - Resolves when all images are successfully downloaded
+ * @param {Object} [options={}] - Processing options
+ * @param {string} [options.imageDir] - Directory the images are saved to
+ * @param {string} [options.downloadArchive] - Archive file of downloaded post IDs
+ * @param {boolean} [options.force=false] - Download even if the post is archived
+ * @param {boolean} [options.writeInfoJson=false] - Write a `.info.json` metadata sidecar
+ * @param {string} [options.imageTemplate] - Filename template for the images
+ * @param {string} [options.onCollision="rename"] - "rename", "overwrite" or "skip"
+ * @param {string} [options.dedupe="link"] - Duplicate images: "link", "skip" or "off"
+ * @param {string[]} [options.photoExtractors] - Extractors to try, in preferred order
+ * @param {string} [options.audio="off"] - Soundtrack mode: "off", "also" or "only"
+ * @param {string} [options.audioDir] - Directory the soundtrack is saved to
+ * @param {string} [options.audioTemplate] - Filename template for the soundtrack
+ * @param {boolean} [options.comments=false] - Export comments to a `.comments.json` sidecar
+ * @param {number} [options.maxComments] - Maximum number of comments to export
+ * @param {boolean} [options.writeCaption=false] - Write the caption to a `.txt` sidecar
+ * @param {boolean} [options.slideshow=false] - Also render the images into an MP4 slideshow
+ * @param {number} [options.slideDuration] - Seconds each image is shown in the slideshow
+ * @param {string} [options.slideshowSize] - Slideshow frame size as "WIDTHxHEIGHT"
+ * @param {string} [options.videoDir] - Directory the slideshow is saved to
+ * @param {string} [options.videoTemplate] - Filename template for the slideshow
+ * @param {boolean} [options.embedMetadata=true] - Embed the post's details in JPEG
+ *   images and the slideshow
+ * @returns {Promise<Object>} - Processing result (see {@link module:resultUtils.createResult})
  *
  * @example
- * try {
- *   await processPhotoPost('https://www.tiktok.com/@user/photo/1234567890');
- * } catch (error) {
- *   console.error('Photo processing failed:', error);
+ * const result = await processPhotoPost('https://www.tiktok.com/@user/photo/1234567890');
+ * if (result.status === 'failed') {
+ *   console.error('Photo processing failed:', result.error);
  * }
  */
-const processPhotoPost = async (url) => {
+const processPhotoPost = async (url, options = {}) => {
+    const result = createResult(url, "photo");
+    const archive = options.downloadArchive
+        ? openArchive(options.downloadArchive)
+        : null;
+
     try {
+        const post = parseTikTokUrl(url);
+        if (archive && !options.force && archive.has(post.id)) {
+            console.log(`Already in download archive, skipping: ${url}`);
+            result.status = "skipped";
+            result.reason = "archived";
+            return result;
+        }
+
         console.log(`Processing photo: ${url}`);
 
-        // Get photo metadata from API
-        const photoData = await getMediaInfoFromAPI(url);
+        const { method, photoData, metadata } = await getPhotoInfo(
+            url,
+            options
+        );
+        result.method = method;
+        result.metadata = metadata;
+
+        // Download all images associated with the post, naming them after
+        // the parsed post identity when the extractor omits it
+        const imageId = photoData.imageId || post.id;
+        const authorId = photoData.authorUniqueId || post.username;
+        const naming = {
+            template: options.imageTemplate,
+            onCollision: options.onCollision,
+            dedupe: options.dedupe,
+            nickname: metadata.author.nickname,
+            description: metadata.caption,
+        };
+        const tagData = {
+            postId: imageId,
+            caption: metadata.caption,
+            nickname: metadata.author.nickname,
+            authorUniqueId: authorId,
+            createTime: photoData.createTime,
+        };
+        let imagePaths = [];
+        if (options.audio !== "only") {
+            imagePaths = await downloadImages(
+                url,
+                imageId,
+                photoData.imageUrls,
+                photoData.createTime,
+                authorId,
+                options.imageDir,
+                naming
+            );
+            if (imagePaths.length === 0 && photoData.imageUrls.length > 0) {
+                // Every image was already saved for another post
+                archive?.add(post.id);
+                result.status = "skipped";
+                result.reason = "duplicate";
+                return result;
+            }
+            result.files.push(...imagePaths);
+            console.log(`All images successfully downloaded from ${url}`);
+            embedPostTags(imagePaths, tagData, url, options);
+        }
+
+        // Photo carousels have no video to fall back on, so the soundtrack
+        // can only come from the music URL
+        const audioPath = await saveSoundtrack(
+            {
+                postId: imageId,
+                authorUniqueId: authorId,
+                authorNickname: metadata.author.nickname,
+                createTime: photoData.createTime,
+                description: metadata.caption,
+            },
+            metadata,
+            url,
+            options
+        );
+        if (audioPath) result.files.push(audioPath);
+        // In audio-only mode the soundtrack is the post's only file
+        if (options.audio === "only" && !audioPath) {
+            throw new FatalError("Soundtrack could not be saved", {
+                category: ERROR_CATEGORIES.EXTRACTION,
+                url,
+            });
+        }
 
-        // Validate photo data
-        if (
-            photoData.type !== "image" ||
-            !photoData.images ||
-            photoData.images.length === 0
-        ) {
-            throw new Error("Invalid or missing photo data");
+        if (imagePaths.length > 0) {
+            const slideshowPath = await saveSlideshow(
+                {
+                    postId: imageId,
+                    authorUniqueId: authorId,
+                    authorNickname: metadata.author.nickname,
+                    createTime: photoData.createTime,
+                    description: metadata.caption,
+                    imagePaths,
+                    audioPath,
+                },
+                metadata,
+                url,
+                options
+            );
+            if (slideshowPath) {
+                result.files.push(slideshowPath);
+                embedPostTags([slideshowPath], tagData, url, options);
+            }
         }
 
-        // Download all images associated with the post
-        await downloadImages(
+        // Sidecars share the name of the image set, or of the soundtrack
+        const basePath =
+            options.audio === "only"
+                ? audioPath.replace(/\.[^./\\]+$/, "")
+                : getImageSetBasePath(
+                      imageId,
+                      photoData.createTime,
+                      authorId,
+                      options.imageDir,
+                      naming
+                  );
+        if (options.writeInfoJson) {
+            result.files.push(writeInfoJson(basePath, metadata));
+        }
+        if (options.writeCaption) {
+            result.files.push(writeCaptionTxt(basePath, metadata.caption));
+        }
+        const commentsPath = await saveComments(
+            imageId,
+            basePath,
+            metadata,
             url,
-            photoData.id,
-            photoData.images,
-            photoData.createTime,
-            photoData.author.username
+            options
         );
+        if (commentsPath) result.files.push(commentsPath);
 
-        console.log(`All images successfully downloaded from ${url}`);
+        archive?.add(post.id);
+        result.status = "success";
     } catch (error) {
         console.error(`Failed to process photo from ${url}: ${error.message}`);
+        result.status = "failed";
+        result.error = error;
     }
+
+    return result;
 };
 
 module.exports = {
+    getPhotoInfo,
     processPhotoPost,
 };
@@ -0,0 +1,72 @@
+/**
+ * Slideshow Processing Module
+ *
+ * Renders photo posts into MP4 slideshows when slideshow mode is enabled,
+ * using the downloaded images and the post's soundtrack. The images are
+ * kept either way, so a failed render is only a warning.
+ *
+ * @module slideshowProcessor
+ * @requires downloadService
+ * @requires slideshowService
+ */
+
+const { prepareSlideshowPath } = require("../services/downloadService");
+const { renderSlideshow } = require("../services/slideshowService");
+
+/**
+ * Renders a photo post into a slideshow
+ *
+ * @async
+ * @param {Object} slideshowData - Post information, as for
+ *   {@link module:downloadService.prepareSlideshowPath}, plus:
+ * @param {string[]} slideshowData.imagePaths - Downloaded images, in order
+ * @param {string} [slideshowData.audioPath] - Saved soundtrack, if any
+ * @param {Object} metadata - Normalized post metadata (see metadataNormalizer)
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Processing options
+ * @param {boolean} [options.slideshow=false] - Whether to render a slideshow
+ * @param {number} [options.slideDuration] - Seconds each image is shown
+ * @param {string} [options.slideshowSize] - Frame size as "WIDTHxHEIGHT"
+ * @param {string} [options.videoDir] - Directory the slideshow is saved to
+ * @param {string} [options.videoTemplate] - Filename template for the slideshow
+ * @param {string} [options.onCollision] - Collision policy
+ * @returns {Promise<string|null>} Path of the slideshow, or null if
+ *   slideshow mode is off or rendering failed
+ */
+const saveSlideshow = async (slideshowData, metadata, url, options = {}) => {
+    if (!options.slideshow) return null;
+
+    try {
+        const claim = prepareSlideshowPath(slideshowData, options.videoDir, {
+            template: options.videoTemplate,
+            onCollision: options.onCollision,
+        });
+        if (claim.skip) {
+            console.log(`Slideshow exists, skipping: ${claim.filePath}`);
+            return claim.filePath;
+        }
+
+        const { imagePaths, audioPath } = slideshowData;
+        const audioUrl = metadata.music?.playUrl;
+        if (!audioPath && !audioUrl) {
+            console.warn("Post has no soundtrack, the slideshow will be silent");
+        }
+        console.log(`Rendering slideshow of ${imagePaths.length} image(s)...`);
+        await renderSlideshow(imagePaths, claim.filePath, {
+            slideDuration: options.slideDuration,
+            size: options.slideshowSize,
+            audioPath,
+            audioUrl,
+            referer: url,
+        });
+        console.log(`Slideshow successfully rendered: ${claim.filePath}`);
+        return claim.filePath;
+    } catch (error) {
+        console.warn(`Slideshow not rendered for ${url}: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = {
+    saveSlideshow,
+};
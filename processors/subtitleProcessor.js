@@ -0,0 +1,67 @@
+/**
+ * Subtitle Processing Module
+ *
+ * Downloads the caption tracks of video posts in the languages asked for
+ * with `--subs`. Like comments, captions are an addition to the video, so a
+ * missing language or a failed track is only a warning.
+ *
+ * @module subtitleProcessor
+ * @requires subtitleUtils
+ * @requires downloadService
+ */
+
+const { selectSubtitleTracks } = require("../utils/subtitleUtils");
+const { downloadSubtitle } = require("../services/downloadService");
+
+/**
+ * Saves the requested caption tracks of a video next to it
+ *
+ * @async
+ * @param {Object[]} tracks - Caption tracks of the video (see dataExtractor)
+ * @param {string} basePath - Media path without extension
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Processing options
+ * @param {string[]|null} [options.subs=null] - Languages to download, or
+ *   `["all"]`; null disables subtitles
+ * @param {string} [options.subFormat="vtt"] - "vtt" or "srt"
+ * @returns {Promise<string[]>} Paths of the saved subtitle files
+ */
+const saveSubtitles = async (tracks, basePath, url, options = {}) => {
+    if (!options.subs?.length) return [];
+
+    const available = tracks || [];
+    const selection = selectSubtitleTracks(available, options.subs);
+    if (selection.missing.length > 0) {
+        const languages = [
+            ...new Set(available.map((track) => track.language)),
+        ];
+        console.warn(
+            `No subtitles in ${selection.missing.join(", ")} for ${url} (available: ${
+                languages.join(", ") || "none"
+            })`
+        );
+    }
+
+    const filePaths = [];
+    for (const track of selection.tracks) {
+        try {
+            filePaths.push(
+                await downloadSubtitle(
+                    track,
+                    url,
+                    basePath,
+                    options.subFormat || "vtt"
+                )
+            );
+        } catch (error) {
+            console.warn(
+                `Could not save ${track.language} subtitles of ${url}: ${error.message}`
+            );
+        }
+    }
+    return filePaths;
+};
+
+module.exports = {
+    saveSubtitles,
+};
@@ -0,0 +1,62 @@
+/**
+ * Tag Processing Module
+ *
+ * Embeds the post's caption, author, upload date and source in downloaded
+ * videos, images and slideshows (see taggingService). The media is complete
+ * without its tags, so a file that cannot be tagged is only a warning.
+ *
+ * @module tagProcessor
+ * @requires fs
+ * @requires path
+ * @requires taggingService
+ * @requires hashIndexService
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+    buildPostTags,
+    writeFileTags,
+} = require("../services/taggingService");
+const { refreshFileHash } = require("../services/hashIndexService");
+
+/**
+ * Embeds the tags of a post in its downloaded files
+ *
+ * Files in formats that cannot carry tags, such as WebP images, are skipped
+ * silently. So are hard-linked duplicates (see hashIndexService): they keep
+ * the tags of the post first saved, since rewriting them would break the
+ * link. The hash index is updated for every tagged file.
+ *
+ * @param {string[]} filePaths - MP4 or JPEG files of the post
+ * @param {Object} postData - Post information, as for
+ *   {@link module:taggingService.buildPostTags}
+ * @param {string} url - TikTok post URL
+ * @param {Object} [options={}] - Processing options
+ * @param {boolean} [options.embedMetadata=true] - Whether to embed tags
+ * @returns {string[]} Paths of the tagged files
+ */
+const embedPostTags = (filePaths, postData, url, options = {}) => {
+    if (options.embedMetadata === false) return [];
+
+    const tags = buildPostTags(postData, url);
+    const tagged = [];
+    for (const filePath of filePaths) {
+        try {
+            if (fs.statSync(filePath).nlink > 1) continue;
+            if (writeFileTags(filePath, tags)) {
+                refreshFileHash(filePath);
+                tagged.push(filePath);
+            }
+        } catch (error) {
+            console.warn(
+                `Could not embed metadata in ${path.basename(filePath)}: ${error.message}`
+            );
+        }
+    }
+    return tagged;
+};
+
+module.exports = {
+    embedPostTags,
+};
@@ -2,108 +2,242 @@
  * Video Processing Module
  *
  * Provides functionality for processing and downloading TikTok videos.
- * This module implements a dual-strategy approach:
- * 1. Direct extraction from HTML (primary method)
- * 2. API-based extraction (fallback method)
- *
- * The module coordinates between HTML parsing, API services, and download services
- * to ensure reliable video extraction and downloading.
+ * Extraction is delegated to the pluggable extractor chain, which tries the
+ * embedded page data first and the backup API after it. The module then
+ * coordinates the download, metadata sidecar and archive services.
  *
  * @module videoProcessor
- * @requires htmlService
- * @requires apiService
+ * @requires extractorRegistry
+ * @requires variantSelector
  * @requires downloadService
- * @requires dataExtractor
+ * @requires audioProcessor
+ * @requires commentProcessor
+ * @requires subtitleProcessor
+ * @requires tagProcessor
+ * @requires metadataService
+ * @requires resultUtils
+ * @requires archiveService
+ * @requires urlUtils
+ * @requires errors
  */
 
-const { handleHtml, getDocument } = require("../services/htmlService");
-const { getMediaInfoFromAPI } = require("../services/apiService");
+const { runExtractors } = require("../extractors/extractorRegistry");
+const { describeVariant } = require("../extractors/variantSelector");
 const { downloadVideo } = require("../services/downloadService");
-const { extractVideoDataFromJson } = require("../extractors/dataExtractor");
+const { saveSoundtrack } = require("./audioProcessor");
+const { saveComments } = require("./commentProcessor");
+const { saveSubtitles } = require("./subtitleProcessor");
+const { embedPostTags } = require("./tagProcessor");
+const {
+    writeInfoJson,
+    writeCaptionTxt,
+} = require("../services/metadataService");
+const { createResult } = require("../utils/resultUtils");
+const { openArchive } = require("../services/archiveService");
+const { parseTikTokUrl } = require("../utils/urlUtils");
+const { ERROR_CATEGORIES, FatalError } = require("../utils/errors");
+
+/**
+ * Retrieves video metadata without downloading the video
+ *
+ * Runs the video extractor chain (see extractorRegistry): by default the
+ * page extractors first, then the backup API, in the order of their
+ * recorded success rates. Fatal errors (missing, removed or private posts)
+ * are thrown immediately, without trying the remaining extractors.
+ *
+ * @async
+ * @param {string} url - The complete TikTok video URL
+ * @param {Object} [options={}] - Extraction options
+ * @param {string[]} [options.videoExtractors] - Extractors to try, in
+ *   preferred order (default: the `videoExtractors` setting)
+ * @param {string|number} [options.quality] - "best", "worst" or a resolution
+ *   such as 720 (default: the `quality` setting)
+ * @param {string} [options.codec] - "h264", "h265" or "any" (default: the
+ *   `codec` setting)
+ * @returns {Promise<Object>} Object containing:
+ *   - method: Name of the extractor that succeeded, e.g. "rehydration" or "api"
+ *   - videoData: Video identity and download URL used for saving the file
+ *   - metadata: Full normalized metadata (see metadataNormalizer), same
+ *     schema for every extractor
+ * @throws {DownloadError} When every extractor fails, video data is
+ *   invalid, or the post is unavailable
+ */
+const getVideoInfo = async (url, options = {}) => {
+    const { method, videoData, metadata } = await runExtractors(url, "video", {
+        order: options.videoExtractors,
+        quality: options.quality,
+        codec: options.codec,
+    });
+    return { method, videoData, metadata };
+};
 
 /**
  * Processes a TikTok video URL by extracting metadata and downloading the video content
  *
- * This function implements a fallback strategy for video processing:
- * 1. Attempts direct extraction from HTML (preferred method)
- * 2. Falls back to API-based extraction if HTML extraction fails
- * 3. Downloads the video using the obtained metadata
+ * Extracts the video metadata via {@link getVideoInfo} and downloads the video
+ * using the obtained metadata, plus or instead of it the soundtrack when audio
+ * mode is enabled (see audioProcessor). The post ID and username parsed from the URL
+ * fill in any identity fields the extraction did not return. Posts already
+ * recorded in the download archive are skipped before any network request,
+ * and posts whose video duplicates one already saved are skipped in "skip"
+ * dedupe mode.
+ * Errors are not thrown; they are reported in the returned result instead.
  *
  * @async
  * @param {string} url - The complete TikTok video URL to process
- * @throws {Error} When both extraction methods fail or video data is invalid
- * @returns {Promise<void>} Resolves when video is successfully processed and downloaded
+ * @param {Object} [options={}] - Processing options
+ * @param {string} [options.videoDir] - Directory the video is saved to
+ * @param {string} [options.downloadArchive] - Archive file of downloaded post IDs
+ * @param {boolean} [options.force=false] - Download even if the post is archived
+ * @param {boolean} [options.writeInfoJson=false] - Write a `.info.json` metadata sidecar
+ * @param {string} [options.videoTemplate] - Filename template for the video
+ * @param {string} [options.onCollision="rename"] - "rename", "overwrite" or "skip"
+ * @param {string} [options.dedupe="link"] - Duplicate videos: "link", "skip" or "off"
+ * @param {string[]} [options.videoExtractors] - Extractors to try, in preferred order
+ * @param {string} [options.audio="off"] - Soundtrack mode: "off", "also" or "only"
+ * @param {string} [options.audioDir] - Directory the soundtrack is saved to
+ * @param {string} [options.audioTemplate] - Filename template for the soundtrack
+ * @param {boolean} [options.comments=false] - Export comments to a `.comments.json` sidecar
+ * @param {number} [options.maxComments] - Maximum number of comments to export
+ * @param {string[]|null} [options.subs] - Caption languages to download, or `["all"]`
+ * @param {string} [options.subFormat="vtt"] - Subtitle format: "vtt" or "srt"
+ * @param {boolean} [options.writeCaption=false] - Write the caption to a `.txt` sidecar
+ * @param {boolean} [options.embedMetadata=true] - Embed the post's details in the video
+ * @returns {Promise<Object>} Processing result (see {@link module:resultUtils.createResult})
  *
  * @example
- * try {
- *   await processVideoPost('https://www.tiktok.com/@user/video/1234567890');
- * } catch (error) {
- *   console.error('Video processing failed:', error);
+ * const result = await processVideoPost('https://www.tiktok.com/@user/video/1234567890');
+ * if (result.status === 'failed') {
+ *   console.error('Video processing failed:', result.error);
  * }
  */
-const processVideoPost = async (url) => {
-    try {
-        console.log(`Processing video: ${url}`);
+const processVideoPost = async (url, options = {}) => {
+    const result = createResult(url, "video");
+    const archive = options.downloadArchive
+        ? openArchive(options.downloadArchive)
+        : null;
 
-        // Try getting video data from HTML first
-        const html = await handleHtml(url);
-        const $ = getDocument(html);
-        const jsonDataElement = $("#__UNIVERSAL_DATA_FOR_REHYDRATION__");
+    try {
+        const post = parseTikTokUrl(url);
+        if (archive && !options.force && archive.has(post.id)) {
+            console.log(`Already in download archive, skipping: ${url}`);
+            result.status = "skipped";
+            result.reason = "archived";
+            return result;
+        }
 
-        let videoData;
-        let useDirectExtraction = false;
+        console.log(`Processing video: ${url}`);
 
-        if (jsonDataElement && jsonDataElement.length > 0) {
-            const rawJSON = jsonDataElement[0]?.children?.[0]?.data;
-            if (rawJSON) {
-                videoData = extractVideoDataFromJson(rawJSON);
-                if (videoData) {
-                    useDirectExtraction = true;
-                    console.log(
-                        "METHOD: Direct extraction from HTML successful"
-                    );
-                }
-            }
+        const { method, videoData, metadata } = await getVideoInfo(
+            url,
+            options
+        );
+        videoData.videoId = videoData.videoId || post.id;
+        videoData.authorUniqueId = videoData.authorUniqueId || post.username;
+        result.method = method;
+        result.metadata = metadata;
+        if (videoData.variant) {
+            console.log(
+                `Selected variant: ${describeVariant(videoData.variant)}`
+            );
         }
 
-        // If direct extraction fails, use API as backup
-        if (!useDirectExtraction) {
-            console.log("HTML extraction failed. Using API as backup...");
-            videoData = await getMediaInfoFromAPI(url);
-
-            if (
-                videoData.type !== "video" ||
-                !videoData.video ||
-                !videoData.video.playAddr
-            ) {
-                throw new Error("Invalid video data from API");
+        // Download video, unless only the soundtrack was asked for
+        videoData.authorNickname =
+            videoData.authorNickname || metadata.author.nickname;
+        videoData.description = videoData.description ?? metadata.caption;
+        let filePath = null;
+        if (options.audio !== "only") {
+            filePath = await downloadVideo(videoData, url, options.videoDir, {
+                template: options.videoTemplate,
+                onCollision: options.onCollision,
+                dedupe: options.dedupe,
+            });
+            if (!filePath) {
+                // The same video was already saved for another post
+                archive?.add(post.id);
+                result.status = "skipped";
+                result.reason = "duplicate";
+                return result;
             }
+            result.files.push(filePath);
+            embedPostTags(
+                [filePath],
+                {
+                    postId: videoData.videoId,
+                    caption: metadata.caption,
+                    nickname: videoData.authorNickname,
+                    authorUniqueId: videoData.authorUniqueId,
+                    createTime: videoData.createTime,
+                },
+                url,
+                options
+            );
+        }
 
-            console.log("METHOD: Using backup API successful");
-
-            videoData = {
-                authorUniqueId: videoData.author.username,
-                videoId: videoData.id,
+        const audioPath = await saveSoundtrack(
+            {
+                postId: videoData.videoId,
+                authorUniqueId: videoData.authorUniqueId,
+                authorNickname: videoData.authorNickname,
                 createTime: videoData.createTime,
-                videoUrl: videoData.video.playAddr[0],
-            };
+                description: videoData.description,
+                videoPath: filePath,
+                videoUrl: videoData.videoUrl,
+            },
+            metadata,
+            url,
+            options
+        );
+        if (audioPath) {
+            result.files.push(audioPath);
+            filePath = filePath || audioPath;
+        }
+        // In audio-only mode the soundtrack is the post's only file
+        if (!filePath) {
+            throw new FatalError("Soundtrack could not be saved", {
+                category: ERROR_CATEGORIES.EXTRACTION,
+                url,
+            });
         }
 
-        // Download video
-        await downloadVideo(videoData, url);
-
-        console.log(
-            `Method used: ${
-                useDirectExtraction
-                    ? "Direct extraction from HTML"
-                    : "Backup API"
-            }`
+        // Sidecars share the name of the video, or of the soundtrack
+        const basePath = filePath.replace(/\.[^./\\]+$/, "");
+        if (options.writeInfoJson) {
+            result.files.push(writeInfoJson(basePath, metadata));
+        }
+        if (options.writeCaption) {
+            result.files.push(writeCaptionTxt(basePath, metadata.caption));
+        }
+        const subtitlePaths = await saveSubtitles(
+            videoData.subtitles,
+            basePath,
+            url,
+            options
         );
+        result.files.push(...subtitlePaths);
+        const commentsPath = await saveComments(
+            videoData.videoId,
+            basePath,
+            metadata,
+            url,
+            options
+        );
+        if (commentsPath) result.files.push(commentsPath);
+
+        console.log(`Method used: ${method}`);
+        archive?.add(post.id);
+        result.status = "success";
     } catch (error) {
         console.error(`Failed to process video from ${url}: ${error.message}`);
+        result.status = "failed";
+        result.error = error;
     }
+
+    return result;
 };
 
 module.exports = {
+    getVideoInfo,
     processVideoPost,
 };
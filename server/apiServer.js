@@ -0,0 +1,489 @@
+/**
+ * API Server Module
+ *
+ * Local HTTP server that lets browsers, chat bots and scripts queue
+ * downloads without a terminal. Jobs are kept in a persistent job store and
+ * worked through by a job runner, so they survive a restart. Routes:
+ * - `POST /jobs`: Queues a job from a JSON body `{ urls, options }`
+ * - `GET /jobs/:id`: Status, progress and result files of a job
+ * - `GET /info?url=`: Metadata of a post, without downloading it
+ * - `GET /files/:name`: A file downloaded by a job, with range support
+ *
+ * Every response other than files is JSON; errors are `{ "error": message }`.
+ * The server has no authentication and listens on localhost by default.
+ *
+ * @module apiServer
+ * @requires fs
+ * @requires http
+ * @requires path
+ * @requires configLoader
+ * @requires urlUtils
+ * @requires dateUtils
+ * @requires errors
+ * @requires jobStore
+ * @requires jobRunner
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { coerceSetting } = require("../config/configLoader");
+const { validateURL } = require("../utils/urlUtils");
+const { parseDate } = require("../utils/dateUtils");
+const { ERROR_CATEGORIES } = require("../utils/errors");
+const { openJobStore } = require("../services/jobStore");
+const { createJobRunner } = require("./jobRunner");
+
+/**
+ * Largest accepted request body, in bytes
+ * @constant {number}
+ * @private
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Settings a job may override. Directories, templates and other settings
+ * that decide where files are written stay under the server's control.
+ * @constant {string[]}
+ */
+const JOB_SETTINGS = [
+    "quality",
+    "codec",
+    "audio",
+    "onCollision",
+    "dedupe",
+    "writeInfoJson",
+    "comments",
+    "maxComments",
+    "subs",
+    "subFormat",
+    "writeCaption",
+    "slideshow",
+    "slideDuration",
+    "slideshowSize",
+    "embedMetadata",
+    "videoExtractors",
+    "photoExtractors",
+];
+
+/**
+ * HTTP status codes of the error categories raised by the extractors
+ * @constant {Object<string, number>}
+ * @private
+ */
+const CATEGORY_STATUS_CODES = {
+    [ERROR_CATEGORIES.INVALID_URL]: 400,
+    [ERROR_CATEGORIES.NOT_FOUND]: 404,
+    [ERROR_CATEGORIES.REMOVED]: 404,
+    [ERROR_CATEGORIES.PRIVATE]: 403,
+    [ERROR_CATEGORIES.FORBIDDEN]: 403,
+};
+
+/**
+ * Content types of served files, keyed by extension
+ * @constant {Object<string, string>}
+ * @private
+ */
+const CONTENT_TYPES = {
+    ".mp4": "video/mp4",
+    ".m4a": "audio/mp4",
+    ".mp3": "audio/mpeg",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".json": "application/json; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".vtt": "text/vtt; charset=utf-8",
+    ".srt": "application/x-subrip; charset=utf-8",
+};
+
+/**
+ * Creates an error answered with a given HTTP status
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} Error with a `statusCode` property
+ * @private
+ */
+const httpError = (statusCode, message) =>
+    Object.assign(new Error(message), { statusCode });
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - Value to serialize
+ * @param {Object} [headers={}] - Extra headers
+ * @private
+ */
+const sendJson = (res, statusCode, body, headers = {}) => {
+    const payload = `${JSON.stringify(body, null, 2)}\n`;
+    res.writeHead(statusCode, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(payload),
+        ...headers,
+    });
+    res.end(payload);
+};
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @async
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} 413 if the body is too large, 400 if it is not JSON
+ * @private
+ */
+const readJsonBody = async (req) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw httpError(
+                413,
+                `Request body exceeds ${MAX_BODY_BYTES} bytes`
+            );
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (error) {
+        throw httpError(
+            400,
+            `Request body is not valid JSON: ${error.message}`
+        );
+    }
+};
+
+/**
+ * Validates the options of a submitted job
+ *
+ * Settings listed in {@link JOB_SETTINGS} are checked against the settings
+ * schema; the list filters of the command line (`only`, `dateAfter`,
+ * `dateBefore`, `maxCount`, `breakOnExisting`) and `force` are accepted too.
+ *
+ * @param {*} options - Submitted options
+ * @returns {Object} Validated options
+ * @throws {Error} 400 if an option is unknown, not allowed or invalid
+ * @private
+ */
+const validateJobOptions = (options = {}) => {
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+        throw httpError(400, '"options" must be an object');
+    }
+
+    const validated = {};
+    for (const [key, value] of Object.entries(options)) {
+        const fail = (expected) => {
+            throw httpError(
+                400,
+                `Invalid value for "${key}" in request options: expected ${expected}, got ${JSON.stringify(
+                    value
+                )}`
+            );
+        };
+
+        if (JOB_SETTINGS.includes(key)) {
+            try {
+                validated[key] = coerceSetting(key, value, "request options");
+            } catch (error) {
+                throw httpError(400, error.message);
+            }
+        } else if (key === "only") {
+            if (value !== "video" && value !== "photo") {
+                fail('"video" or "photo"');
+            }
+            validated.only = value;
+        } else if (key === "dateAfter" || key === "dateBefore") {
+            if (typeof value !== "string" || parseDate(value) === null) {
+                fail("a YYYY-MM-DD or YYYYMMDD date");
+            }
+            validated[key] = value;
+        } else if (key === "maxCount") {
+            if (!Number.isInteger(value) || value < 1) fail("an integer >= 1");
+            validated.maxCount = value;
+        } else if (key === "breakOnExisting" || key === "force") {
+            if (typeof value !== "boolean") fail("a boolean");
+            validated[key] = value;
+        } else {
+            throw httpError(
+                400,
+                `Unknown or unsupported option "${key}" (supported: ${[
+                    ...JOB_SETTINGS,
+                    "only",
+                    "dateAfter",
+                    "dateBefore",
+                    "maxCount",
+                    "breakOnExisting",
+                    "force",
+                ].join(", ")})`
+            );
+        }
+    }
+    return validated;
+};
+
+/**
+ * Adds download links to the result files of a job
+ *
+ * @param {Object} job - Stored job
+ * @returns {Object} Job as returned by the API, with a `files` list of
+ *   `{ name, url }` on every result
+ * @private
+ */
+const toJobView = (job) => ({
+    ...job,
+    results: job.results.map((row) => ({
+        ...row,
+        files: (row.outputPaths || []).map((filePath) => {
+            const name = path.basename(filePath);
+            return { name, url: `/files/${encodeURIComponent(name)}` };
+        }),
+    })),
+});
+
+/**
+ * Finds a file downloaded by any job
+ *
+ * Only files listed in job results are served, never arbitrary paths.
+ *
+ * @param {Object} store - Job store
+ * @param {string} name - File name, without directories
+ * @returns {string|null} Path of the most recently downloaded file with
+ *   that name that still exists, or null
+ * @private
+ */
+const findJobFile = (store, name) => {
+    const jobs = store.list().reverse();
+    for (const job of jobs) {
+        for (const row of [...job.results].reverse()) {
+            const filePath = (row.outputPaths || []).find(
+                (candidate) => path.basename(candidate) === name
+            );
+            if (filePath && fs.existsSync(filePath)) return filePath;
+        }
+    }
+    return null;
+};
+
+/**
+ * Streams a file, honouring a single `Range` request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} filePath - File to send
+ * @private
+ */
+const sendFile = (req, res, filePath) => {
+    const { size } = fs.statSync(filePath);
+    const name = path.basename(filePath);
+    const headers = {
+        "Content-Type":
+            CONTENT_TYPES[path.extname(name).toLowerCase()] ||
+            "application/octet-stream",
+        "Accept-Ranges": "bytes",
+        "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(name)}`,
+    };
+
+    let start = 0;
+    let end = size - 1;
+    let statusCode = 200;
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+    if (range && (range[1] || range[2])) {
+        if (range[1]) {
+            start = Number(range[1]);
+            if (range[2]) end = Math.min(Number(range[2]), size - 1);
+        } else {
+            start = Math.max(size - Number(range[2]), 0);
+        }
+        if (start > end) {
+            res.writeHead(416, { "Content-Range": `bytes */${size}` });
+            res.end();
+            return;
+        }
+        statusCode = 206;
+        headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+    }
+
+    res.writeHead(statusCode, {
+        ...headers,
+        "Content-Length": size === 0 ? 0 : end - start + 1,
+    });
+    if (req.method === "HEAD" || size === 0) {
+        res.end();
+        return;
+    }
+    fs.createReadStream(filePath, { start, end })
+        .on("error", (error) => res.destroy(error))
+        .pipe(res);
+};
+
+/**
+ * Answers one request
+ *
+ * @async
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} context - Server state: `store`, `runner`, `getInfo`
+ *   and `settings`
+ * @returns {Promise<void>} Resolves once the response is sent or streaming
+ * @throws {Error} With a `statusCode` for client errors
+ * @private
+ */
+const handleRequest = async (req, res, context) => {
+    const { store, runner, getInfo, settings } = context;
+    const url = new URL(req.url, "http://localhost");
+    const [route, param, ...rest] = url.pathname.split("/").filter(Boolean);
+    const allow = (...methods) => {
+        if (!methods.includes(req.method)) {
+            throw Object.assign(httpError(405, "Method not allowed"), {
+                headers: { Allow: methods.join(", ") },
+            });
+        }
+    };
+
+    if (route === "jobs" && param === undefined) {
+        allow("POST");
+        const body = await readJsonBody(req);
+        const urls = body?.urls ?? (body?.url ? [body.url] : undefined);
+        if (
+            !Array.isArray(urls) ||
+            urls.length === 0 ||
+            !urls.every((entry) => typeof entry === "string")
+        ) {
+            throw httpError(400, '"urls" must be a non-empty array of URLs');
+        }
+        const invalid = urls.filter((entry) => !validateURL(entry));
+        if (invalid.length > 0) {
+            throw httpError(
+                400,
+                `Invalid TikTok URL(s): ${invalid.join(", ")}`
+            );
+        }
+
+        const job = store.create(urls, validateJobOptions(body.options));
+        console.log(`Job ${job.id} queued: ${urls.length} URL(s)`);
+        runner.enqueue(job.id);
+        sendJson(res, 202, toJobView(job), { Location: `/jobs/${job.id}` });
+        return;
+    }
+
+    if (route === "jobs" && rest.length === 0) {
+        allow("GET", "HEAD");
+        const job = store.get(param);
+        if (!job) throw httpError(404, `Unknown job: ${param}`);
+        sendJson(res, 200, toJobView(job));
+        return;
+    }
+
+    if (route === "info" && param === undefined) {
+        allow("GET", "HEAD");
+        const postUrl = url.searchParams.get("url");
+        if (!postUrl) throw httpError(400, 'Missing "url" query parameter');
+        try {
+            sendJson(res, 200, await getInfo(postUrl, settings));
+        } catch (error) {
+            throw httpError(
+                CATEGORY_STATUS_CODES[error.category] || 502,
+                error.message
+            );
+        }
+        return;
+    }
+
+    if (route === "files" && param !== undefined && rest.length === 0) {
+        allow("GET", "HEAD");
+        let name;
+        try {
+            name = decodeURIComponent(param);
+        } catch (error) {
+            throw httpError(400, `Malformed file name: ${param}`);
+        }
+        const filePath = findJobFile(store, name);
+        if (!filePath) {
+            throw httpError(404, `No downloaded file named ${name}`);
+        }
+        sendFile(req, res, filePath);
+        return;
+    }
+
+    throw httpError(404, `Not found: ${url.pathname}`);
+};
+
+/**
+ * Creates the API server
+ *
+ * @param {Object} params - Server dependencies
+ * @param {Object} params.store - Job store (see jobStore)
+ * @param {Object} params.runner - Job runner (see jobRunner)
+ * @param {Function} params.getInfo - Metadata lookup, called as
+ *   `getInfo(url, settings)` (see index)
+ * @param {Object} [params.settings={}] - Loaded settings
+ * @returns {http.Server} Server, not yet listening
+ */
+const createApiServer = ({ store, runner, getInfo, settings = {} }) =>
+    http.createServer((req, res) => {
+        handleRequest(req, res, { store, runner, getInfo, settings }).catch(
+            (error) => {
+                const statusCode = error.statusCode || 500;
+                if (statusCode === 500) {
+                    console.error(`${req.method} ${req.url}: ${error.message}`);
+                }
+                if (res.headersSent) {
+                    res.destroy(error);
+                    return;
+                }
+                sendJson(
+                    res,
+                    statusCode,
+                    { error: error.message },
+                    error.headers
+                );
+            }
+        );
+    });
+
+/**
+ * Opens the job store, resumes its unfinished jobs and starts listening
+ *
+ * @async
+ * @param {Object} params - Server options
+ * @param {Function} params.processUrls - Batch pipeline (see index)
+ * @param {Function} params.getInfo - Metadata lookup (see index)
+ * @param {Object} params.settings - Loaded settings, including
+ *   `serverHost`, `serverPort` and `jobStore`
+ * @returns {Promise<Object>} `{ server, store, runner, url }` once listening
+ * @throws {Error} If the job store cannot be read or the port is taken
+ *
+ * @example
+ * const { url } = await startApiServer({ processUrls, getInfo, settings });
+ * console.log(`Listening on ${url}`);
+ */
+const startApiServer = async ({ processUrls, getInfo, settings }) => {
+    const store = openJobStore(settings.jobStore);
+    const runner = createJobRunner({ store, processUrls, settings });
+    const server = createApiServer({ store, runner, getInfo, settings });
+
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(settings.serverPort, settings.serverHost, resolve);
+    });
+    const queued = store.list("queued").length;
+    if (queued > 0) console.log(`Resuming ${queued} queued job(s)`);
+    runner.resume();
+
+    const { address, port } = server.address();
+    const host = address.includes(":") ? `[${address}]` : address;
+    return { server, store, runner, url: `http://${host}:${port}` };
+};
+
+module.exports = {
+    JOB_SETTINGS,
+    createApiServer,
+    startApiServer,
+};
@@ -0,0 +1,100 @@
+/**
+ * Job Runner Module
+ *
+ * Works through the jobs of a job store one at a time, in submission order.
+ * The URLs of a job go through the regular batch pipeline in one run, so
+ * list URLs are expanded, posts are handed to the video or photo processor
+ * and the concurrency, rate and delay settings apply as on the command
+ * line. Progress and results are saved as each URL finishes, in submission
+ * order, which lets an interrupted job resume where it stopped.
+ *
+ * @module jobRunner
+ * @requires concurrencyUtils
+ * @requires reportService
+ */
+
+const { createQueue } = require("../utils/concurrencyUtils");
+const { toReportRow } = require("../services/reportService");
+
+/**
+ * Creates a job runner
+ *
+ * @param {Object} params - Runner dependencies
+ * @param {Object} params.store - Job store (see jobStore)
+ * @param {Function} params.processUrls - Batch pipeline, called as
+ *   `processUrls(urls, options)` with an `onUrlDone` callback (see index)
+ * @param {Object} [params.settings={}] - Loaded settings; job options
+ *   override them, and `report` is ignored
+ * @returns {Object} Runner with:
+ *   - enqueue(id): Schedules a queued job, returns a promise of its end
+ *   - resume(): Schedules every queued job of the store, e.g. after a restart
+ *   - onIdle(): Resolves once no job is running or waiting
+ *
+ * @example
+ * const runner = createJobRunner({ store, processUrls, settings });
+ * runner.resume();
+ * runner.enqueue(store.create(urls, {}).id);
+ */
+const createJobRunner = ({ store, processUrls, settings = {} }) => {
+    const queue = createQueue({ concurrency: 1 });
+
+    const runJob = async (id) => {
+        let job = store.update(id, {
+            status: "running",
+            startedAt: store.get(id).startedAt || new Date().toISOString(),
+        });
+        const onUrlDone = (url, results) => {
+            const count = (status) =>
+                results.filter((result) => result.status === status).length;
+            const succeeded = count("success");
+            const skipped = count("skipped");
+            const failed = results.length - succeeded - skipped;
+            job = store.update(id, {
+                progress: {
+                    ...job.progress,
+                    done: job.progress.done + 1,
+                    succeeded: job.progress.succeeded + succeeded,
+                    failed: job.progress.failed + failed,
+                    skipped: job.progress.skipped + skipped,
+                },
+                results: [...job.results, ...results.map(toReportRow)],
+            });
+        };
+        // Results are kept in the job store, not in a report file
+        const options = {
+            ...settings,
+            ...job.options,
+            report: undefined,
+            onUrlDone,
+        };
+
+        try {
+            await processUrls(job.urls.slice(job.progress.done), options);
+            store.update(id, {
+                status: "completed",
+                finishedAt: new Date().toISOString(),
+            });
+        } catch (error) {
+            console.error(`Job ${id} failed: ${error.message}`);
+            store.update(id, {
+                status: "failed",
+                finishedAt: new Date().toISOString(),
+                error: error.message,
+            });
+        }
+    };
+
+    const enqueue = (id) => queue.add(() => runJob(id));
+
+    return {
+        enqueue,
+        resume: () => {
+            for (const job of store.list("queued")) enqueue(job.id);
+        },
+        onIdle: () => queue.onIdle(),
+    };
+};
+
+module.exports = {
+    createJobRunner,
+};
@@ -7,20 +7,13 @@
  *
  * @module apiService
  * @requires networkUtils
- * @requires constants
+ * @requires configLoader
+ * @requires errors
  */
 
 const { instance } = require("../utils/networkUtils");
-const { MOBILE_USER_AGENT, API_URL } = require("../config/constants");
-
-/**
- * Headers configuration for API requests
- * @constant {Object}
- * @private
- */
-const headers = {
-    "User-Agent": MOBILE_USER_AGENT,
-};
+const { getConfig } = require("../config/configLoader");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
 
 /**
  * Retrieves media information from the TikTok downloader API
@@ -34,19 +27,23 @@ const headers = {
  * @returns {Promise<Object>} Media information object containing:
  *   - For videos: type, id, createTime, author, video details
  *   - For photos: type, id, createTime, author, image URLs
- * @throws {Error} If the API request fails, returns non-success status, or response format is invalid
+ * @throws {DownloadError} If the API request fails, returns non-success status, or response format is invalid
  *
  */
 const getMediaInfoFromAPI = async (url) => {
     try {
-        const apiUrl = `${API_URL}?url=${encodeURIComponent(url)}`;
+        const { apiUrl: baseUrl, mobileUserAgent } = getConfig();
+        const apiUrl = `${baseUrl}?url=${encodeURIComponent(url)}`;
         const response = await instance(apiUrl, {
             method: "GET",
-            headers: headers,
+            headers: { "User-Agent": mobileUserAgent },
         });
 
         if (response.data.status !== "success") {
-            throw new Error(`API return status: ${response.data.status}`);
+            throw new FatalError(`API return status: ${response.data.status}`, {
+                category: ERROR_CATEGORIES.EXTRACTION,
+                url,
+            });
         }
 
         return response.data.result;
@@ -0,0 +1,132 @@
+/**
+ * Download Archive Service Module
+ *
+ * Keeps a persistent record of downloaded posts so repeated runs skip them,
+ * similar to yt-dlp's `--download-archive`. The archive is a plain text file
+ * with one `tiktok <postId>` line per downloaded post.
+ *
+ * @module archiveService
+ * @requires fs
+ * @requires path
+ * @requires fileUtils
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists } = require("../utils/fileUtils");
+
+/**
+ * Prefix written before every post ID in the archive file
+ * @constant {string}
+ * @private
+ */
+const ARCHIVE_PREFIX = "tiktok";
+
+/**
+ * Matches a TikTok post ID inside a downloaded filename
+ * @constant {RegExp}
+ * @private
+ */
+const POST_ID_IN_FILENAME_REGEX = /(?:^|\D)(\d{15,20})(?:\D|$)/;
+
+/**
+ * Open archives keyed by absolute file path, so every caller in the process
+ * shares the same in-memory set
+ * @type {Map<string, Object>}
+ * @private
+ */
+const openArchives = new Map();
+
+/**
+ * Reads the post IDs recorded in an archive file
+ *
+ * @param {string} filePath - Archive file path
+ * @returns {Set<string>} Recorded post IDs (empty if the file does not exist)
+ * @private
+ */
+const readArchiveIds = (filePath) => {
+    if (!fs.existsSync(filePath)) return new Set();
+
+    const ids = new Set();
+    for (const line of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+        const [prefix, id] = line.trim().split(/\s+/);
+        if (prefix === ARCHIVE_PREFIX && id) ids.add(id);
+    }
+    return ids;
+};
+
+/**
+ * Opens (or returns the already open) download archive at a path
+ *
+ * @param {string} filePath - Archive file path; created on first write
+ * @returns {Object} Archive with:
+ *   - has(id): Whether a post ID is recorded
+ *   - add(id): Records a post ID, appending it to the file
+ *   - size: Number of recorded posts
+ *
+ * @example
+ * const archive = openArchive("archive.txt");
+ * if (!archive.has(postId)) {
+ *     // download...
+ *     archive.add(postId);
+ * }
+ */
+const openArchive = (filePath) => {
+    const key = path.resolve(filePath);
+    if (openArchives.has(key)) return openArchives.get(key);
+
+    const ids = readArchiveIds(key);
+    const archive = {
+        has: (id) => ids.has(String(id)),
+        add: (id) => {
+            if (ids.has(String(id))) return;
+            ids.add(String(id));
+            ensureDirectoryExists(path.dirname(key));
+            fs.appendFileSync(key, `${ARCHIVE_PREFIX} ${id}\n`);
+        },
+        get size() {
+            return ids.size;
+        },
+    };
+
+    openArchives.set(key, archive);
+    return archive;
+};
+
+/**
+ * Rebuilds an archive from the files already present in output directories
+ *
+ * Every downloaded filename contains its post ID, so scanning the
+ * directories recovers the list of downloaded posts. IDs found are added to
+ * the archive; existing entries are kept. Unfinished `.part` files are ignored.
+ *
+ * @param {string} filePath - Archive file path
+ * @param {string[]} directories - Output directories to scan
+ * @returns {number} Number of post IDs newly added to the archive
+ */
+const rebuildArchive = (filePath, directories) => {
+    const archive = openArchive(filePath);
+    const before = archive.size;
+
+    const scan = (dir) => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                scan(path.join(dir, entry.name));
+                continue;
+            }
+            if (entry.name.endsWith(".part")) continue;
+
+            const match = entry.name.match(POST_ID_IN_FILENAME_REGEX);
+            if (match) archive.add(match[1]);
+        }
+    };
+
+    [...new Set(directories)].forEach(scan);
+    return archive.size - before;
+};
+
+module.exports = {
+    openArchive,
+    rebuildArchive,
+};
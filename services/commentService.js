@@ -0,0 +1,130 @@
+/**
+ * Comment Service Module
+ *
+ * Fetches the comment threads of a post from TikTok's web API: the
+ * top-level comments from `comment/list` and the replies of each comment
+ * from `comment/list/reply`, nested under the comment they answer.
+ *
+ * @module commentService
+ * @requires itemListService
+ * @requires constants
+ */
+
+const { fetchItemPages } = require("./itemListService");
+const { COMMENT_PAGE_SIZE } = require("../config/constants");
+
+/**
+ * Converts a raw API comment to the exported form
+ *
+ * @param {Object} comment - Comment from the API
+ * @returns {Object} Comment with `id`, `author`, `text`, `likes`,
+ *   `createTime`, `createdAt`, `replyCount` and an empty `replies` list
+ * @private
+ */
+const normalizeComment = (comment) => {
+    const createTime = Number(comment.create_time) || null;
+    return {
+        id: String(comment.cid),
+        author: {
+            id: comment.user?.uid ? String(comment.user.uid) : null,
+            uniqueId: comment.user?.unique_id || null,
+            nickname: comment.user?.nickname || null,
+        },
+        text: comment.text || "",
+        likes: Number(comment.digg_count) || 0,
+        createTime,
+        createdAt: createTime
+            ? new Date(createTime * 1000).toISOString()
+            : null,
+        replyCount: Number(comment.reply_comment_total) || 0,
+        replies: [],
+    };
+};
+
+/**
+ * Fetches the comments of a post with their replies
+ *
+ * Threads are fetched in order, each comment's replies right after the
+ * comment, so when the cap is reached the exported threads are complete up
+ * to the last one.
+ *
+ * @async
+ * @param {string} postId - Post ID
+ * @param {Object} [options={}] - Fetch options
+ * @param {number} [options.maxComments=500] - Maximum number of comments and
+ *   replies, together
+ * @param {string} [options.referer] - Post URL, sent as referer
+ * @returns {Promise<Object>} Comment export containing:
+ *   - postId: Post ID
+ *   - fetchedAt: ISO 8601 time of the export
+ *   - count: Number of comments and replies exported
+ *   - truncated: Whether the cap stopped the export early
+ *   - comments: Top-level comments, each with its `replies`
+ * @throws {DownloadError} If a page of comments cannot be fetched
+ *
+ * @example
+ * const { count, comments } = await fetchComments("7300000000000000000", {
+ *     maxComments: 100,
+ * });
+ */
+const fetchComments = async (postId, options = {}) => {
+    const { maxComments = 500, referer } = options;
+    const pageOptions = {
+        referer,
+        listKey: "comments",
+        pageSize: COMMENT_PAGE_SIZE,
+    };
+    const comments = [];
+    let count = 0;
+    let truncated = false;
+
+    // Adds a comment to a list, or returns null once the cap is reached
+    const add = (raw, list) => {
+        if (count >= maxComments) {
+            truncated = true;
+            return null;
+        }
+        const comment = normalizeComment(raw);
+        list.push(comment);
+        count++;
+        return comment;
+    };
+
+    const threads = fetchItemPages(
+        "comment/list",
+        { aweme_id: postId },
+        pageOptions
+    );
+    for await (const page of threads) {
+        for (const raw of page) {
+            const comment = add(raw, comments);
+            if (!comment) break;
+            if (comment.replyCount === 0) continue;
+
+            const replies = fetchItemPages(
+                "comment/list/reply",
+                { item_id: postId, comment_id: comment.id },
+                pageOptions
+            );
+            for await (const replyPage of replies) {
+                if (!replyPage.every((reply) => add(reply, comment.replies))) {
+                    break;
+                }
+            }
+            if (truncated) break;
+        }
+        if (truncated) break;
+    }
+
+    return {
+        postId: String(postId),
+        fetchedAt: new Date().toISOString(),
+        count,
+        truncated,
+        comments,
+    };
+};
+
+module.exports = {
+    fetchComments,
+};
@@ -1,30 +1,234 @@
 /**
  * Download Service Module
  *
- * Provides functionality for downloading TikTok media content (images and videos).
- * This module handles the actual file downloading and saving operations,
- * managing both single video files and multiple images from photo posts.
+ * Provides functionality for downloading TikTok media content (images, videos
+ * and soundtracks). This module handles the actual file downloading and saving
+ * operations, managing single video files, multiple images from photo posts
+ * tagged audio files and caption tracks.
+ * Files are streamed to disk and only appear under their final name once
+ * complete. File and folder names come from configurable templates. Every
+ * saved video, image and soundtrack is recorded in the hash index of its
+ * output directory, and videos and images identical to a file already
+ * saved there are deduplicated (see hashIndexService).
  *
  * @module downloadService
  * @requires fs
+ * @requires os
+ * @requires path
  * @requires networkUtils
  * @requires fileUtils
- * @requires dateUtils
+ * @requires hashIndexService
+ * @requires templateUtils
+ * @requires mp4Utils
+ * @requires id3Utils
+ * @requires subtitleUtils
+ * @requires errors
  * @requires constants
+ * @requires configLoader
  */
 
 const fs = require("fs");
-const { downloadFile } = require("../utils/networkUtils");
-const { ensureDirectoryExists } = require("../utils/fileUtils");
-const { formatUploadDate } = require("../utils/dateUtils");
-const { IMAGE_DIR, VIDEO_DIR, USER_AGENT } = require("../config/constants");
-const { instance } = require("../utils/networkUtils");
+const os = require("os");
+const path = require("path");
+const {
+    downloadFile,
+    downloadToFile,
+    mediaQueue,
+} = require("../utils/networkUtils");
+const {
+    claimOutputPath,
+    ensureDirectoryExists,
+    readFileHeader,
+} = require("../utils/fileUtils");
+const { storeDownload } = require("./hashIndexService");
+const {
+    renderTemplate,
+    stripIndexField,
+} = require("../utils/templateUtils");
+const { isMp4, extractAudioFileToM4a } = require("../utils/mp4Utils");
+const { isMp3, writeId3Tags } = require("../utils/id3Utils");
+const { vttToSrt } = require("../utils/subtitleUtils");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+const {
+    VIDEO_TEMPLATE,
+    IMAGE_TEMPLATE,
+    AUDIO_TEMPLATE,
+} = require("../config/constants");
+const { getConfig } = require("../config/configLoader");
+
+/**
+ * Resolves a rendered template to a path inside the output directory
+ *
+ * Directory-only templates get the default template appended.
+ *
+ * @param {string} outputDir - Output directory
+ * @param {string} template - Filename template
+ * @param {string} defaultTemplate - Template used for directory-only templates
+ * @param {Object} fields - Template field values
+ * @returns {string} Output path
+ * @private
+ */
+const renderOutputPath = (outputDir, template, defaultTemplate, fields) =>
+    path.join(outputDir, renderTemplate(template, fields, defaultTemplate));
+
+/**
+ * Reserves an output path and makes sure its directory exists
+ *
+ * @param {string} filePath - Desired output path
+ * @param {string} [onCollision] - Collision policy (see fileUtils), defaulting
+ *   to the configured onCollision
+ * @returns {Object} `{ filePath, skip }` from {@link module:fileUtils.claimOutputPath}
+ * @private
+ */
+const prepareOutputPath = (filePath, onCollision) => {
+    const claim = claimOutputPath(
+        filePath,
+        onCollision || getConfig().onCollision
+    );
+    ensureDirectoryExists(path.dirname(claim.filePath));
+    return claim;
+};
+
+/**
+ * Records a downloaded file in the hash index of its output directory,
+ * deduplicating it against the files saved there
+ *
+ * @param {string} filePath - Downloaded file
+ * @param {string} outputDir - Output directory the file was saved to
+ * @param {string} [dedupe] - Dedupe mode (see hashIndexService), defaulting
+ *   to the configured dedupe
+ * @param {string} label - Name of the file in log messages, e.g. "Video"
+ * @returns {string|null} Path of the stored file, or null if it duplicated
+ *   a saved file and was not kept
+ * @private
+ */
+const storeMediaFile = (filePath, outputDir, dedupe, label) => {
+    const stored = storeDownload(
+        filePath,
+        outputDir,
+        dedupe || getConfig().dedupe
+    );
+    if (stored.duplicateOf) {
+        console.log(
+            `${label} is a duplicate of ${stored.duplicateOf}, ${
+                stored.filePath ? "hard-linked" : "not kept"
+            }`
+        );
+    }
+    return stored.filePath;
+};
+
+/**
+ * Computes the path shared by every file of a photo set, without extension
+ *
+ * Used for files describing the whole set, such as metadata sidecars.
+ *
+ * @param {string} imageId - Unique identifier for the image collection
+ * @param {number} timestamp - Unix timestamp of post creation
+ * @param {string} authorId - Creator's unique TikTok identifier
+ * @param {string} [outputDir] - Directory the images are saved to (default: configured imageDir)
+ * @param {Object} [naming={}] - Naming options, as for {@link downloadImages}
+ * @returns {string} Path without extension
+ */
+const getImageSetBasePath = (
+    imageId,
+    timestamp,
+    authorId,
+    outputDir = getConfig().imageDir,
+    naming = {}
+) => {
+    const template = naming.template || getConfig().imageTemplate;
+    const filePath = renderOutputPath(
+        outputDir,
+        stripIndexField(template),
+        stripIndexField(IMAGE_TEMPLATE),
+        {
+            author: authorId,
+            nickname: naming.nickname,
+            id: imageId,
+            date: timestamp,
+            desc: naming.description,
+            type: "image",
+            ext: "jpg",
+        }
+    );
+    return filePath.replace(/\.jpg$/, "");
+};
+
+/**
+ * Reserves the output path of a photo post slideshow
+ *
+ * Slideshows are videos, so they are named and stored like video downloads,
+ * with `{type}` set to "slideshow".
+ *
+ * @param {Object} postData - Post information
+ * @param {string} postData.postId - Post ID
+ * @param {string} postData.authorUniqueId - Creator's TikTok identifier
+ * @param {string} [postData.authorNickname] - Creator's display name
+ * @param {number} postData.createTime - Unix timestamp of post creation
+ * @param {string} [postData.description] - Post caption
+ * @param {string} [outputDir] - Directory the slideshow is saved to (default: configured videoDir)
+ * @param {Object} [naming={}] - Naming options
+ * @param {string} [naming.template] - Filename template (default: configured videoTemplate)
+ * @param {string} [naming.onCollision] - Collision policy (default: configured onCollision)
+ * @returns {Object} `{ filePath, skip }` from {@link module:fileUtils.claimOutputPath}
+ */
+const prepareSlideshowPath = (
+    postData,
+    outputDir = getConfig().videoDir,
+    naming = {}
+) =>
+    prepareOutputPath(
+        renderOutputPath(
+            outputDir,
+            naming.template || getConfig().videoTemplate,
+            VIDEO_TEMPLATE,
+            {
+                author: postData.authorUniqueId,
+                nickname: postData.authorNickname,
+                id: postData.postId,
+                date: postData.createTime,
+                desc: postData.description,
+                type: "slideshow",
+                ext: "mp4",
+            }
+        ),
+        naming.onCollision
+    );
+
+/**
+ * Image formats recognised in image URLs, with the extension saved files
+ * get for each
+ * @constant {Object<string, string>}
+ * @private
+ */
+const IMAGE_EXTENSIONS = {
+    jpg: "jpg",
+    jpeg: "jpg",
+    webp: "webp",
+    heic: "heic",
+    png: "png",
+};
+
+/**
+ * Reads the image format from a TikTok image URL
+ *
+ * @param {string} imageUrl - Image URL, e.g. `...~tplv-photomode-image.webp?...`
+ * @returns {string} File extension; "jpg" if the URL names no known format
+ * @private
+ */
+const getImageExtension = (imageUrl) => {
+    const match = /\.([a-z]+)(?:[?~]|$)/i.exec(new URL(imageUrl).pathname);
+    return IMAGE_EXTENSIONS[match?.[1].toLowerCase()] || "jpg";
+};
 
 /**
  * Downloads and saves multiple images from a TikTok photo post
  *
  * This function handles the download of all images associated with a TikTok post,
- * including proper file naming and organization.
+ * including proper file naming and organization. Images are fetched in
+ * parallel, limited by the shared media download queue. Each image is saved
+ * with the extension of the format its URL names (`.jpg` by default).
  *
  * @async
  * @param {string} url - The original TikTok post URL (used as referer)
@@ -32,40 +236,73 @@ const { instance } = require("../utils/networkUtils");
  * @param {string[]} imageUrls - Array of URLs for all images to download
  * @param {number} timestamp - Unix timestamp of post creation
  * @param {string} authorId - Creator's unique TikTok identifier
- * @returns {Promise<void>} Resolves when all images are successfully downloaded
+ * @param {string} [outputDir] - Directory the images are saved to (default: configured imageDir)
+ * @param {Object} [naming={}] - Naming options
+ * @param {string} [naming.template] - Filename template (default: configured imageTemplate)
+ * @param {string} [naming.onCollision] - Collision policy (default: configured onCollision)
+ * @param {string} [naming.nickname] - Creator display name, for `{nickname}`
+ * @param {string} [naming.description] - Post caption, for `{desc}`
+ * @param {string} [naming.dedupe] - Dedupe mode (default: configured dedupe)
+ * @returns {Promise<string[]>} Paths of the saved images, in carousel order;
+ *   duplicates that were not kept are left out
  * @throws {Error} If download fails or directory creation fails
  *
  */
-const downloadImages = async (url, imageId, imageUrls, timestamp, authorId) => {
+const downloadImages = async (
+    url,
+    imageId,
+    imageUrls,
+    timestamp,
+    authorId,
+    outputDir = getConfig().imageDir,
+    naming = {}
+) => {
     try {
-        const requestHeaders = {
-            Referer: url,
-            "User-Agent": USER_AGENT,
-        };
+        const template = naming.template || getConfig().imageTemplate;
 
-        for (let i = 0; i < imageUrls.length; i++) {
-            const imageUrl = imageUrls[i];
-            const response = await instance(imageUrl, {
-                headers: requestHeaders,
-                responseType: "arraybuffer",
-            });
+        // Fetch images in parallel, bounded by the shared media queue
+        const filePaths = await Promise.all(
+            imageUrls.map((imageUrl, i) =>
+                mediaQueue.add(async () => {
+                    const claim = prepareOutputPath(
+                        renderOutputPath(outputDir, template, IMAGE_TEMPLATE, {
+                            author: authorId,
+                            nickname: naming.nickname,
+                            id: imageId,
+                            date: timestamp,
+                            desc: naming.description,
+                            index: i + 1,
+                            type: "image",
+                            ext: getImageExtension(imageUrl),
+                        }),
+                        naming.onCollision
+                    );
+                    if (claim.skip) {
+                        console.log(`Image exists, skipping: ${claim.filePath}`);
+                        return claim.filePath;
+                    }
 
-            const formattedDate = formatUploadDate(timestamp);
-            const fileName = `${authorId}_image_${formattedDate}_${imageId}_${
-                i + 1
-            }.jpg`;
+                    await downloadToFile(imageUrl, url, claim.filePath);
 
-            ensureDirectoryExists(IMAGE_DIR);
-            fs.writeFileSync(`${IMAGE_DIR}/${fileName}`, response.data);
+                    console.log(
+                        `Image ${i + 1}/${
+                            imageUrls.length
+                        } successfully downloaded: ${claim.filePath}`
+                    );
+                    return storeMediaFile(
+                        claim.filePath,
+                        outputDir,
+                        naming.dedupe,
+                        `Image ${i + 1}/${imageUrls.length}`
+                    );
+                })
+            )
+        );
 
-            console.log(
-                `Image ${i + 1}/${
-                    imageUrls.length
-                } successfully downloaded: ${fileName}`
-            );
-        }
+        return filePaths.filter(Boolean);
     } catch (error) {
         console.error(`Error downloading images from ${url}: ${error.message}`);
+        throw error;
     }
 };
 
@@ -73,39 +310,308 @@ const downloadImages = async (url, imageId, imageUrls, timestamp, authorId) => {
  * Downloads and saves a single TikTok video
  *
  * This function handles the complete video download process, including:
- * - Downloading the video content
- * - Generating appropriate filename
+ * - Generating the filename from the template
+ * - Resolving filename collisions
  * - Ensuring target directory exists
- * - Saving the file with proper metadata
+ * - Streaming the video content to disk, resuming interrupted transfers
+ * - Trying the other CDN mirrors of the chosen variant when one fails
+ * - Recording the video in the hash index and deduplicating it
  *
  * @async
  * @param {Object} videoData - Video metadata and download information
  * @param {string} videoData.videoUrl - Direct URL to the video content
+ * @param {string[]} [videoData.videoUrls] - Mirror URLs of the same file,
+ *   tried in order (default: just `videoUrl`)
  * @param {number} videoData.createTime - Unix timestamp of video creation
  * @param {string} videoData.authorUniqueId - Creator's TikTok identifier
+ * @param {string} [videoData.authorNickname] - Creator's display name
  * @param {string} videoData.videoId - Unique identifier for the video
+ * @param {string} [videoData.description] - Video caption
  * @param {string} url - Original TikTok post URL (used as referer)
- * @returns {Promise<string>} The filename of the saved video
+ * @param {string} [outputDir] - Directory the video is saved to (default: configured videoDir)
+ * @param {Object} [naming={}] - Naming options
+ * @param {string} [naming.template] - Filename template (default: configured videoTemplate)
+ * @param {string} [naming.onCollision] - Collision policy (default: configured onCollision)
+ * @param {string} [naming.dedupe] - Dedupe mode (default: configured dedupe)
+ * @returns {Promise<string|null>} Path of the saved video, or null if it
+ *   duplicated a saved video and was not kept
  * @throws {Error} If download fails, directory creation fails, or file writing fails
  *
  */
-const downloadVideo = async (videoData, url) => {
-    // Download video
-    const videoBuffer = await downloadFile(videoData.videoUrl, url);
-
+const downloadVideo = async (
+    videoData,
+    url,
+    outputDir = getConfig().videoDir,
+    naming = {}
+) => {
     // Create filename
-    const formattedDate = formatUploadDate(videoData.createTime);
-    const fileName = `${videoData.authorUniqueId}_video_${formattedDate}_${videoData.videoId}.mp4`;
+    const claim = prepareOutputPath(
+        renderOutputPath(
+            outputDir,
+            naming.template || getConfig().videoTemplate,
+            VIDEO_TEMPLATE,
+            {
+                author: videoData.authorUniqueId,
+                nickname: videoData.authorNickname,
+                id: videoData.videoId,
+                date: videoData.createTime,
+                desc: videoData.description,
+                type: "video",
+                ext: "mp4",
+            }
+        ),
+        naming.onCollision
+    );
+    if (claim.skip) {
+        console.log(`Video exists, skipping: ${claim.filePath}`);
+        return claim.filePath;
+    }
 
-    // Save file
-    ensureDirectoryExists(VIDEO_DIR);
-    fs.writeFileSync(`${VIDEO_DIR}/${fileName}`, videoBuffer);
+    // Stream the video to disk, bounded by the shared media queue. Mirrors
+    // serve the same file, so a later mirror resumes the part file
+    const mirrors = videoData.videoUrls?.length
+        ? videoData.videoUrls
+        : [videoData.videoUrl];
+    for (const [index, mirror] of mirrors.entries()) {
+        try {
+            await mediaQueue.add(() =>
+                downloadToFile(mirror, url, claim.filePath)
+            );
+            break;
+        } catch (error) {
+            if (index === mirrors.length - 1) throw error;
+            console.warn(
+                `Mirror ${index + 1}/${mirrors.length} failed (${error.message}), trying the next one`
+            );
+        }
+    }
 
-    console.log(`Video successfully downloaded: ${fileName}`);
-    return fileName;
+    console.log(`Video successfully downloaded: ${claim.filePath}`);
+    return storeMediaFile(claim.filePath, outputDir, naming.dedupe, "Video");
+};
+
+/**
+ * Downloads a file to a temporary path
+ *
+ * The temporary file is named after the post, so an interrupted download
+ * resumes from its `.part` file on the next run.
+ *
+ * @async
+ * @param {string} sourceUrl - URL to download
+ * @param {string} referer - Referer header value
+ * @param {string} name - Temporary file name
+ * @returns {Promise<string>} Path of the downloaded file, to be deleted by
+ *   the caller
+ * @private
+ */
+const downloadToTemp = async (sourceUrl, referer, name) => {
+    const tempPath = path.join(os.tmpdir(), `tiktok-dl-${name}`);
+    await mediaQueue.add(() => downloadToFile(sourceUrl, referer, tempPath));
+    return tempPath;
+};
+
+/**
+ * Obtains the soundtrack of a post, trying each available source in turn
+ *
+ * @async
+ * @param {Object} audioData - Audio sources, as for {@link downloadAudio}
+ * @param {string} url - Original TikTok post URL (used as referer)
+ * @returns {Promise<Object>} Object with the `filePath` of the audio, its
+ *   `format` ("mp3", or "mp4" for MP4/M4A data that still has to be
+ *   remuxed) and whether the file is `temporary`
+ * @throws {DownloadError} If no source is available or every source fails
+ * @private
+ */
+const fetchAudio = async (audioData, url) => {
+    const hasVideo = Boolean(audioData.videoPath || audioData.videoUrl);
+
+    if (audioData.playUrl) {
+        let filePath = null;
+        try {
+            filePath = await downloadToTemp(
+                audioData.playUrl,
+                url,
+                `${audioData.postId}.audio`
+            );
+            const header = readFileHeader(filePath, 16);
+            if (isMp3(header)) {
+                return { filePath, format: "mp3", temporary: true };
+            }
+            if (isMp4(header)) {
+                return { filePath, format: "mp4", temporary: true };
+            }
+            throw new FatalError("Soundtrack has an unrecognized format", {
+                category: ERROR_CATEGORIES.EXTRACTION,
+                url: audioData.playUrl,
+            });
+        } catch (error) {
+            if (filePath) fs.rmSync(filePath, { force: true });
+            if (!hasVideo) throw error;
+            console.log(
+                `Soundtrack download failed (${error.message}), extracting audio from the video instead`
+            );
+        }
+    }
+
+    if (audioData.videoPath) {
+        return {
+            filePath: audioData.videoPath,
+            format: "mp4",
+            temporary: false,
+        };
+    }
+    if (audioData.videoUrl) {
+        const filePath = await downloadToTemp(
+            audioData.videoUrl,
+            url,
+            `${audioData.postId}.mp4`
+        );
+        return { filePath, format: "mp4", temporary: true };
+    }
+
+    throw new FatalError("Post has no soundtrack to download", {
+        category: ERROR_CATEGORIES.EXTRACTION,
+        url,
+    });
+};
+
+/**
+ * Saves the soundtrack of a post as a tagged audio file
+ *
+ * Sources are tried in this order:
+ * 1. The music `playUrl`, saved as `.mp3` or `.m4a` depending on its format
+ * 2. The audio track of the already downloaded video (`videoPath`)
+ * 3. The audio track of the video at `videoUrl`, downloaded to a temporary file
+ *
+ * Audio taken from a video is remuxed to `.m4a` in pure JavaScript, without
+ * re-encoding. Title, artist and album tags are written in both formats.
+ *
+ * @async
+ * @param {Object} audioData - Post and audio source information
+ * @param {string} audioData.postId - Post ID
+ * @param {string} audioData.authorUniqueId - Creator's TikTok identifier
+ * @param {string} [audioData.authorNickname] - Creator's display name
+ * @param {number} audioData.createTime - Unix timestamp of post creation
+ * @param {string} [audioData.description] - Post caption
+ * @param {string} [audioData.playUrl] - Music download URL
+ * @param {string} [audioData.videoPath] - Path of the downloaded video
+ * @param {string} [audioData.videoUrl] - Video download URL
+ * @param {Object} [audioData.tags={}] - Tags: title, artist, album
+ * @param {string} url - Original TikTok post URL (used as referer)
+ * @param {string} [outputDir] - Directory the audio is saved to (default: configured audioDir)
+ * @param {Object} [naming={}] - Naming options
+ * @param {string} [naming.template] - Filename template (default: configured audioTemplate)
+ * @param {string} [naming.onCollision] - Collision policy (default: configured onCollision)
+ * @returns {Promise<string>} Path of the saved audio file
+ * @throws {DownloadError} If no soundtrack source is available or all fail
+ * @throws {Error} If the video has no usable audio track
+ *
+ * @example
+ * const audioPath = await downloadAudio(
+ *     { postId: "123", authorUniqueId: "user", createTime: 1700000000,
+ *       playUrl: "https://.../sound.mp3", tags: { title: "original sound" } },
+ *     "https://www.tiktok.com/@user/video/123"
+ * );
+ */
+const downloadAudio = async (
+    audioData,
+    url,
+    outputDir = getConfig().audioDir,
+    naming = {}
+) => {
+    const source = await fetchAudio(audioData, url);
+    const tags = audioData.tags || {};
+    const format = source.format;
+
+    try {
+        const claim = prepareOutputPath(
+            renderOutputPath(
+                outputDir,
+                naming.template || getConfig().audioTemplate,
+                AUDIO_TEMPLATE,
+                {
+                    author: audioData.authorUniqueId,
+                    nickname: audioData.authorNickname,
+                    id: audioData.postId,
+                    date: audioData.createTime,
+                    desc: audioData.description,
+                    type: "audio",
+                    ext: format === "mp3" ? "mp3" : "m4a",
+                }
+            ),
+            naming.onCollision
+        );
+        if (claim.skip) {
+            console.log(`Audio exists, skipping: ${claim.filePath}`);
+            return claim.filePath;
+        }
+
+        // The soundtrack is written next to its final path and renamed
+        // once complete, so a failed remux never leaves a truncated file
+        const partPath = `${claim.filePath}.part`;
+        try {
+            if (format === "mp3") {
+                const data = fs.readFileSync(source.filePath);
+                fs.writeFileSync(partPath, writeId3Tags(data, tags));
+            } else {
+                extractAudioFileToM4a(source.filePath, partPath, tags);
+            }
+            fs.renameSync(partPath, claim.filePath);
+        } finally {
+            fs.rmSync(partPath, { force: true });
+        }
+
+        // Soundtracks are hashed for `verify`, but every post keeps its own
+        // copy
+        storeDownload(claim.filePath, outputDir, "off");
+        console.log(`Audio successfully saved: ${claim.filePath}`);
+        return claim.filePath;
+    } finally {
+        if (source.temporary) fs.rmSync(source.filePath, { force: true });
+    }
+};
+
+/**
+ * Saves a caption track next to the downloaded media
+ *
+ * The track is written to `<basePath>.<language>.<format>`, replacing an
+ * existing file like the other sidecars. TikTok serves WebVTT, which is
+ * converted when SubRip is asked for.
+ *
+ * @async
+ * @param {Object} track - Caption track with `language` and `url` (see
+ *   dataExtractor)
+ * @param {string} url - Original TikTok post URL (used as referer)
+ * @param {string} basePath - Media path without extension
+ * @param {string} [format="vtt"] - "vtt" or "srt"
+ * @returns {Promise<string>} Path of the saved subtitle file
+ * @throws {DownloadError} If the track cannot be downloaded
+ * @throws {Error} If the track is not WebVTT and has to be converted
+ *
+ * @example
+ * await downloadSubtitle(
+ *     { language: "eng-US", url: "https://.../captions.vtt" },
+ *     "https://www.tiktok.com/@user/video/123",
+ *     "./tiktok-videos/user_video_01012024_123",
+ *     "srt"
+ * ); // => "./tiktok-videos/user_video_01012024_123.eng-US.srt"
+ */
+const downloadSubtitle = async (track, url, basePath, format = "vtt") => {
+    const vtt = await mediaQueue.add(() =>
+        downloadFile(track.url, url, "text")
+    );
+    const language = String(track.language).replace(/[^\w-]/g, "");
+    const filePath = `${basePath}.${language}.${format}`;
+    fs.writeFileSync(filePath, format === "srt" ? vttToSrt(vtt) : vtt);
+    console.log(`Subtitles saved: ${filePath}`);
+    return filePath;
 };
 
 module.exports = {
+    getImageSetBasePath,
+    prepareSlideshowPath,
     downloadImages,
     downloadVideo,
+    downloadAudio,
+    downloadSubtitle,
 };
@@ -0,0 +1,257 @@
+/**
+ * Hash Index Service Module
+ *
+ * Keeps a content-addressed index of the media saved to each output
+ * directory, so the same video downloaded through a short link, a repost
+ * or a URL with a different query string is stored only once, and so
+ * `verify` can tell when a file was corrupted or truncated after download.
+ *
+ * Each output directory gets a `.tiktok-dl-hashes.jsonl` file with one JSON
+ * line per saved file:
+ * - path: File path relative to the directory, with `/` separators
+ * - sha256: Hash of the file as it is now stored
+ * - size: Size of the file in bytes
+ * - source: Hash of the file as downloaded, before tags were embedded;
+ *   identical downloads share it
+ *
+ * The file is only appended to; when a path appears more than once, the
+ * last line wins.
+ *
+ * @module hashIndexService
+ * @requires fs
+ * @requires path
+ * @requires fileUtils
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists, hashFile } = require("../utils/fileUtils");
+
+/**
+ * Name of the index file kept in every output directory
+ * @constant {string}
+ */
+const HASH_INDEX_FILE = ".tiktok-dl-hashes.jsonl";
+
+/**
+ * Ways of handling a download identical to a file already saved: replace
+ * it with a hard link to that file, drop it, or keep the copy
+ * @constant {string[]}
+ */
+const DEDUPE_MODES = ["link", "skip", "off"];
+
+/**
+ * Open indexes keyed by absolute directory path, so every caller in the
+ * process shares the same entries
+ * @type {Map<string, Object>}
+ * @private
+ */
+const openIndexes = new Map();
+
+/**
+ * Reads the entries recorded in an index file
+ *
+ * Lines that are not valid entries, such as a line cut short by a crash,
+ * are ignored.
+ *
+ * @param {string} indexPath - Index file path
+ * @returns {Map<string, Object>} Entries keyed by relative path (empty if
+ *   the file does not exist)
+ * @private
+ */
+const readEntries = (indexPath) => {
+    const entries = new Map();
+    if (!fs.existsSync(indexPath)) return entries;
+
+    for (const line of fs.readFileSync(indexPath, "utf8").split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry?.path && entry.sha256) entries.set(entry.path, entry);
+        } catch (error) {
+            // Keep reading; later lines are still valid
+        }
+    }
+    return entries;
+};
+
+/**
+ * Opens (or returns the already open) hash index of a directory
+ *
+ * @param {string} dir - Output directory; the index file is created in it
+ *   on first write
+ * @returns {Object} Index with:
+ *   - dir: Absolute directory path
+ *   - indexPath: Absolute index file path
+ *   - get(filePath): The entry of a file, or null
+ *   - record(filePath, entry): Records `sha256`, `size` and `source` of a file
+ *   - findSource(source, exceptPath): Path of an intact file with that
+ *     source hash, other than `exceptPath`, or null
+ *   - entries(): Every recorded entry
+ *
+ * @example
+ * const index = openHashIndex("./tiktok-videos");
+ * index.get("./tiktok-videos/user_video_01012024_123.mp4");
+ * // => { path: "user_video_01012024_123.mp4", sha256: "...", size: 1048576, source: "..." }
+ */
+const openHashIndex = (dir) => {
+    const key = path.resolve(dir);
+    if (openIndexes.has(key)) return openIndexes.get(key);
+
+    const indexPath = path.join(key, HASH_INDEX_FILE);
+    const entries = readEntries(indexPath);
+    const toEntryPath = (filePath) =>
+        path.relative(key, path.resolve(filePath)).split(path.sep).join("/");
+
+    const index = {
+        dir: key,
+        indexPath,
+        get: (filePath) => entries.get(toEntryPath(filePath)) || null,
+        record: (filePath, { sha256, size, source }) => {
+            const entry = { path: toEntryPath(filePath), sha256, size, source };
+            entries.set(entry.path, entry);
+            ensureDirectoryExists(key);
+            fs.appendFileSync(indexPath, `${JSON.stringify(entry)}\n`);
+        },
+        findSource: (source, exceptPath) => {
+            const except = toEntryPath(exceptPath);
+            for (const entry of entries.values()) {
+                if (entry.source !== source || entry.path === except) continue;
+
+                // Only reuse files that are still exactly as recorded
+                const candidate = path.join(key, entry.path);
+                if (
+                    fs.existsSync(candidate) &&
+                    fs.statSync(candidate).size === entry.size &&
+                    hashFile(candidate) === entry.sha256
+                ) {
+                    return candidate;
+                }
+            }
+            return null;
+        },
+        entries: () => [...entries.values()],
+    };
+
+    openIndexes.set(key, index);
+    return index;
+};
+
+/**
+ * Finds the hash index a file was recorded in
+ *
+ * Looks for an index file in the file's directory and each of its parents,
+ * since templates may save files in subdirectories of the output directory.
+ *
+ * @param {string} filePath - File to look up
+ * @returns {Object|null} The index holding an entry for the file, or null
+ */
+const findHashIndex = (filePath) => {
+    let dir = path.resolve(filePath);
+    while (dir !== path.dirname(dir)) {
+        dir = path.dirname(dir);
+        if (
+            openIndexes.has(dir) ||
+            fs.existsSync(path.join(dir, HASH_INDEX_FILE))
+        ) {
+            const index = openHashIndex(dir);
+            if (index.get(filePath)) return index;
+        }
+    }
+    return null;
+};
+
+/**
+ * Records a downloaded file in the hash index of its output directory,
+ * deduplicating it against the files already saved there
+ *
+ * A download is a duplicate when its content matches what an intact file
+ * in the index had when it was downloaded. In "link" mode the copy is
+ * replaced by a hard link to that file, keeping its path; when hard links
+ * are not supported (e.g. on some network drives) the copy is kept. In
+ * "skip" mode the copy is deleted.
+ *
+ * @param {string} filePath - Downloaded file, inside `outputDir`
+ * @param {string} outputDir - Output directory holding the index
+ * @param {string} [mode="link"] - One of {@link DEDUPE_MODES}
+ * @returns {Object} Object containing:
+ *   - filePath: Path of the stored file, or null if the copy was skipped
+ *   - duplicateOf: Path of the identical file already saved, or null
+ * @throws {Error} If the file cannot be read or the index cannot be written
+ *
+ * @example
+ * storeDownload("./tiktok-videos/other_video_02012024_456.mp4", "./tiktok-videos");
+ * // => { filePath: "./tiktok-videos/other_video_02012024_456.mp4",
+ * //      duplicateOf: "/abs/tiktok-videos/user_video_01012024_123.mp4" }
+ */
+const storeDownload = (filePath, outputDir, mode = "link") => {
+    if (!DEDUPE_MODES.includes(mode)) {
+        throw new Error(`Unknown dedupe mode: ${mode}`);
+    }
+    const index = openHashIndex(outputDir);
+    const sha256 = hashFile(filePath);
+    const size = fs.statSync(filePath).size;
+    const duplicateOf =
+        mode === "off" ? null : index.findSource(sha256, filePath);
+
+    if (!duplicateOf) {
+        index.record(filePath, { sha256, size, source: sha256 });
+        return { filePath, duplicateOf: null };
+    }
+    if (mode === "skip") {
+        fs.rmSync(filePath, { force: true });
+        return { filePath: null, duplicateOf };
+    }
+
+    const linkPath = `${filePath}.link`;
+    try {
+        fs.rmSync(linkPath, { force: true });
+        fs.linkSync(duplicateOf, linkPath);
+        fs.renameSync(linkPath, filePath);
+    } catch (error) {
+        fs.rmSync(linkPath, { force: true });
+        console.warn(
+            `Could not hard-link ${filePath} to ${duplicateOf} (${error.message}), keeping the copy`
+        );
+        index.record(filePath, { sha256, size, source: sha256 });
+        return { filePath, duplicateOf: null };
+    }
+    const original = index.get(duplicateOf);
+    index.record(filePath, {
+        sha256: original.sha256,
+        size: original.size,
+        source: sha256,
+    });
+    return { filePath, duplicateOf };
+};
+
+/**
+ * Updates the recorded hash of a file changed after download, e.g. by
+ * embedding tags, keeping its source hash
+ *
+ * Files that are not in an index are left alone.
+ *
+ * @param {string} filePath - Changed file
+ * @returns {boolean} Whether an index entry was updated
+ * @throws {Error} If the file cannot be read or the index cannot be written
+ */
+const refreshFileHash = (filePath) => {
+    const index = findHashIndex(filePath);
+    if (!index) return false;
+
+    index.record(filePath, {
+        sha256: hashFile(filePath),
+        size: fs.statSync(filePath).size,
+        source: index.get(filePath).source,
+    });
+    return true;
+};
+
+module.exports = {
+    HASH_INDEX_FILE,
+    DEDUPE_MODES,
+    openHashIndex,
+    findHashIndex,
+    storeDownload,
+    refreshFileHash,
+};
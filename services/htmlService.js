@@ -8,36 +8,38 @@
  * @module htmlService
  * @requires cheerio
  * @requires networkUtils
- * @requires constants
+ * @requires configLoader
  */
 
 const cheerio = require("cheerio");
-const { instance } = require("../utils/networkUtils");
-const { USER_AGENT } = require("../config/constants");
+const { instance, pageRateLimiter } = require("../utils/networkUtils");
+const { getConfig } = require("../config/configLoader");
 
 /**
  * Fetches HTML content from a specified URL
  *
  * Makes an HTTP request to retrieve the HTML content of a webpage,
- * using appropriate headers to mimic a real browser request.
+ * using appropriate headers to mimic a real browser request. Requests wait
+ * for the shared tiktok.com page rate limiter.
  *
  * @async
  * @param {string} url - The complete URL to fetch HTML content from
  * @returns {Promise<string>} The raw HTML content as a string
- * @throws {Error} If the request fails or returns invalid content
+ * @throws {DownloadError} If the request fails after retries
  *
  */
 const handleHtml = async (url) => {
     try {
+        await pageRateLimiter.acquire();
         let res = await instance(url, {
             headers: {
-                "User-Agent": USER_AGENT,
+                "User-Agent": getConfig().userAgent,
             },
         });
         return res.data;
     } catch (e) {
         console.error(`Error fetching HTML: ${e.message}`);
-        throw new Error(e);
+        throw e;
     }
 };
 
@@ -61,7 +63,43 @@ const getDocument = (html) => {
     }
 };
 
+/**
+ * Returns the contents of an inline script element
+ *
+ * @param {CheerioAPI} $ - Parsed page
+ * @param {string} selector - Selector of the script element, e.g. "#SIGI_STATE"
+ * @returns {string|null} The script text, or null if the element is missing or empty
+ *
+ * @example
+ * const rawJSON = getScriptText($, "#__UNIVERSAL_DATA_FOR_REHYDRATION__");
+ */
+const getScriptText = ($, selector) => {
+    const element = $(selector);
+    return element[0]?.children?.[0]?.data || null;
+};
+
+/**
+ * Returns the parsed JSON of an inline script element
+ *
+ * @param {CheerioAPI} $ - Parsed page
+ * @param {string} selector - Selector of the script element
+ * @returns {Object|null} The parsed JSON, or null if the element is missing,
+ *   empty or not valid JSON
+ *
+ * @example
+ * const state = getScriptJson($, "#SIGI_STATE");
+ */
+const getScriptJson = ($, selector) => {
+    try {
+        return JSON.parse(getScriptText($, selector) || "null");
+    } catch (error) {
+        return null;
+    }
+};
+
 module.exports = {
     handleHtml,
     getDocument,
+    getScriptText,
+    getScriptJson,
 };
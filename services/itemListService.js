@@ -0,0 +1,122 @@
+/**
+ * Item List Service Module
+ *
+ * Pages through TikTok web API endpoints that list posts, such as the posts
+ * of a profile. These endpoints share one response shape: an `itemList` of
+ * post item structures, a `cursor` for the next page and a `hasMore` flag.
+ * The comment endpoints page the same way, with a `comments` list and a
+ * snake_case `has_more` flag.
+ *
+ * @module itemListService
+ * @requires networkUtils
+ * @requires configLoader
+ * @requires constants
+ * @requires errors
+ */
+
+const { instance, pageRateLimiter } = require("../utils/networkUtils");
+const { getConfig } = require("../config/configLoader");
+const { WEB_API_PARAMS, ITEM_LIST_PAGE_SIZE } = require("../config/constants");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Fetches one page of an item list
+ *
+ * @async
+ * @param {string} endpoint - Endpoint path below the web API URL, e.g. "post/item_list"
+ * @param {Object} params - Endpoint-specific query parameters
+ * @param {string} cursor - Cursor of the page
+ * @param {Object} options - Paging options, see {@link fetchItemPages}
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {DownloadError} If the request fails after retries or TikTok
+ *   rejects it
+ * @private
+ */
+const fetchItemPage = async (endpoint, params, cursor, options) => {
+    const { webApiUrl, userAgent } = getConfig();
+    const query = new URLSearchParams({
+        ...WEB_API_PARAMS,
+        ...params,
+        count: String(options.pageSize),
+        cursor: String(cursor),
+    });
+    const url = `${webApiUrl}/${endpoint}/?${query}`;
+
+    await pageRateLimiter.acquire();
+    const response = await instance(url, {
+        headers: { "User-Agent": userAgent, Referer: options.referer },
+    });
+
+    // TikTok answers unsigned or blocked requests with an empty body
+    const data = response.data;
+    if (!data || typeof data !== "object") {
+        throw new FatalError(`TikTok returned no data for ${endpoint}`, {
+            category: ERROR_CATEGORIES.EXTRACTION,
+            url,
+        });
+    }
+    const statusCode = data.statusCode ?? data.status_code;
+    if (statusCode) {
+        throw new FatalError(
+            `TikTok rejected the ${endpoint} request: ${
+                data.statusMsg || data.status_msg || `status ${statusCode}`
+            }`,
+            { category: ERROR_CATEGORIES.EXTRACTION, url }
+        );
+    }
+    return data;
+};
+
+/**
+ * Iterates over the pages of an item list, newest first
+ *
+ * Stops when TikTok reports no more pages, returns an empty page, or repeats
+ * a cursor. Callers may stop early by breaking out of the loop, which skips
+ * the remaining requests.
+ *
+ * @async
+ * @generator
+ * @param {string} endpoint - Endpoint path below the web API URL, e.g. "post/item_list"
+ * @param {Object} params - Endpoint-specific query parameters, e.g. `{ secUid }`
+ * @param {Object} [options={}] - Paging options
+ * @param {string} [options.referer="https://www.tiktok.com/"] - Page the list belongs to
+ * @param {string} [options.listKey="itemList"] - Response field holding the list
+ * @param {number} [options.pageSize] - Entries requested per page (default:
+ *   the post list page size)
+ * @yields {Object[]} The entries of each page
+ * @throws {DownloadError} If a page cannot be fetched
+ *
+ * @example
+ * for await (const items of fetchItemPages("post/item_list", { secUid })) {
+ *     items.forEach((item) => console.log(item.id));
+ * }
+ */
+async function* fetchItemPages(endpoint, params, options = {}) {
+    const {
+        referer = "https://www.tiktok.com/",
+        listKey = "itemList",
+        pageSize = ITEM_LIST_PAGE_SIZE,
+    } = options;
+    const seen = new Set();
+    let cursor = "0";
+
+    while (!seen.has(cursor)) {
+        seen.add(cursor);
+        const page = await fetchItemPage(endpoint, params, cursor, {
+            referer,
+            pageSize,
+        });
+        const items = Array.isArray(page[listKey]) ? page[listKey] : [];
+        if (items.length === 0) return;
+
+        yield items;
+        if (!(page.hasMore ?? page.has_more) || page.cursor === undefined) {
+            return;
+        }
+        cursor = String(page.cursor);
+    }
+}
+
+module.exports = {
+    fetchItemPages,
+};
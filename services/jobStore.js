@@ -0,0 +1,138 @@
+/**
+ * Job Store Module
+ *
+ * Keeps the download jobs submitted to the HTTP server (see apiServer) in a
+ * JSON file, so queued and unfinished jobs survive a restart. The whole
+ * store is rewritten on every change, through a temporary file that is
+ * renamed into place, so a crash never leaves a half-written store behind.
+ *
+ * A job records:
+ * - id: Random identifier
+ * - status: "queued", "running", "completed" or "failed"
+ * - urls: Submitted URLs
+ * - options: Validated download options
+ * - createdAt, startedAt, finishedAt: ISO timestamps, or null
+ * - progress: `total` URLs and how many are `done`, `succeeded`, `failed`
+ *   and `skipped` (posts of a list count towards its URL)
+ * - results: Per-post results, in processing order
+ * - error: Message of the error that stopped the job, or null
+ *
+ * @module jobStore
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires fileUtils
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ensureDirectoryExists } = require("../utils/fileUtils");
+
+/**
+ * Reads the jobs saved in a store file
+ *
+ * @param {string} filePath - Store file path
+ * @returns {Object[]} Saved jobs (empty if the file does not exist)
+ * @throws {Error} If the file is not a valid job store
+ * @private
+ */
+const readJobs = (filePath) => {
+    if (!fs.existsSync(filePath)) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot read job store ${filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(parsed?.jobs)) {
+        throw new Error(`Job store ${filePath} must contain a "jobs" array`);
+    }
+    return parsed.jobs;
+};
+
+/**
+ * Opens a job store
+ *
+ * Jobs that were running when the process stopped are put back in the
+ * queue; they resume after their last finished URL.
+ *
+ * @param {string} filePath - Store file path; created on first write
+ * @returns {Object} Store with:
+ *   - create(urls, options): Adds a queued job and returns it
+ *   - get(id): The job with that ID, or null
+ *   - update(id, changes): Merges changes into a job, saves and returns it
+ *   - list(status): Jobs in submission order, optionally only one status
+ * @throws {Error} If the file exists but is not a valid job store
+ *
+ * @example
+ * const store = openJobStore("./tiktok-dl-jobs.json");
+ * const job = store.create(["https://www.tiktok.com/@user/video/123"], {});
+ * store.update(job.id, { status: "running" });
+ */
+const openJobStore = (filePath) => {
+    const storePath = path.resolve(filePath);
+    const jobs = new Map(readJobs(storePath).map((job) => [job.id, job]));
+
+    const save = () => {
+        ensureDirectoryExists(path.dirname(storePath));
+        const tempPath = `${storePath}.tmp`;
+        fs.writeFileSync(
+            tempPath,
+            `${JSON.stringify({ jobs: [...jobs.values()] }, null, 2)}\n`
+        );
+        fs.renameSync(tempPath, storePath);
+    };
+
+    let interrupted = false;
+    for (const job of jobs.values()) {
+        if (job.status === "running") {
+            job.status = "queued";
+            interrupted = true;
+        }
+    }
+    if (interrupted) save();
+
+    return {
+        create: (urls, options) => {
+            const job = {
+                id: crypto.randomBytes(8).toString("hex"),
+                status: "queued",
+                urls,
+                options,
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                progress: {
+                    total: urls.length,
+                    done: 0,
+                    succeeded: 0,
+                    failed: 0,
+                    skipped: 0,
+                },
+                results: [],
+                error: null,
+            };
+            jobs.set(job.id, job);
+            save();
+            return job;
+        },
+        get: (id) => jobs.get(id) || null,
+        update: (id, changes) => {
+            const job = jobs.get(id);
+            if (!job) throw new Error(`Unknown job: ${id}`);
+            Object.assign(job, changes);
+            save();
+            return job;
+        },
+        list: (status) =>
+            [...jobs.values()].filter(
+                (job) => !status || job.status === status
+            ),
+    };
+};
+
+module.exports = {
+    openJobStore,
+};
@@ -0,0 +1,77 @@
+/**
+ * Metadata Service Module
+ *
+ * Writes the normalized post metadata to `.info.json` sidecar files next to
+ * the downloaded media, so archives keep the caption, author, statistics and
+ * music information alongside each video or photo set. Exported comment
+ * threads go to `.comments.json` sidecars the same way, and the caption
+ * alone to a `.txt` sidecar.
+ *
+ * @module metadataService
+ * @requires fs
+ */
+
+const fs = require("fs");
+
+/**
+ * Writes a metadata sidecar file
+ *
+ * @param {string} basePath - Media path without extension; `.info.json` is appended
+ * @param {Object} metadata - Normalized metadata (see metadataNormalizer)
+ * @returns {string} Path of the written sidecar file
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * writeInfoJson("./tiktok-videos/user_video_01012024_123", metadata);
+ * // => "./tiktok-videos/user_video_01012024_123.info.json"
+ */
+const writeInfoJson = (basePath, metadata) => {
+    const filePath = `${basePath}.info.json`;
+    fs.writeFileSync(filePath, `${JSON.stringify(metadata, null, 2)}\n`);
+    console.log(`Metadata written: ${filePath}`);
+    return filePath;
+};
+
+/**
+ * Writes a comments sidecar file
+ *
+ * @param {string} basePath - Media path without extension; `.comments.json` is appended
+ * @param {Object} comments - Comment export (see commentService.fetchComments)
+ * @returns {string} Path of the written sidecar file
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * writeCommentsJson("./tiktok-videos/user_video_01012024_123", comments);
+ * // => "./tiktok-videos/user_video_01012024_123.comments.json"
+ */
+const writeCommentsJson = (basePath, comments) => {
+    const filePath = `${basePath}.comments.json`;
+    fs.writeFileSync(filePath, `${JSON.stringify(comments, null, 2)}\n`);
+    console.log(`Comments written: ${filePath}`);
+    return filePath;
+};
+
+/**
+ * Writes the post caption to a plain-text sidecar file
+ *
+ * @param {string} basePath - Media path without extension; `.txt` is appended
+ * @param {string} caption - Post caption, hashtags included
+ * @returns {string} Path of the written sidecar file
+ * @throws {Error} If the file cannot be written
+ *
+ * @example
+ * writeCaptionTxt("./tiktok-videos/user_video_01012024_123", "Hello #fyp");
+ * // => "./tiktok-videos/user_video_01012024_123.txt"
+ */
+const writeCaptionTxt = (basePath, caption) => {
+    const filePath = `${basePath}.txt`;
+    fs.writeFileSync(filePath, `${caption || ""}\n`);
+    console.log(`Caption written: ${filePath}`);
+    return filePath;
+};
+
+module.exports = {
+    writeInfoJson,
+    writeCommentsJson,
+    writeCaptionTxt,
+};
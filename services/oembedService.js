@@ -0,0 +1,55 @@
+/**
+ * oEmbed Service Module
+ *
+ * Fetches post descriptions from TikTok's public oEmbed endpoint. oEmbed
+ * returns the caption, author and thumbnail of a post but no media URLs, so
+ * it is only used as a last-resort metadata source.
+ *
+ * @module oembedService
+ * @requires networkUtils
+ * @requires configLoader
+ * @requires constants
+ * @requires errors
+ */
+
+const { instance, pageRateLimiter } = require("../utils/networkUtils");
+const { getConfig } = require("../config/configLoader");
+const { OEMBED_URL } = require("../config/constants");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+
+/**
+ * Retrieves the oEmbed description of a TikTok post
+ *
+ * Requests wait for the shared tiktok.com page rate limiter.
+ *
+ * @async
+ * @param {string} url - The complete TikTok post URL
+ * @returns {Promise<Object>} oEmbed response body containing `title`,
+ *   `author_name`, `author_unique_id`, `thumbnail_url` and `embed_product_id`
+ * @throws {DownloadError} If the request fails or the response is not an oEmbed document
+ *
+ * @example
+ * const oembed = await getOEmbedInfo("https://www.tiktok.com/@user/video/123");
+ * console.log(oembed.author_name, oembed.title);
+ */
+const getOEmbedInfo = async (url) => {
+    await pageRateLimiter.acquire();
+    const response = await instance(
+        `${OEMBED_URL}?url=${encodeURIComponent(url)}`,
+        {
+            headers: { "User-Agent": getConfig().userAgent },
+        }
+    );
+
+    if (!response.data || typeof response.data !== "object") {
+        throw new FatalError("Invalid oEmbed response", {
+            category: ERROR_CATEGORIES.EXTRACTION,
+            url,
+        });
+    }
+    return response.data;
+};
+
+module.exports = {
+    getOEmbedInfo,
+};
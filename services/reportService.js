@@ -0,0 +1,160 @@
+/**
+ * Report Service Module
+ *
+ * Writes a machine-readable report of a batch run, with one row per input
+ * URL, as JSON or CSV. Scheduled jobs can alert on failures or load the
+ * report into spreadsheets.
+ *
+ * @module reportService
+ * @requires fs
+ * @requires path
+ * @requires fileUtils
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ensureDirectoryExists } = require("../utils/fileUtils");
+
+/**
+ * Report columns, in output order
+ * @constant {string[]}
+ */
+const REPORT_COLUMNS = [
+    "url",
+    "source",
+    "resolvedUrl",
+    "id",
+    "type",
+    "status",
+    "errorCategory",
+    "error",
+    "method",
+    "outputPaths",
+    "bytes",
+    "durationMs",
+];
+
+/**
+ * Supported report formats
+ * @constant {string[]}
+ */
+const REPORT_FORMATS = ["json", "csv"];
+
+/**
+ * Converts a processing result into a report row
+ *
+ * @param {Object} result - Processing result (see resultUtils)
+ * @returns {Object} Row keyed by {@link REPORT_COLUMNS}
+ */
+const toReportRow = (result) => ({
+    url: result.url,
+    source: result.source || null,
+    resolvedUrl: result.resolvedUrl || null,
+    id: result.id || null,
+    type: result.type,
+    status: result.status,
+    errorCategory:
+        result.status === "failed"
+            ? result.error?.category || "unknown"
+            : result.reason || null,
+    error: result.error ? result.error.message : null,
+    method: result.method,
+    outputPaths: result.files,
+    bytes: result.bytes || 0,
+    durationMs: result.durationMs ?? null,
+});
+
+/**
+ * Escapes a value for a CSV cell
+ *
+ * @param {*} value - Cell value; arrays are joined with ";"
+ * @returns {string} Escaped cell
+ * @private
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = Array.isArray(value) ? value.join(";") : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Picks the report format from an explicit value or the file extension
+ *
+ * @param {string} filePath - Report file path
+ * @param {string} [format] - Explicit format
+ * @returns {string} "json" or "csv"
+ * @throws {Error} If the format is not supported
+ */
+const resolveReportFormat = (filePath, format) => {
+    const extension = path.extname(filePath).toLowerCase();
+    const resolved = format || (extension === ".csv" ? "csv" : "json");
+    if (!REPORT_FORMATS.includes(resolved)) {
+        throw new Error(
+            `Unsupported report format "${resolved}" (use ${REPORT_FORMATS.join(
+                " or "
+            )})`
+        );
+    }
+    return resolved;
+};
+
+/**
+ * Writes a run report for a list of processing results
+ *
+ * JSON reports contain the generation time, a summary and the rows; CSV
+ * reports contain a header line and one line per row, with output paths
+ * joined by ";".
+ *
+ * @param {string} filePath - Report file path
+ * @param {Object[]} results - Processing results, one per input URL
+ * @param {string} [format] - "json" or "csv"; defaults from the file extension
+ * @returns {string} Path of the written report
+ * @throws {Error} If the format is unsupported or the file cannot be written
+ *
+ * @example
+ * writeReport("runs/today.csv", summary.results);
+ */
+const writeReport = (filePath, results, format) => {
+    const rows = results.map(toReportRow);
+    const resolvedFormat = resolveReportFormat(filePath, format);
+
+    let content;
+    if (resolvedFormat === "csv") {
+        content = [
+            REPORT_COLUMNS.join(","),
+            ...rows.map((row) =>
+                REPORT_COLUMNS.map((column) => toCsvCell(row[column])).join(",")
+            ),
+        ].join("\n");
+    } else {
+        const count = (status) =>
+            rows.filter((row) => row.status === status).length;
+        content = JSON.stringify(
+            {
+                generatedAt: new Date().toISOString(),
+                summary: {
+                    total: rows.length,
+                    succeeded: count("success"),
+                    failed: count("failed"),
+                    skipped: count("skipped"),
+                },
+                rows,
+            },
+            null,
+            2
+        );
+    }
+
+    ensureDirectoryExists(path.dirname(filePath));
+    fs.writeFileSync(filePath, `${content}\n`);
+    console.log(`Report written: ${filePath}`);
+    return filePath;
+};
+
+module.exports = {
+    REPORT_COLUMNS,
+    REPORT_FORMATS,
+    resolveReportFormat,
+    toReportRow,
+    writeReport,
+};
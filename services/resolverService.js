@@ -0,0 +1,159 @@
+/**
+ * Short Link Resolver Module
+ *
+ * Resolves TikTok share links (vm.tiktok.com, vt.tiktok.com, m.tiktok.com and
+ * www.tiktok.com/t/...) to their canonical `/@user/video|photo/<id>` form, so
+ * the media type can be detected before a post is processed.
+ *
+ * @module resolverService
+ * @requires networkUtils
+ * @requires urlUtils
+ * @requires htmlService
+ * @requires errors
+ * @requires configLoader
+ */
+
+const { instance, pageRateLimiter } = require("../utils/networkUtils");
+const { parseTikTokUrl } = require("../utils/urlUtils");
+const { getDocument } = require("./htmlService");
+const { FatalError, ERROR_CATEGORIES } = require("../utils/errors");
+const { getConfig } = require("../config/configLoader");
+
+/**
+ * Resolved URLs keyed by the original short link. Values are promises so
+ * concurrent lookups of the same link share a single request.
+ * @type {Map<string, Promise<string>>}
+ * @private
+ */
+const resolutionCache = new Map();
+
+/**
+ * Checks whether a URL is a share link that must be resolved first
+ *
+ * @param {string} url - TikTok URL
+ * @returns {boolean} True for vm/vt/m.tiktok.com and /t/ links
+ */
+const isShortLink = (url) => {
+    try {
+        return parseTikTokUrl(url).kind === "short";
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Reduces a post URL to its canonical form without query string or fragment
+ *
+ * @param {string} url - Any URL
+ * @returns {string|null} Canonical post URL, or null if the URL is not a post
+ * @private
+ */
+const toCanonicalPostUrl = (url) => {
+    try {
+        const { kind, canonicalUrl } = parseTikTokUrl(url);
+        return kind === "video" || kind === "photo" ? canonicalUrl : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Looks for the canonical post URL inside a TikTok HTML page
+ *
+ * Checks `<link rel="canonical">` and `og:url` first, then falls back to the
+ * first post URL found anywhere in the markup.
+ *
+ * @param {string} html - Raw HTML of the page the short link led to
+ * @returns {string|null} Canonical post URL, or null if none was found
+ * @private
+ */
+const findCanonicalUrlInHtml = (html) => {
+    if (typeof html !== "string") return null;
+
+    const $ = getDocument(html);
+    const candidates = [
+        $('link[rel="canonical"]').attr("href"),
+        $('meta[property="og:url"]').attr("content"),
+    ];
+
+    for (const candidate of candidates) {
+        const canonical = toCanonicalPostUrl(candidate);
+        if (canonical) return canonical;
+    }
+
+    const embedded = html
+        .replace(/\\u002F/gi, "/")
+        .match(/https:\/\/www\.tiktok\.com\/@[^"'\s/?#]+\/(?:video|photo)\/\d+/);
+    return embedded ? toCanonicalPostUrl(embedded[0]) : null;
+};
+
+/**
+ * Follows a short link and determines the canonical post URL
+ *
+ * @async
+ * @param {string} url - Short link to resolve
+ * @returns {Promise<string>} Canonical post URL
+ * @throws {Error} If the link cannot be fetched
+ * @throws {FatalError} If the link does not lead to a post
+ * @private
+ */
+const fetchCanonicalUrl = async (url) => {
+    await pageRateLimiter.acquire();
+    const response = await instance(url, {
+        headers: {
+            "User-Agent": getConfig().userAgent,
+        },
+        maxRedirects: 10,
+    });
+
+    const finalUrl = response.request?.res?.responseUrl;
+    const canonical =
+        toCanonicalPostUrl(finalUrl) || findCanonicalUrlInHtml(response.data);
+
+    if (!canonical) {
+        throw new FatalError(`Could not resolve short link: ${url}`, {
+            category: ERROR_CATEGORIES.NOT_FOUND,
+            url,
+        });
+    }
+    return canonical;
+};
+
+/**
+ * Resolves a TikTok URL to its canonical post URL
+ *
+ * Non-short URLs are returned unchanged without any network request.
+ * Resolutions are cached for the lifetime of the process, so the same
+ * short link is only ever requested once.
+ *
+ * @async
+ * @param {string} url - TikTok URL, short or canonical
+ * @returns {Promise<string>} Canonical `/@user/video|photo/<id>` URL
+ * @throws {Error} If a short link cannot be resolved
+ *
+ * @example
+ * await resolveUrl("https://vm.tiktok.com/ZMabc123/");
+ * // => "https://www.tiktok.com/@user/photo/7345678901234567890"
+ */
+const resolveUrl = async (url) => {
+    if (!isShortLink(url)) return url;
+
+    // Key by the query-less form so tracking-parameter variants share a lookup
+    const key = parseTikTokUrl(url).canonicalUrl;
+    if (!resolutionCache.has(key)) {
+        const pending = fetchCanonicalUrl(key).catch((error) => {
+            resolutionCache.delete(key);
+            throw error;
+        });
+        resolutionCache.set(key, pending);
+    }
+
+    const resolved = await resolutionCache.get(key);
+    console.log(`Resolved ${url} -> ${resolved}`);
+    return resolved;
+};
+
+module.exports = {
+    isShortLink,
+    resolveUrl,
+};
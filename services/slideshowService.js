@@ -0,0 +1,235 @@
+/**
+ * Slideshow Service Module
+ *
+ * Renders the images of a photo post and its soundtrack into an MP4
+ * slideshow. Encoding is done by the ffmpeg binary bundled with the optional
+ * `ffmpeg-static` package, so no system ffmpeg or network access is needed
+ * once it is installed. Every slide is scaled to fit the target resolution
+ * and letterboxed with black bars; the soundtrack loops or is cut to the
+ * length of the slideshow.
+ *
+ * @module slideshowService
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires child_process
+ * @requires networkUtils
+ * @requires constants
+ * @requires configLoader
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { downloadToFile, mediaQueue } = require("../utils/networkUtils");
+const { SLIDESHOW_FPS } = require("../config/constants");
+const { getConfig } = require("../config/configLoader");
+
+/**
+ * Number of ffmpeg error output lines kept for error messages
+ * @constant {number}
+ * @private
+ */
+const STDERR_LINES = 5;
+
+/**
+ * Returns the path of the bundled ffmpeg binary
+ *
+ * @returns {string} Path of the ffmpeg executable
+ * @throws {Error} If `ffmpeg-static` is not installed, has no binary for this
+ *   platform, or its binary is missing
+ *
+ * @example
+ * const ffmpeg = getFfmpegPath(); // ".../node_modules/ffmpeg-static/ffmpeg"
+ */
+const getFfmpegPath = () => {
+    let ffmpegPath;
+    try {
+        ffmpegPath = require("ffmpeg-static");
+    } catch (error) {
+        if (error.code !== "MODULE_NOT_FOUND") throw error;
+        throw new Error(
+            "Slideshows need the optional ffmpeg-static package; install it with `npm install ffmpeg-static`"
+        );
+    }
+    if (!ffmpegPath) {
+        throw new Error(
+            `ffmpeg-static has no ffmpeg binary for ${process.platform}-${process.arch}`
+        );
+    }
+    if (!fs.existsSync(ffmpegPath)) {
+        throw new Error(
+            `The ffmpeg binary of ffmpeg-static is missing (${ffmpegPath}); reinstall it with network access to finish its download`
+        );
+    }
+    return ffmpegPath;
+};
+
+/**
+ * Builds the ffmpeg arguments of a slideshow
+ *
+ * Each image becomes a looped input lasting one slide. The filter graph
+ * fits every slide into the frame, pads it to the exact size and joins the
+ * slides; the soundtrack, if any, is looped and cut with `-t`.
+ *
+ * @param {string[]} imagePaths - Slides, in order
+ * @param {string|null} audioPath - Soundtrack file, or null for silence
+ * @param {string} outputPath - Path the MP4 is written to
+ * @param {Object} options - Rendering options
+ * @param {number} options.slideDuration - Seconds each slide is shown
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @returns {string[]} ffmpeg arguments
+ * @private
+ */
+const buildSlideshowArgs = (imagePaths, audioPath, outputPath, options) => {
+    const { slideDuration, width, height } = options;
+    const args = ["-hide_banner", "-loglevel", "error", "-y"];
+
+    for (const imagePath of imagePaths) {
+        args.push("-loop", "1", "-framerate", String(SLIDESHOW_FPS));
+        args.push("-t", String(slideDuration), "-i", imagePath);
+    }
+    if (audioPath) args.push("-stream_loop", "-1", "-i", audioPath);
+
+    const fit = [
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+        "setsar=1",
+        "format=yuv420p",
+    ].join(",");
+    const slides = imagePaths.map((_, i) => `[${i}:v]${fit}[s${i}]`);
+    const labels = imagePaths.map((_, i) => `[s${i}]`).join("");
+    const concat = `${labels}concat=n=${imagePaths.length}:v=1:a=0[v]`;
+
+    args.push("-filter_complex", [...slides, concat].join(";"));
+    args.push("-map", "[v]");
+    if (audioPath) {
+        args.push("-map", `${imagePaths.length}:a:0`);
+        args.push("-c:a", "aac", "-b:a", "192k");
+    }
+    args.push("-c:v", "libx264", "-preset", "veryfast", "-crf", "23");
+    args.push("-pix_fmt", "yuv420p", "-r", String(SLIDESHOW_FPS));
+    args.push("-t", String(slideDuration * imagePaths.length));
+    args.push("-movflags", "+faststart", "-f", "mp4", outputPath);
+    return args;
+};
+
+/**
+ * Runs ffmpeg and waits for it to finish
+ *
+ * @async
+ * @param {string} ffmpegPath - ffmpeg executable
+ * @param {string[]} args - ffmpeg arguments
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ * @throws {Error} If ffmpeg cannot be started or exits with an error,
+ *   including the last lines of its error output
+ * @private
+ */
+const runFfmpeg = (ffmpegPath, args) =>
+    new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, args, {
+            stdio: ["ignore", "ignore", "pipe"],
+        });
+        let stderr = "";
+        child.stderr.on("data", (chunk) => {
+            stderr += chunk;
+        });
+        child.on("error", reject);
+        child.on("close", (code, signal) => {
+            if (code === 0) return resolve();
+            const output = stderr.trim().split("\n").slice(-STDERR_LINES);
+            reject(
+                new Error(
+                    `ffmpeg failed (${signal || `exit code ${code}`})${
+                        output[0] ? `: ${output.join(" | ")}` : ""
+                    }`
+                )
+            );
+        });
+    });
+
+/**
+ * Renders images and a soundtrack into an MP4 slideshow
+ *
+ * The soundtrack comes from `audioPath` when the post's audio was already
+ * saved, otherwise from `audioUrl`, downloaded to a temporary file; without
+ * either, or if the download fails, the slideshow is silent. The video is
+ * encoded to a `.part` file that is renamed once complete.
+ *
+ * @async
+ * @param {string[]} imagePaths - Slides, in order
+ * @param {string} outputPath - Path of the MP4 to write
+ * @param {Object} [options={}] - Rendering options
+ * @param {number} [options.slideDuration] - Seconds each slide is shown
+ *   (default: configured slideDuration)
+ * @param {string} [options.size] - Frame size as "WIDTHxHEIGHT" (default:
+ *   configured slideshowSize)
+ * @param {string} [options.audioPath] - Soundtrack file
+ * @param {string} [options.audioUrl] - Soundtrack URL, used without `audioPath`
+ * @param {string} [options.referer] - Post URL, sent when downloading the audio
+ * @returns {Promise<string>} Path of the rendered slideshow
+ * @throws {Error} If ffmpeg is unavailable or fails, or there are no images
+ *
+ * @example
+ * await renderSlideshow(imagePaths, "./tiktok-videos/user_video_01012024_123.mp4", {
+ *     slideDuration: 3,
+ *     size: "1080x1920",
+ *     audioUrl: "https://.../sound.mp3",
+ * });
+ */
+const renderSlideshow = async (imagePaths, outputPath, options = {}) => {
+    if (imagePaths.length === 0) {
+        throw new Error("Photo post has no images for a slideshow");
+    }
+    const ffmpegPath = getFfmpegPath();
+    const {
+        slideDuration = getConfig().slideDuration,
+        size = getConfig().slideshowSize,
+    } = options;
+    const [width, height] = size.split("x").map(Number);
+
+    let audioPath = options.audioPath || null;
+    const tempAudioPath =
+        !audioPath && options.audioUrl
+            ? path.join(os.tmpdir(), `tiktok-dl-${path.basename(outputPath)}.audio`)
+            : null;
+    const partPath = `${outputPath}.part`;
+    try {
+        if (tempAudioPath) {
+            try {
+                await mediaQueue.add(() =>
+                    downloadToFile(
+                        options.audioUrl,
+                        options.referer,
+                        tempAudioPath
+                    )
+                );
+                audioPath = tempAudioPath;
+            } catch (error) {
+                console.warn(
+                    `Soundtrack download failed (${error.message}), the slideshow will be silent`
+                );
+            }
+        }
+        await runFfmpeg(
+            ffmpegPath,
+            buildSlideshowArgs(imagePaths, audioPath, partPath, {
+                slideDuration,
+                width,
+                height,
+            })
+        );
+        fs.renameSync(partPath, outputPath);
+    } finally {
+        fs.rmSync(partPath, { force: true });
+        if (tempAudioPath) fs.rmSync(tempAudioPath, { force: true });
+    }
+    return outputPath;
+};
+
+module.exports = {
+    getFfmpegPath,
+    renderSlideshow,
+};
@@ -0,0 +1,191 @@
+/**
+ * Tagging Service Module
+ *
+ * Embeds the origin of downloaded media in the files themselves, so a video
+ * or photo moved out of its folder can still be traced back to its post:
+ * iTunes-style atoms for MP4 files and EXIF/XMP fields for JPEG images. The
+ * same four tags are used in both formats:
+ * - title: the post caption
+ * - artist: the author's nickname
+ * - date: the upload time, ISO 8601 in UTC
+ * - comment: the source URL and post ID, see {@link formatSourceComment}
+ *
+ * @module taggingService
+ * @requires fs
+ * @requires mp4Utils
+ * @requires jpegUtils
+ */
+
+const fs = require("fs");
+const {
+    isMp4,
+    writeMp4FileTags,
+    readMp4FileTags,
+} = require("../utils/mp4Utils");
+const { isJpeg, writeJpegTags, readJpegTags } = require("../utils/jpegUtils");
+
+/**
+ * Number of bytes read from the start of a file to detect its format
+ * @constant {number}
+ * @private
+ */
+const HEADER_SIZE = 16;
+
+/**
+ * Tag readers and writers keyed by file format, called with file paths
+ *
+ * MP4 files are never loaded whole, since videos can be large; images are
+ * small enough to be tagged in memory.
+ *
+ * @constant {Object<string, Object>}
+ * @private
+ */
+const FORMATS = {
+    mp4: { detect: isMp4, write: writeMp4FileTags, read: readMp4FileTags },
+    jpeg: {
+        detect: isJpeg,
+        write: (sourcePath, targetPath, tags) =>
+            fs.writeFileSync(
+                targetPath,
+                writeJpegTags(fs.readFileSync(sourcePath), tags)
+            ),
+        read: (filePath) => readJpegTags(fs.readFileSync(filePath)),
+    },
+};
+
+/**
+ * Matches the comment written by {@link formatSourceComment}
+ * @constant {RegExp}
+ * @private
+ */
+const SOURCE_COMMENT_REGEX = /^Source: (\S+) \| Post ID: (\d+)$/;
+
+/**
+ * Formats the comment tag recording where a file came from
+ *
+ * @param {string} url - Post URL
+ * @param {string} postId - Post ID
+ * @returns {string} Comment text
+ *
+ * @example
+ * formatSourceComment("https://www.tiktok.com/@user/video/123", "123");
+ * // => "Source: https://www.tiktok.com/@user/video/123 | Post ID: 123"
+ */
+const formatSourceComment = (url, postId) =>
+    `Source: ${url} | Post ID: ${postId}`;
+
+/**
+ * Parses a comment written by {@link formatSourceComment}
+ *
+ * @param {string} [comment] - Comment tag value
+ * @returns {Object|null} `{ url, postId }`, or null for other comments
+ */
+const parseSourceComment = (comment) => {
+    const match = SOURCE_COMMENT_REGEX.exec(comment || "");
+    return match ? { url: match[1], postId: match[2] } : null;
+};
+
+/**
+ * Builds the tags of a post
+ *
+ * @param {Object} postData - Post information
+ * @param {string} postData.postId - Post ID
+ * @param {string} [postData.caption] - Post caption
+ * @param {string} [postData.nickname] - Author's display name
+ * @param {string} [postData.authorUniqueId] - Author's handle, used without a nickname
+ * @param {number} [postData.createTime] - Unix timestamp of the upload
+ * @param {string} url - Post URL
+ * @returns {Object} Tags: title, artist, date, comment
+ */
+const buildPostTags = (postData, url) => {
+    const createTime = Number(postData.createTime);
+    return {
+        title: postData.caption || undefined,
+        artist: postData.nickname || postData.authorUniqueId || undefined,
+        date: createTime
+            ? new Date(createTime * 1000).toISOString().replace(/\.\d+Z$/, "Z")
+            : undefined,
+        comment: formatSourceComment(url, postData.postId),
+    };
+};
+
+/**
+ * Detects the taggable format of a file from its first bytes
+ *
+ * @param {string} filePath - File to check
+ * @returns {string|null} "mp4", "jpeg", or null if the format is not supported
+ * @throws {Error} If the file cannot be read
+ * @private
+ */
+const detectFormat = (filePath) => {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const fd = fs.openSync(filePath, "r");
+    let length;
+    try {
+        length = fs.readSync(fd, buffer, 0, HEADER_SIZE, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const header = buffer.subarray(0, length);
+    return (
+        Object.keys(FORMATS).find((format) => FORMATS[format].detect(header)) ||
+        null
+    );
+};
+
+/**
+ * Writes tags into a media file
+ *
+ * The tagged copy is written next to the file and renamed over it, so an
+ * interrupted write never leaves a damaged file behind. Files in other
+ * formats, such as WebP and HEIC images, are left alone.
+ *
+ * @param {string} filePath - MP4 or JPEG file
+ * @param {Object} tags - Tags, see {@link buildPostTags}
+ * @returns {string|null} The format that was tagged, or null if the file
+ *   format is not supported
+ * @throws {Error} If the file cannot be read, parsed or written
+ *
+ * @example
+ * writeFileTags("./tiktok-videos/user_video_01012024_123.mp4", tags); // "mp4"
+ */
+const writeFileTags = (filePath, tags) => {
+    const format = detectFormat(filePath);
+    if (!format) return null;
+
+    const tempPath = `${filePath}.tagging`;
+    try {
+        FORMATS[format].write(filePath, tempPath, tags);
+        fs.renameSync(tempPath, filePath);
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+    return format;
+};
+
+/**
+ * Reads the tags of a media file
+ *
+ * Only the headers of MP4 files are read, not their media data.
+ *
+ * @param {string} filePath - MP4, M4A or JPEG file
+ * @returns {Object|null} `{ format, tags }`, or null if the file format is
+ *   not supported
+ * @throws {Error} If the file cannot be read or parsed
+ *
+ * @example
+ * readFileTags("./tiktok-videos/user_video_01012024_123.mp4");
+ * // => { format: "mp4", tags: { title: "...", artist: "...", ... } }
+ */
+const readFileTags = (filePath) => {
+    const format = detectFormat(filePath);
+    return format ? { format, tags: FORMATS[format].read(filePath) } : null;
+};
+
+module.exports = {
+    formatSourceComment,
+    parseSourceComment,
+    buildPostTags,
+    writeFileTags,
+    readFileTags,
+};
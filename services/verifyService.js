@@ -0,0 +1,256 @@
+/**
+ * Verify Service Module
+ *
+ * Backs the `verify` command: checks downloaded files against the hashes
+ * recorded in their output directory's hash index, catching files that
+ * were corrupted, truncated or deleted after download, and reads back the
+ * metadata embedded by the tagging service, reporting which videos and
+ * images still record the post they came from.
+ *
+ * @module verifyService
+ * @requires fs
+ * @requires path
+ * @requires fileUtils
+ * @requires taggingService
+ * @requires hashIndexService
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hashFile } = require("../utils/fileUtils");
+const {
+    readFileTags,
+    parseSourceComment,
+} = require("./taggingService");
+const {
+    HASH_INDEX_FILE,
+    openHashIndex,
+    findHashIndex,
+} = require("./hashIndexService");
+
+/**
+ * Extensions of the files the downloader tags: videos, slideshows and images
+ * @constant {string[]}
+ * @private
+ */
+const TAGGED_EXTENSIONS = [".mp4", ".jpg", ".jpeg"];
+
+/**
+ * Integrity and tag statuses that make a verification fail
+ * @constant {string[]}
+ * @private
+ */
+const PROBLEM_STATUSES = [
+    "corrupted",
+    "truncated",
+    "missing",
+    "untagged",
+    "error",
+];
+
+/**
+ * Lists the files to verify under the given paths
+ *
+ * Directories are scanned recursively for taggable files, plus every file
+ * listed in a hash index found there, so deleted files are reported too.
+ * Files given explicitly are always included, whatever their extension.
+ *
+ * @param {string[]} paths - Files and directories
+ * @returns {string[]} File paths, sorted within each directory
+ * @throws {Error} If a path does not exist
+ * @private
+ */
+const collectFiles = (paths) => {
+    const files = new Map();
+    const add = (filePath) => {
+        const key = path.resolve(filePath);
+        if (!files.has(key)) files.set(key, filePath);
+    };
+
+    const scan = (dir) => {
+        const entries = fs
+            .readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                scan(entryPath);
+            } else if (entry.name === HASH_INDEX_FILE) {
+                for (const { path: indexed } of openHashIndex(dir).entries()) {
+                    add(path.join(dir, ...indexed.split("/")));
+                }
+            } else if (
+                TAGGED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+            ) {
+                add(entryPath);
+            }
+        }
+    };
+
+    for (const target of paths) {
+        if (!fs.existsSync(target)) {
+            throw new Error(`No such file or directory: ${target}`);
+        }
+        if (fs.statSync(target).isDirectory()) scan(target);
+        else add(target);
+    }
+    return [...files.values()];
+};
+
+/**
+ * Compares a file with its hash index entry
+ *
+ * @param {string} filePath - File to check
+ * @returns {Object} `integrity` ("ok", "corrupted", "truncated", "missing",
+ *   or null if the file is in no index), with the index entry as `expected`
+ *   and the measured `size` and `sha256` when available
+ * @private
+ */
+const checkIntegrity = (filePath) => {
+    const index = findHashIndex(filePath);
+    if (!index) return { integrity: null };
+
+    const expected = index.get(filePath);
+    if (!fs.existsSync(filePath)) return { integrity: "missing", expected };
+
+    const size = fs.statSync(filePath).size;
+    if (size < expected.size) {
+        return { integrity: "truncated", expected, size };
+    }
+    const sha256 = hashFile(filePath);
+    const intact = size === expected.size && sha256 === expected.sha256;
+    return { integrity: intact ? "ok" : "corrupted", expected, size, sha256 };
+};
+
+/**
+ * Reads the embedded source tags of a file
+ *
+ * @param {string} filePath - File to check
+ * @returns {Object} `status` ("tagged", "untagged", "unsupported" for
+ *   formats that cannot carry tags, such as WebP images, or "error" with
+ *   `error`), plus `format`, `tags` and `source` when readable
+ * @private
+ */
+const checkTags = (filePath) => {
+    try {
+        const read = readFileTags(filePath);
+        if (!read) return { status: "unsupported" };
+
+        const source = parseSourceComment(read.tags.comment);
+        return {
+            status: source ? "tagged" : "untagged",
+            format: read.format,
+            tags: read.tags,
+            source,
+        };
+    } catch (error) {
+        return { status: "error", error };
+    }
+};
+
+/**
+ * Verifies downloaded files
+ *
+ * Every file is checked against its hash index entry, if any, and files
+ * with a taggable extension (`.mp4`, `.jpg`, `.jpeg`) are checked for their
+ * embedded source tags.
+ *
+ * @param {string[]} paths - Files and directories to check; directories are
+ *   scanned recursively
+ * @returns {Object} Verification containing:
+ *   - entries: One entry per file, with `filePath`, `integrity` and `status`
+ *     (null when not checked) and their details; see {@link formatVerifyEntry}
+ *   - counts: Number of entries per integrity and tag status, with files in
+ *     no index counted as "unindexed"
+ *   - problems: Number of corrupted, truncated, missing, untagged and
+ *     unreadable findings
+ * @throws {Error} If a path does not exist
+ *
+ * @example
+ * const { entries, problems } = verifyFiles(["./tiktok-videos"]);
+ * entries.forEach((entry) => console.log(formatVerifyEntry(entry)));
+ * if (problems > 0) process.exitCode = 1;
+ */
+const verifyFiles = (paths) => {
+    const entries = collectFiles(paths).map((filePath) => {
+        const entry = { filePath, ...checkIntegrity(filePath), status: null };
+        const taggable = TAGGED_EXTENSIONS.includes(
+            path.extname(filePath).toLowerCase()
+        );
+        if (entry.integrity !== "missing" && taggable) {
+            Object.assign(entry, checkTags(filePath));
+        }
+        return entry;
+    });
+
+    const counts = {
+        ok: 0,
+        corrupted: 0,
+        truncated: 0,
+        missing: 0,
+        unindexed: 0,
+        tagged: 0,
+        untagged: 0,
+        unsupported: 0,
+        error: 0,
+    };
+    for (const entry of entries) {
+        counts[entry.integrity || "unindexed"]++;
+        if (entry.status) counts[entry.status]++;
+    }
+    const problems = PROBLEM_STATUSES.reduce(
+        (total, status) => total + counts[status],
+        0
+    );
+    return { entries, counts, problems };
+};
+
+/**
+ * Formats a verification entry as printable lines
+ *
+ * @param {Object} entry - Entry returned by {@link verifyFiles}
+ * @returns {string} Integrity, tag status and path, followed by the
+ *   details of any problem and, for tagged files, the post details
+ *
+ * @example
+ * formatVerifyEntry(entry);
+ * // => "ok         tagged       ./tiktok-videos/user_video_01012024_123.mp4
+ * //      post 123 by Some User, 2024-01-01T12:00:00Z
+ * //      https://www.tiktok.com/@user/video/123
+ * //      First line of the caption"
+ */
+const formatVerifyEntry = (entry) => {
+    const details = [];
+    if (entry.integrity === "truncated") {
+        details.push(`${entry.size} of ${entry.expected.size} bytes`);
+    } else if (entry.integrity === "corrupted") {
+        details.push(
+            `sha256 ${entry.sha256} (${entry.size} bytes), recorded ${entry.expected.sha256} (${entry.expected.size} bytes)`
+        );
+    }
+    if (entry.status === "error") details.push(entry.error.message);
+    if (entry.status === "tagged") {
+        const { tags, source } = entry;
+        const post = [
+            `post ${source.postId}`,
+            tags.artist && `by ${tags.artist}`,
+        ]
+            .filter(Boolean)
+            .join(" ");
+        details.push(`${post}${tags.date ? `, ${tags.date}` : ""}`);
+        details.push(source.url);
+        if (tags.title) details.push(tags.title.split("\n")[0]);
+    }
+
+    return [
+        `${(entry.integrity || "unindexed").padEnd(10)} ${(
+            entry.status || "-"
+        ).padEnd(12)} ${entry.filePath}`,
+        ...details.map((detail) => `    ${detail}`),
+    ].join("\n");
+};
+
+module.exports = {
+    verifyFiles,
+    formatVerifyEntry,
+};
@@ -0,0 +1,269 @@
+/**
+ * Watch Service Module
+ *
+ * Backs the `watch` command: turns a directory into an inbox for link
+ * files. Every `.txt` file dropped into the directory, or rewritten there,
+ * is read as a URL list (see inputReader) once it has stopped changing, and
+ * the URLs not seen before are handed to the batch pipeline. Finished files
+ * are moved to `done/`, or to `failed/` if any URL failed, next to a JSON
+ * run report (see reportService) named after them.
+ *
+ * URLs that were processed without failures are recorded in a
+ * `.tiktok-dl-seen.txt` file in the inbox, so links repeated across files,
+ * or left over in a file whose processing was interrupted, are only
+ * downloaded once.
+ *
+ * @module watchService
+ * @requires fs
+ * @requires path
+ * @requires fileUtils
+ * @requires resultUtils
+ * @requires inputReader
+ * @requires reportService
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+    claimOutputPath,
+    ensureDirectoryExists,
+} = require("../utils/fileUtils");
+const { createResult } = require("../utils/resultUtils");
+const { readUrlList } = require("../cli/inputReader");
+const { writeReport } = require("./reportService");
+
+/**
+ * Name of the file listing the URLs already processed from an inbox
+ * @constant {string}
+ */
+const SEEN_FILE = ".tiktok-dl-seen.txt";
+
+/**
+ * Default time between two scans of the inbox, in milliseconds
+ * @constant {number}
+ * @private
+ */
+const WATCH_INTERVAL = 2000;
+
+/**
+ * Lists the link files of an inbox with their size and modification time
+ *
+ * Hidden files are left alone: they hold the inbox's own state, or are
+ * temporary files of editors and sync clients.
+ *
+ * @param {string} dir - Inbox directory
+ * @returns {Map<string, string>} Signature ("size:mtime") by file name
+ * @private
+ */
+const scanLinkFiles = (dir) => {
+    const files = new Map();
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const isLinkFile =
+            entry.isFile() &&
+            !entry.name.startsWith(".") &&
+            path.extname(entry.name).toLowerCase() === ".txt";
+        if (!isLinkFile) continue;
+        try {
+            const { size, mtimeMs } = fs.statSync(path.join(dir, entry.name));
+            files.set(entry.name, `${size}:${mtimeMs}`);
+        } catch (error) {
+            // Moved or deleted between listing and stat; seen next scan
+        }
+    }
+    return files;
+};
+
+/**
+ * Moves a processed link file and writes its report next to it
+ *
+ * @param {string} filePath - Link file in the inbox
+ * @param {string} targetDir - `done` or `failed` directory
+ * @param {Object[]} results - Processing results of the file's URLs
+ * @returns {string} New path of the link file
+ * @private
+ */
+const archiveLinkFile = (filePath, targetDir, results) => {
+    ensureDirectoryExists(targetDir);
+    const { filePath: movedPath } = claimOutputPath(
+        path.join(targetDir, path.basename(filePath))
+    );
+    fs.renameSync(filePath, movedPath);
+    writeReport(
+        `${movedPath.slice(0, -path.extname(movedPath).length)}.report.json`,
+        results,
+        "json"
+    );
+    return movedPath;
+};
+
+/**
+ * Watches a directory for link files and downloads their URLs
+ *
+ * The inbox is scanned every `interval` milliseconds; a file is processed
+ * once two scans in a row find it unchanged. Files are processed one at a
+ * time, in batches of `options.concurrency` URLs; a file changed while it
+ * was processed stays in the inbox and is picked up again, for its new
+ * URLs only. Stopping lets the current batch finish and leaves an
+ * unfinished file in the inbox.
+ *
+ * @param {string} dir - Inbox directory
+ * @param {Object} params - Watcher dependencies and options
+ * @param {Function} params.processUrls - Batch pipeline, called as
+ *   `processUrls(urls, options)` (see index)
+ * @param {Object} [params.options={}] - Options passed to `processUrls`;
+ *   `report` is ignored
+ * @param {number} [params.interval=2000] - Milliseconds between scans
+ * @returns {Object} Watcher with:
+ *   - stop(): Stops watching; returns a promise that resolves once the
+ *     current batch has finished
+ *   - stopped: Promise resolved once the watcher has stopped
+ * @throws {Error} If the directory does not exist
+ *
+ * @example
+ * const watcher = watchInbox("./inbox", { processUrls, options: settings });
+ * process.once("SIGINT", () => watcher.stop());
+ * await watcher.stopped;
+ */
+const watchInbox = (
+    dir,
+    { processUrls, options = {}, interval = WATCH_INTERVAL }
+) => {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`No such directory: ${dir}`);
+    }
+
+    const seenPath = path.join(dir, SEEN_FILE);
+    const seen = new Set(
+        fs.existsSync(seenPath)
+            ? fs
+                  .readFileSync(seenPath, "utf8")
+                  .split(/\r?\n/)
+                  .filter(Boolean)
+            : []
+    );
+    const batchSize = options.concurrency || 3;
+    let pending = new Map();
+    let stopping = false;
+    let timer = null;
+    let wake = null;
+
+    const processFile = async (name, signature) => {
+        const filePath = path.join(dir, name);
+        const urls = [...new Set(await readUrlList(filePath))];
+        const fresh = urls.filter((url) => !seen.has(url));
+        console.log(
+            `Processing ${name}: ${fresh.length} new URL(s), ${
+                urls.length - fresh.length
+            } already seen`
+        );
+
+        const results = urls
+            .filter((url) => seen.has(url))
+            .map((url) => {
+                const result = createResult(url);
+                result.status = "skipped";
+                result.reason = "seen";
+                return result;
+            });
+        for (let i = 0; i < fresh.length; i += batchSize) {
+            if (stopping) {
+                console.log(
+                    `Stopped before finishing ${name}; it stays in the inbox`
+                );
+                return;
+            }
+            const batch = fresh.slice(i, i + batchSize);
+            // Each link file gets its own report once it is archived
+            const summary = await processUrls(batch, {
+                ...options,
+                report: undefined,
+            });
+            results.push(...summary.results);
+
+            const done = batch.filter(
+                (url) =>
+                    !summary.results.some(
+                        (result) =>
+                            (result.source || result.url) === url &&
+                            result.status === "failed"
+                    )
+            );
+            done.forEach((url) => seen.add(url));
+            if (done.length > 0) {
+                fs.appendFileSync(seenPath, `${done.join("\n")}\n`);
+            }
+        }
+
+        if (scanLinkFiles(dir).get(name) !== signature) {
+            console.log(
+                `${name} changed while it was processed; reading it again`
+            );
+            return;
+        }
+        const failed = results.some((result) => result.status === "failed");
+        const movedPath = archiveLinkFile(
+            filePath,
+            path.join(dir, failed ? "failed" : "done"),
+            results
+        );
+        console.log(`${name} -> ${path.relative(dir, movedPath)}`);
+    };
+
+    const scan = async () => {
+        const current = scanLinkFiles(dir);
+        for (const [name, signature] of current) {
+            if (stopping) break;
+            if (pending.get(name) !== signature) continue;
+            try {
+                await processFile(name, signature);
+            } catch (error) {
+                console.error(`Could not process ${name}: ${error.message}`);
+                try {
+                    archiveLinkFile(
+                        path.join(dir, name),
+                        path.join(dir, "failed"),
+                        []
+                    );
+                } catch (moveError) {
+                    console.error(
+                        `Could not move ${name}: ${moveError.message}`
+                    );
+                }
+            }
+            current.delete(name);
+        }
+        pending = current;
+    };
+
+    const stopped = (async () => {
+        console.log(`Watching ${dir} for link files (.txt)`);
+        while (!stopping) {
+            try {
+                await scan();
+            } catch (error) {
+                console.error(`Could not scan ${dir}: ${error.message}`);
+            }
+            if (stopping) break;
+            await new Promise((resolve) => {
+                wake = resolve;
+                timer = setTimeout(resolve, interval);
+            });
+        }
+        console.log(`Stopped watching ${dir}`);
+    })();
+
+    return {
+        stop: () => {
+            stopping = true;
+            clearTimeout(timer);
+            if (wake) wake();
+            return stopped;
+        },
+        stopped,
+    };
+};
+
+module.exports = {
+    SEEN_FILE,
+    watchInbox,
+};
@@ -0,0 +1,76 @@
+/**
+ * Tests for the `GET /files/:name` route of the API server, with a job
+ * store holding the results of a finished job.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApiServer } = require("../server/apiServer");
+const { openJobStore } = require("../services/jobStore");
+
+describe("GET /files/:name", () => {
+    let dir;
+    let server;
+    let base;
+    let jobId;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiktok-dl-api-"));
+        const files = ["plain.mp4", "my video ü.mp4"].map((name) => {
+            const filePath = path.join(dir, name);
+            fs.writeFileSync(filePath, `data of ${name}`);
+            return filePath;
+        });
+
+        const store = openJobStore(path.join(dir, "jobs.json"));
+        const job = store.create(["https://www.tiktok.com/@user/video/1"], {});
+        store.update(job.id, {
+            status: "completed",
+            results: [{ status: "success", outputPaths: files }],
+        });
+
+        server = createApiServer({ store, runner: {}, getInfo: () => {} });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+        jobId = job.id;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("serves every file at the URL advertised by its job", async () => {
+        const job = await (await fetch(`${base}/jobs/${jobId}`)).json();
+        const links = job.results[0].files;
+        assert.deepEqual(
+            links.map((file) => file.url),
+            ["/files/plain.mp4", "/files/my%20video%20%C3%BC.mp4"]
+        );
+
+        for (const { name, url } of links) {
+            const response = await fetch(`${base}${url}`);
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get("content-type"), "video/mp4");
+            assert.equal(await response.text(), `data of ${name}`);
+        }
+    });
+
+    it("serves byte ranges", async () => {
+        const response = await fetch(`${base}/files/plain.mp4`, {
+            headers: { Range: "bytes=0-3" },
+        });
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get("content-range"), "bytes 0-3/17");
+        assert.equal(await response.text(), "data");
+    });
+
+    it("rejects malformed names and unknown files", async () => {
+        assert.equal((await fetch(`${base}/files/%E0%A4%A`)).status, 400);
+        assert.equal((await fetch(`${base}/files/jobs.json`)).status, 404);
+        assert.equal((await fetch(`${base}/files/..%2Fjobs.json`)).status, 404);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the photo post extraction of the data extractor, run against
+ * page JSON fixtures in `test/fixtures`.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+    pickBestImageUrl,
+    extractPhotoDataFromJson,
+} = require("../extractors/dataExtractor");
+const { FatalError } = require("../utils/errors");
+
+const readFixture = (name) =>
+    fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+describe("pickBestImageUrl", () => {
+    it("prefers originals over smaller JPEG copies", () => {
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn.example/a~tplv-photomode-image.webp",
+                "https://cdn.example/a~tplv-photomode-tx2:360:480.jpeg",
+            ]),
+            "https://cdn.example/a~tplv-photomode-image.webp"
+        );
+    });
+
+    it("prefers JPEG over WebP and HEIC of the same size", () => {
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn.example/a~tplv-photomode-image.webp",
+                "https://cdn.example/a~tplv-photomode-image.heic",
+                "https://cdn.example/a~tplv-photomode-image.jpeg",
+            ]),
+            "https://cdn.example/a~tplv-photomode-image.jpeg"
+        );
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn.example/a~tplv-photomode-tx2:540:720.webp",
+                "https://cdn.example/a~tplv-photomode-tx2:540:720.jpeg",
+            ]),
+            "https://cdn.example/a~tplv-photomode-tx2:540:720.jpeg"
+        );
+    });
+
+    it("prefers originals, then larger sizes, within a format", () => {
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn.example/a~tplv-photomode-tx2:540:720.jpeg",
+                "https://cdn.example/a~tplv-photomode-image.jpeg?x=1",
+                "https://cdn.example/a~tplv-photomode-tx2:1080:1440.jpeg",
+            ]),
+            "https://cdn.example/a~tplv-photomode-image.jpeg?x=1"
+        );
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn.example/a~tplv-photomode-tx2:540:720.webp",
+                "https://cdn.example/a~tplv-photomode-tx2:1080:1440.webp",
+            ]),
+            "https://cdn.example/a~tplv-photomode-tx2:1080:1440.webp"
+        );
+    });
+
+    it("keeps list order for equal candidates", () => {
+        assert.equal(
+            pickBestImageUrl([
+                "https://cdn1.example/a.jpeg",
+                "https://cdn2.example/a.jpeg",
+            ]),
+            "https://cdn1.example/a.jpeg"
+        );
+    });
+
+    it("returns null for empty or missing lists", () => {
+        assert.equal(pickBestImageUrl([]), null);
+        assert.equal(pickBestImageUrl(undefined), null);
+        assert.equal(pickBestImageUrl([null, ""]), null);
+    });
+});
+
+describe("extractPhotoDataFromJson", () => {
+    it("reads a carousel from rehydration data", () => {
+        const data = extractPhotoDataFromJson(
+            readFixture("photo-rehydration.json")
+        );
+
+        assert.equal(data.imageId, "7300000000000000001");
+        assert.equal(data.authorUniqueId, "photo.user");
+        assert.equal(data.authorNickname, "Photo User");
+        assert.equal(data.createTime, "1704110400");
+        assert.equal(data.description, "Weekend trip #travel @friend");
+        assert.deepEqual(data.imageUrls, [
+            "https://p16.tiktokcdn.com/obj/photo-1~tplv-photomode-image.jpeg?x-expires=1",
+            "https://p16.tiktokcdn.com/obj/photo-2~tplv-photomode-tx2:1080:1440.jpeg?x-expires=1",
+        ]);
+        assert.equal(data.metadata.type, "photo");
+        assert.equal(data.metadata.extraction.method, "rehydration");
+        assert.deepEqual(data.metadata.hashtags, ["travel"]);
+        assert.equal(data.metadata.stats.likes, 700);
+    });
+
+    it("reads a carousel from legacy SIGI_STATE data", () => {
+        const data = extractPhotoDataFromJson(
+            readFixture("photo-sigi-state.json"),
+            "sigi-state"
+        );
+
+        assert.equal(data.imageId, "7300000000000000002");
+        assert.equal(data.authorUniqueId, "legacy.user");
+        assert.equal(data.authorNickname, "Legacy User");
+        assert.deepEqual(data.imageUrls, [
+            "https://p16.tiktokcdn.com/obj/legacy-1~tplv-photomode-image.heic?x-expires=1",
+        ]);
+        assert.equal(data.metadata.extraction.method, "sigi-state");
+        assert.equal(data.metadata.author.followers, 50);
+    });
+
+    it("returns null for posts without a carousel", () => {
+        const fixture = JSON.parse(readFixture("photo-rehydration.json"));
+        delete fixture.__DEFAULT_SCOPE__["webapp.video-detail"].itemInfo
+            .itemStruct.imagePost;
+
+        assert.equal(extractPhotoDataFromJson(JSON.stringify(fixture)), null);
+        assert.equal(extractPhotoDataFromJson("not json"), null);
+    });
+
+    it("throws a FatalError for private posts", () => {
+        assert.throws(
+            () =>
+                extractPhotoDataFromJson(readFixture("photo-unavailable.json")),
+            (error) =>
+                error instanceof FatalError && error.category === "private"
+        );
+    });
+});
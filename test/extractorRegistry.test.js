@@ -0,0 +1,104 @@
+/**
+ * Tests for how the extractor chain honours the `codec` setting, with
+ * stand-in extractors registered next to the built-in ones.
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    registerExtractor,
+    runExtractors,
+    resetExtractorStats,
+} = require("../extractors/extractorRegistry");
+const { rankVideoVariants } = require("../extractors/variantSelector");
+const { FatalError } = require("../utils/errors");
+
+const URL = "https://www.tiktok.com/@user/video/1";
+
+const hevcOnly = [
+    { urls: ["https://cdn.example/a.mp4"], resolution: 1080, codec: "h265" },
+];
+
+describe("runExtractors with a codec", () => {
+    const calls = [];
+
+    beforeEach(() => {
+        calls.length = 0;
+        resetExtractorStats();
+        registerExtractor({
+            name: "test-page",
+            types: ["video"],
+            providesMedia: true,
+            selectsCodec: true,
+            extract: async ({ codec }) => {
+                calls.push("test-page");
+                const [variant] = rankVideoVariants(hevcOnly, { codec });
+                return {
+                    videoData: { videoUrl: variant.urls[0] },
+                    metadata: {},
+                };
+            },
+        });
+        registerExtractor({
+            name: "test-mirror",
+            types: ["video"],
+            providesMedia: true,
+            selectsCodec: true,
+            extract: async () => {
+                calls.push("test-mirror");
+                return { videoData: { videoUrl: "mirror.mp4" }, metadata: {} };
+            },
+        });
+        registerExtractor({
+            name: "test-api",
+            types: ["video"],
+            providesMedia: true,
+            extract: async () => {
+                calls.push("test-api");
+                return {
+                    videoData: { videoUrl: "any-codec.mp4" },
+                    metadata: {},
+                };
+            },
+        });
+    });
+
+    it("stops the chain when no variant has the codec", async () => {
+        await assert.rejects(
+            runExtractors(URL, "video", {
+                order: ["test-page", "test-mirror"],
+                codec: "h264",
+            }),
+            (error) =>
+                error instanceof FatalError &&
+                error.category === "format_unavailable"
+        );
+        assert.deepEqual(calls, ["test-page"]);
+    });
+
+    it("skips extractors that cannot select a codec", async () => {
+        await assert.rejects(
+            runExtractors(URL, "video", { order: ["test-api"], codec: "h264" }),
+            (error) => error.category === "extraction"
+        );
+        assert.deepEqual(calls, []);
+    });
+
+    it("uses every extractor when any codec is accepted", async () => {
+        const result = await runExtractors(URL, "video", {
+            order: ["test-api", "test-page"],
+            codec: "any",
+        });
+        assert.equal(result.method, "test-api");
+        assert.equal(result.videoData.videoUrl, "any-codec.mp4");
+    });
+
+    it("keeps matching variants", async () => {
+        const result = await runExtractors(URL, "video", {
+            order: ["test-api", "test-page"],
+            codec: "h265",
+        });
+        assert.equal(result.method, "test-page");
+        assert.deepEqual(calls, ["test-page"]);
+    });
+});
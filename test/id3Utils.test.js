@@ -0,0 +1,70 @@
+/**
+ * Tests for writing ID3 tags, run against a minimal MP3 file whose audio
+ * frames must come through tagging unchanged.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { isMp3, writeId3Tags } = require("../utils/id3Utils");
+
+const AUDIO = Buffer.concat([
+    Buffer.from([0xff, 0xfb, 0x90, 0x64]),
+    Buffer.alloc(413, 0x55),
+]);
+
+const TAGS = {
+    title: "original sound 🎵",
+    artist: "Photo User",
+    album: "Weekend trip",
+    date: "2024",
+};
+
+// Length of the ID3v2 tag in front of the audio, header included
+const tagLength = (buffer) =>
+    10 +
+    ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+
+// Text of the tag's frames, keyed by frame ID
+const readFrames = (buffer) => {
+    const frames = {};
+    let offset = 10;
+    while (offset < tagLength(buffer)) {
+        const id = buffer.toString("latin1", offset, offset + 4);
+        const size = buffer.readUInt32BE(offset + 4);
+        const body = buffer.subarray(offset + 10, offset + 10 + size);
+        // Encoding 1 is UTF-16 with a little-endian byte order mark
+        assert.deepEqual([...body.subarray(0, 3)], [0x01, 0xff, 0xfe]);
+        frames[id] = body.toString("utf16le", 3);
+        offset += 10 + size;
+    }
+    return frames;
+};
+
+describe("writeId3Tags", () => {
+    it("round-trips every tag in front of the unchanged audio", () => {
+        const tagged = writeId3Tags(AUDIO, TAGS);
+
+        assert.equal(tagged.toString("latin1", 0, 3), "ID3");
+        assert.ok(isMp3(tagged));
+        assert.deepEqual(readFrames(tagged), {
+            TIT2: TAGS.title,
+            TPE1: TAGS.artist,
+            TALB: TAGS.album,
+            TYER: TAGS.date,
+        });
+        assert.deepEqual(tagged.subarray(tagLength(tagged)), AUDIO);
+    });
+
+    it("replaces an existing tag instead of stacking a new one", () => {
+        const retagged = writeId3Tags(writeId3Tags(AUDIO, TAGS), {
+            title: "new title",
+        });
+
+        assert.deepEqual(readFrames(retagged), { TIT2: "new title" });
+        assert.deepEqual(retagged.subarray(tagLength(retagged)), AUDIO);
+    });
+
+    it("strips the tag when no tags are given", () => {
+        assert.deepEqual(writeId3Tags(writeId3Tags(AUDIO, TAGS)), AUDIO);
+    });
+});
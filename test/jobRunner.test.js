@@ -0,0 +1,113 @@
+/**
+ * Tests for how the job runner hands a job to the batch pipeline and
+ * records its progress, with a job store in a temporary directory.
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { processUrls } = require("../index");
+const { createJobRunner } = require("../server/jobRunner");
+const { openJobStore } = require("../services/jobStore");
+
+const URLS = [
+    "https://www.tiktok.com/@user/video/1",
+    "https://www.tiktok.com/@user/video/2",
+    "https://www.tiktok.com/@user/video/3",
+];
+
+describe("createJobRunner", () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiktok-dl-jobs-"));
+        store = openJobStore(path.join(dir, "jobs.json"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("runs the remaining URLs of a job in one batch", async () => {
+        const calls = [];
+        const runner = createJobRunner({
+            store,
+            settings: { concurrency: 3, report: "report.json" },
+            processUrls: async (urls, options) => {
+                calls.push({ urls, options });
+                const statuses = ["success", "skipped"];
+                urls.forEach((url, i) =>
+                    options.onUrlDone(url, [{ url, status: statuses[i] }])
+                );
+            },
+        });
+        const job = store.create(URLS, {});
+        store.update(job.id, {
+            progress: { ...job.progress, done: 1, failed: 1 },
+            results: [{ url: URLS[0], status: "failed" }],
+        });
+
+        await runner.enqueue(job.id);
+
+        assert.equal(calls.length, 1);
+        assert.deepEqual(calls[0].urls, URLS.slice(1));
+        assert.equal(calls[0].options.concurrency, 3);
+        assert.equal(calls[0].options.report, undefined);
+
+        const saved = store.get(job.id);
+        assert.equal(saved.status, "completed");
+        assert.deepEqual(saved.progress, {
+            total: 3,
+            done: 3,
+            succeeded: 1,
+            failed: 1,
+            skipped: 1,
+        });
+        assert.deepEqual(
+            saved.results.map((row) => row.status),
+            ["failed", "success", "skipped"]
+        );
+    });
+
+    it("records every URL through the real pipeline", async () => {
+        const runner = createJobRunner({ store, processUrls });
+        const job = store.create(
+            ["not a url", "https://example.com/video", "tiktok"],
+            { concurrency: 2 }
+        );
+
+        await runner.enqueue(job.id);
+
+        const saved = store.get(job.id);
+        assert.equal(saved.status, "completed");
+        assert.equal(saved.progress.done, 3);
+        assert.equal(saved.progress.failed, 3);
+        assert.deepEqual(
+            saved.results.map((row) => row.url),
+            ["not a url", "https://example.com/video", "tiktok"]
+        );
+    });
+
+    it("keeps the progress of a failed job", async () => {
+        const runner = createJobRunner({
+            store,
+            processUrls: async (urls, options) => {
+                options.onUrlDone(urls[0], [
+                    { url: urls[0], status: "success" },
+                ]);
+                throw new Error("disk full");
+            },
+        });
+        const job = store.create(URLS, {});
+
+        await runner.enqueue(job.id);
+
+        const saved = store.get(job.id);
+        assert.equal(saved.status, "failed");
+        assert.equal(saved.error, "disk full");
+        assert.equal(saved.progress.done, 1);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for writing and reading JPEG tags, run against a minimal JPEG file
+ * whose image data must come through tagging unchanged.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { writeJpegTags, readJpegTags } = require("../utils/jpegUtils");
+
+// Header segment with its marker and length
+const segment = (marker, payload) => {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+};
+
+const JFIF = segment(
+    0xe0,
+    Buffer.from("JFIF\0\x01\x01\0\0\x01\0\x01\0\0", "latin1")
+);
+const QUANTIZATION = segment(0xdb, Buffer.alloc(65, 1));
+const IMAGE_DATA = Buffer.concat([
+    segment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+    Buffer.from("entropy-coded scan data"),
+    Buffer.from([0xff, 0xd9]),
+]);
+const JPEG = Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    JFIF,
+    QUANTIZATION,
+    IMAGE_DATA,
+]);
+
+const TAGS = {
+    title: "Weekend trip #travel <3 & more 🏖️",
+    artist: "Photo User",
+    date: "2024-01-01T12:00:00Z",
+    comment: "https://www.tiktok.com/@user/photo/1",
+};
+
+// Markers of the header segments, before the image data
+const readMarkers = (buffer) => {
+    const markers = [];
+    let offset = 2;
+    while (buffer[offset + 1] !== 0xda) {
+        markers.push(buffer[offset + 1]);
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return markers;
+};
+
+describe("writeJpegTags and readJpegTags", () => {
+    it("round-trips every tag", () => {
+        assert.deepEqual(readJpegTags(writeJpegTags(JPEG, TAGS)), TAGS);
+        assert.deepEqual(readJpegTags(JPEG), {});
+    });
+
+    it("keeps the image data and other segments unchanged", () => {
+        const tagged = writeJpegTags(JPEG, TAGS);
+
+        assert.deepEqual(tagged.subarray(-IMAGE_DATA.length), IMAGE_DATA);
+        assert.deepEqual(tagged.subarray(2, 2 + JFIF.length), JFIF);
+        assert.deepEqual(readMarkers(tagged), [0xe0, 0xe1, 0xe1, 0xdb]);
+    });
+
+    it("replaces earlier tags instead of adding more", () => {
+        const retagged = writeJpegTags(writeJpegTags(JPEG, TAGS), {
+            title: "new caption",
+        });
+
+        assert.deepEqual(readJpegTags(retagged), { title: "new caption" });
+        assert.deepEqual(readMarkers(retagged), [0xe0, 0xe1, 0xe1, 0xdb]);
+        assert.deepEqual(retagged.subarray(-IMAGE_DATA.length), IMAGE_DATA);
+    });
+
+    it("rejects data that is not a JPEG", () => {
+        assert.throws(() => writeJpegTags(Buffer.from("GIF89a"), TAGS), {
+            message: "Not a JPEG file",
+        });
+    });
+});
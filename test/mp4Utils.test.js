@@ -0,0 +1,265 @@
+/**
+ * Tests for writing and reading MP4 tags, run against minimal MP4 files
+ * whose chunk offsets point into their media data.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    box,
+    fullBox,
+    readBoxes,
+    writeMp4Tags,
+    readMp4Tags,
+    writeMp4FileTags,
+    readMp4FileTags,
+    extractAudioToM4a,
+    extractAudioFileToM4a,
+} = require("../utils/mp4Utils");
+
+const CHUNKS = ["first chunk", "second chunk", "third chunk"].map((text) =>
+    Buffer.from(text)
+);
+
+// Chunk offset table of the given type ("stco" or "co64")
+const chunkTable = (type, offsets) => {
+    const size = type === "co64" ? 8 : 4;
+    const payload = Buffer.alloc(4 + offsets.length * size);
+    payload.writeUInt32BE(offsets.length);
+    offsets.forEach((offset, i) => {
+        if (size === 8) payload.writeBigUInt64BE(BigInt(offset), 4 + i * 8);
+        else payload.writeUInt32BE(offset, 4 + i * 4);
+    });
+    return fullBox(type, 0, 0, payload);
+};
+
+// Movie box with an stco track holding the first two chunks and a co64
+// track holding the last one
+const movieBox = (offsets, udta = []) => {
+    const track = (table) =>
+        box("trak", box("mdia", box("minf", box("stbl", table))));
+    return box(
+        "moov",
+        track(chunkTable("stco", offsets.slice(0, 2))),
+        track(chunkTable("co64", offsets.slice(2))),
+        ...(udta.length > 0 ? [box("udta", ...udta)] : [])
+    );
+};
+
+// MP4 file of the test chunks, with the movie box before or after them
+const buildMp4 = ({ moovFirst = true, udta = [] } = {}) => {
+    const ftyp = box("ftyp", Buffer.from("isom\0\0\0\0isom", "latin1"));
+    const mdat = box("mdat", ...CHUNKS);
+    const moovSize = movieBox([0, 0, 0], udta).length;
+
+    let offset = ftyp.length + (moovFirst ? moovSize : 0) + 8;
+    const offsets = CHUNKS.map((chunk) => {
+        const current = offset;
+        offset += chunk.length;
+        return current;
+    });
+    const moov = movieBox(offsets, udta);
+    return Buffer.concat(moovFirst ? [ftyp, moov, mdat] : [ftyp, mdat, moov]);
+};
+
+// Chunk offsets of every track, in track order
+const readChunkOffsets = (buffer) => {
+    const children = (parent) =>
+        readBoxes(buffer, parent.dataStart, parent.end);
+    const moov = readBoxes(buffer).find((entry) => entry.type === "moov");
+    const offsets = [];
+    for (const trak of children(moov).filter((c) => c.type === "trak")) {
+        const [mdia] = children(trak);
+        const [minf] = children(mdia);
+        const [stbl] = children(minf);
+        const [table] = children(stbl);
+        const wide = table.type === "co64";
+        const count = buffer.readUInt32BE(table.dataStart + 4);
+        for (let i = 0; i < count; i++) {
+            const position = table.dataStart + 8 + i * (wide ? 8 : 4);
+            offsets.push(
+                wide
+                    ? Number(buffer.readBigUInt64BE(position))
+                    : buffer.readUInt32BE(position)
+            );
+        }
+    }
+    return offsets;
+};
+
+// Contents of the chunks the offset tables point to
+const readChunks = (buffer) =>
+    readChunkOffsets(buffer).map((offset, i) =>
+        buffer.toString("utf8", offset, offset + CHUNKS[i].length)
+    );
+
+const TAGS = {
+    title: "Weekend trip #travel 🏖️",
+    artist: "Photo User",
+    album: "original sound",
+    comment: "https://www.tiktok.com/@user/video/1",
+    date: "2024-01-01T12:00:00Z",
+};
+
+describe("writeMp4Tags and readMp4Tags", () => {
+    it("round-trips every tag", () => {
+        const tagged = writeMp4Tags(buildMp4(), TAGS);
+        assert.deepEqual(readMp4Tags(tagged), TAGS);
+        assert.deepEqual(readMp4Tags(buildMp4()), {});
+    });
+
+    it("shifts stco and co64 offsets past a grown movie box", () => {
+        const original = buildMp4();
+        const tagged = writeMp4Tags(original, TAGS);
+        const delta = tagged.length - original.length;
+
+        assert.ok(delta > 0);
+        assert.deepEqual(
+            readChunkOffsets(tagged),
+            readChunkOffsets(original).map((offset) => offset + delta)
+        );
+        assert.deepEqual(
+            readChunks(tagged),
+            CHUNKS.map((chunk) => chunk.toString())
+        );
+        const mdatSize = 8 + Buffer.concat(CHUNKS).length;
+        assert.deepEqual(
+            tagged.subarray(-mdatSize),
+            original.subarray(-mdatSize)
+        );
+    });
+
+    it("shifts offsets back when the movie box shrinks", () => {
+        const tagged = writeMp4Tags(buildMp4(), TAGS);
+        const retagged = writeMp4Tags(tagged, { title: "short" });
+
+        assert.ok(retagged.length < tagged.length);
+        assert.deepEqual(readMp4Tags(retagged), { title: "short" });
+        assert.deepEqual(
+            readChunks(retagged),
+            CHUNKS.map((chunk) => chunk.toString())
+        );
+    });
+
+    it("leaves offsets alone when the movie box follows the media", () => {
+        const original = buildMp4({ moovFirst: false });
+        const tagged = writeMp4Tags(original, TAGS);
+        const moov = readBoxes(original).find((entry) => entry.type === "moov");
+
+        assert.deepEqual(
+            tagged.subarray(0, moov.start),
+            original.subarray(0, moov.start)
+        );
+        assert.deepEqual(readChunkOffsets(tagged), readChunkOffsets(original));
+        assert.deepEqual(readMp4Tags(tagged), TAGS);
+    });
+
+    it("keeps other user data", () => {
+        const other = box("cprt", Buffer.from("kept"));
+        const tagged = writeMp4Tags(buildMp4({ udta: [other] }), TAGS);
+        const moov = readBoxes(tagged).find((entry) => entry.type === "moov");
+        const udta = readBoxes(tagged, moov.dataStart, moov.end).find(
+            (entry) => entry.type === "udta"
+        );
+
+        assert.deepEqual(
+            readBoxes(tagged, udta.dataStart, udta.end).map((c) => c.type),
+            ["cprt", "meta"]
+        );
+        assert.deepEqual(readMp4Tags(tagged), TAGS);
+    });
+});
+
+describe("writeMp4FileTags and readMp4FileTags", () => {
+    it("write the same file as the in-memory tagger", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiktok-dl-mp4-"));
+        try {
+            for (const moovFirst of [true, false]) {
+                const original = buildMp4({ moovFirst });
+                const sourcePath = path.join(dir, "source.mp4");
+                const targetPath = path.join(dir, "tagged.mp4");
+                fs.writeFileSync(sourcePath, original);
+
+                writeMp4FileTags(sourcePath, targetPath, TAGS);
+
+                assert.deepEqual(
+                    fs.readFileSync(targetPath),
+                    writeMp4Tags(original, TAGS)
+                );
+                assert.deepEqual(readMp4FileTags(targetPath), TAGS);
+                assert.deepEqual(readMp4FileTags(sourcePath), {});
+            }
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+// Video file whose only track is an audio track of the test chunks, one
+// sample per chunk, with the media data before the movie box
+const buildAudioMp4 = () => {
+    const ftyp = box("ftyp", Buffer.from("isom\0\0\0\0isom", "latin1"));
+    const mdat = box("mdat", ...CHUNKS);
+    const offsets = [];
+    let offset = ftyp.length + 8;
+    for (const chunk of CHUNKS) {
+        offsets.push(offset);
+        offset += chunk.length;
+    }
+    const uint32s = (...values) => {
+        const payload = Buffer.alloc(values.length * 4);
+        values.forEach((value, i) => payload.writeUInt32BE(value, i * 4));
+        return payload;
+    };
+    const stbl = box(
+        "stbl",
+        fullBox("stsd", 0, 0, uint32s(0)),
+        fullBox("stts", 0, 0, uint32s(1, CHUNKS.length, 1024)),
+        fullBox("stsc", 0, 0, uint32s(1, 1, 1, 1)),
+        fullBox(
+            "stsz",
+            0,
+            0,
+            uint32s(0, CHUNKS.length, ...CHUNKS.map((c) => c.length))
+        ),
+        chunkTable("stco", offsets)
+    );
+    const mdia = box(
+        "mdia",
+        fullBox("mdhd", 0, 0, uint32s(0, 0, 44100, 3072), Buffer.alloc(4)),
+        fullBox(
+            "hdlr",
+            0,
+            0,
+            uint32s(0),
+            Buffer.from("soun", "latin1"),
+            Buffer.alloc(13)
+        ),
+        box("minf", stbl)
+    );
+    return Buffer.concat([ftyp, mdat, box("moov", box("trak", mdia))]);
+};
+
+describe("extractAudioFileToM4a", () => {
+    it("writes the same file as the in-memory extractor", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tiktok-dl-mp4-"));
+        try {
+            const video = buildAudioMp4();
+            const sourcePath = path.join(dir, "video.mp4");
+            const targetPath = path.join(dir, "audio.m4a");
+            fs.writeFileSync(sourcePath, video);
+
+            extractAudioFileToM4a(sourcePath, targetPath, TAGS);
+
+            const audio = fs.readFileSync(targetPath);
+            assert.deepEqual(audio, extractAudioToM4a(video, TAGS));
+            assert.deepEqual(readMp4Tags(audio), TAGS);
+            assert.ok(audio.includes(Buffer.concat(CHUNKS)));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Concurrency Utilities Module
+ *
+ * Provides the building blocks used to run downloads in parallel without
+ * overwhelming TikTok: a job queue with a concurrency limit and a
+ * token-bucket rate limiter.
+ *
+ * @module concurrencyUtils
+ */
+
+/**
+ * Creates a job queue that runs at most `concurrency` tasks at once
+ *
+ * Tasks are started in the order they were added. The promise returned by
+ * `add` settles with the task's own result or error.
+ *
+ * @param {Object} [options={}] - Queue options
+ * @param {number} [options.concurrency=1] - Maximum number of running tasks
+ * @returns {Object} Queue with:
+ *   - add(task): Schedules an async function, returns its result promise
+ *   - setConcurrency(n): Changes the limit, starting waiting tasks if raised
+ *   - onIdle(): Resolves once no tasks are running or waiting
+ *
+ * @example
+ * const queue = createQueue({ concurrency: 3 });
+ * const results = await Promise.all(urls.map((url) => queue.add(() => fetch(url))));
+ */
+const createQueue = ({ concurrency = 1 } = {}) => {
+    let limit = concurrency;
+    let active = 0;
+    const pending = [];
+    let idleWaiters = [];
+
+    const next = () => {
+        while (active < limit && pending.length > 0) {
+            const { task, resolve, reject } = pending.shift();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+
+        if (active === 0 && pending.length === 0) {
+            idleWaiters.forEach((resolve) => resolve());
+            idleWaiters = [];
+        }
+    };
+
+    return {
+        add: (task) =>
+            new Promise((resolve, reject) => {
+                pending.push({ task, resolve, reject });
+                next();
+            }),
+        setConcurrency: (value) => {
+            limit = value;
+            next();
+        },
+        onIdle: () =>
+            active === 0 && pending.length === 0
+                ? Promise.resolve()
+                : new Promise((resolve) => idleWaiters.push(resolve)),
+    };
+};
+
+/**
+ * Creates a token-bucket rate limiter allowing `tokens` acquisitions per `interval`
+ *
+ * The bucket starts full and is refilled completely at the end of every
+ * interval. Callers that find it empty wait, in order, for the next refill.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.tokens - Acquisitions allowed per interval
+ * @param {number} options.interval - Interval length in milliseconds
+ * @returns {Object} Limiter with:
+ *   - acquire(): Resolves once a token has been taken
+ *   - configure({ tokens, interval }): Changes the rate
+ *
+ * @example
+ * const limiter = createRateLimiter({ tokens: 1, interval: 2000 });
+ * await limiter.acquire(); // immediately
+ * await limiter.acquire(); // ~2 seconds later
+ */
+const createRateLimiter = ({ tokens, interval }) => {
+    let capacity = tokens;
+    let period = interval;
+    let available = tokens;
+    let lastRefill = Date.now();
+    let timer = null;
+    const waiting = [];
+
+    const refill = () => {
+        const now = Date.now();
+        const elapsed = now - lastRefill;
+        if (period <= 0) {
+            available = capacity;
+            lastRefill = now;
+        } else if (elapsed >= period) {
+            available = capacity;
+            lastRefill += Math.floor(elapsed / period) * period;
+        }
+    };
+
+    const drain = () => {
+        refill();
+        while (available > 0 && waiting.length > 0) {
+            available--;
+            waiting.shift()();
+        }
+
+        if (waiting.length > 0 && !timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, Math.max(0, lastRefill + period - Date.now()));
+        }
+    };
+
+    return {
+        acquire: () =>
+            new Promise((resolve) => {
+                waiting.push(resolve);
+                drain();
+            }),
+        configure: (options) => {
+            capacity = options.tokens ?? capacity;
+            period = options.interval ?? period;
+            available = Math.min(available, capacity);
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            drain();
+        },
+    };
+};
+
+module.exports = {
+    createQueue,
+    createRateLimiter,
+};
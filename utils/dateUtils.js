@@ -21,15 +21,68 @@
  * @throws {Error} If timestamp is invalid or out of range
  *
  */
-const formatUploadDate = (timestamp) => {
-    const createdDate = new Date(timestamp * 1000);
-    return `${createdDate.getDate().toString().padStart(2, "0")}${(
-        createdDate.getMonth() + 1
-    )
-        .toString()
-        .padStart(2, "0")}${createdDate.getFullYear()}`;
+const formatUploadDate = (timestamp) => formatDate(timestamp, "DDMMYYYY");
+
+/**
+ * Formats a Unix timestamp with a date pattern
+ *
+ * Supported tokens (local time):
+ * - YYYY: Full year, YY: Two-digit year
+ * - MM: Month (01-12), DD: Day of month (01-31)
+ * - HH: Hours (00-23), mm: Minutes, ss: Seconds
+ *
+ * Any other characters are copied unchanged.
+ *
+ * @param {number} timestamp - Unix timestamp in seconds (not milliseconds)
+ * @param {string} pattern - Date pattern such as "YYYY-MM-DD"
+ * @returns {string} Formatted date string
+ *
+ * @example
+ * formatDate(1700000000, "YYYY-MM-DD"); // => "2023-11-14"
+ */
+const formatDate = (timestamp, pattern) => {
+    const date = new Date(timestamp * 1000);
+    const pad = (value) => value.toString().padStart(2, "0");
+    const tokens = {
+        YYYY: date.getFullYear().toString(),
+        YY: pad(date.getFullYear() % 100),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+    };
+    return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+/**
+ * Parses a calendar date into a Unix timestamp
+ *
+ * Accepts `YYYY-MM-DD` and `YYYYMMDD`, in local time like {@link formatDate}.
+ *
+ * @param {string} value - Date string
+ * @param {boolean} [endOfDay=false] - Return the last second of the day
+ *   instead of the first, for inclusive upper bounds
+ * @returns {number|null} Unix timestamp in seconds, or null if the date is invalid
+ *
+ * @example
+ * parseDate("2024-03-01"); // midnight at the start of 1 March 2024
+ * parseDate("20240301", true); // 23:59:59 on 1 March 2024
+ */
+const parseDate = (value, endOfDay = false) => {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59)
+        : new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return Math.floor(date.getTime() / 1000);
 };
 
 module.exports = {
     formatUploadDate,
+    formatDate,
+    parseDate,
 };
@@ -0,0 +1,102 @@
+/**
+ * Error Types Module
+ *
+ * Defines the typed errors raised by the network layer and the extractors.
+ * Every error carries a `category` and a `retryable` flag so the retry layer,
+ * the processors and the run report can react without parsing messages.
+ *
+ * @module errors
+ */
+
+/**
+ * Error categories
+ * @constant {Object<string, string>}
+ */
+const ERROR_CATEGORIES = Object.freeze({
+    TIMEOUT: "timeout",
+    NETWORK: "network",
+    SERVER: "server",
+    RATE_LIMITED: "rate_limited",
+    NOT_FOUND: "not_found",
+    PRIVATE: "private",
+    REMOVED: "removed",
+    FORBIDDEN: "forbidden",
+    HTTP: "http",
+    EXTRACTION: "extraction",
+    FORMAT_UNAVAILABLE: "format_unavailable",
+    INVALID_URL: "invalid_url",
+    UNKNOWN: "unknown",
+});
+
+/**
+ * Base class for all typed downloader errors
+ *
+ * @extends Error
+ * @property {string} category - One of {@link ERROR_CATEGORIES}
+ * @property {boolean} retryable - Whether repeating the operation may succeed
+ * @property {number|null} statusCode - HTTP status code, if any
+ * @property {string|null} url - URL of the failed request, if any
+ * @property {Error|undefined} cause - Underlying error
+ */
+class DownloadError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [details={}] - Error details
+     * @param {string} [details.category] - Error category
+     * @param {boolean} [details.retryable] - Whether a retry may succeed
+     * @param {number} [details.statusCode] - HTTP status code
+     * @param {string} [details.url] - Request URL
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.category = details.category || ERROR_CATEGORIES.UNKNOWN;
+        this.retryable = Boolean(details.retryable);
+        this.statusCode = details.statusCode ?? null;
+        this.url = details.url ?? null;
+        if (details.cause) this.cause = details.cause;
+    }
+}
+
+/**
+ * Transient failure that may succeed when retried (timeouts, 5xx, 429,
+ * connection resets)
+ *
+ * @extends DownloadError
+ * @property {number|null} retryAfter - Server-requested wait in milliseconds
+ */
+class RetryableError extends DownloadError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [details={}] - Same as {@link DownloadError}, plus:
+     * @param {number} [details.retryAfter] - Wait before retrying, in milliseconds
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * Permanent failure that will not succeed when retried (404, removed or
+ * private content, invalid data)
+ *
+ * @extends DownloadError
+ */
+class FatalError extends DownloadError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [details={}] - Same as {@link DownloadError}
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+    }
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    DownloadError,
+    RetryableError,
+    FatalError,
+};
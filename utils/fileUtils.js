@@ -6,9 +6,33 @@
  *
  * @module fileUtils
  * @requires fs
+ * @requires path
+ * @requires crypto
  */
 
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Ways of handling an output path that is already taken
+ * @constant {string[]}
+ */
+const COLLISION_POLICIES = ["rename", "overwrite", "skip"];
+
+/**
+ * Bytes read at a time when hashing a file
+ * @constant {number}
+ * @private
+ */
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Absolute output paths handed out during this process
+ * @type {Set<string>}
+ * @private
+ */
+const claimedPaths = new Set();
 
 /**
  * Creates a directory if it doesn't exist
@@ -27,6 +51,117 @@ const ensureDirectoryExists = (dirPath) => {
     }
 };
 
+/**
+ * Sums the sizes of the given files
+ *
+ * Files that do not exist (anymore) are counted as zero bytes.
+ *
+ * @param {string[]} filePaths - Paths of the files to measure
+ * @returns {number} Total size in bytes
+ *
+ */
+const getTotalFileSize = (filePaths) =>
+    filePaths.reduce(
+        (total, filePath) =>
+            total + (fs.existsSync(filePath) ? fs.statSync(filePath).size : 0),
+        0
+    );
+
+/**
+ * Computes the SHA-256 hash of a file
+ *
+ * The file is read in chunks, so large videos are never held in memory.
+ *
+ * @param {string} filePath - File to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * hashFile("./tiktok-videos/user_video_01012024_123.mp4"); // "9f86d0..."
+ */
+const hashFile = (filePath) => {
+    const hash = crypto.createHash("sha256");
+    const chunk = Buffer.alloc(HASH_CHUNK_SIZE);
+    const fd = fs.openSync(filePath, "r");
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length)) > 0) {
+            hash.update(chunk.subarray(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest("hex");
+};
+
+/**
+ * Reads the first bytes of a file, e.g. to detect its format
+ *
+ * @param {string} filePath - File to read
+ * @param {number} length - Number of bytes to read
+ * @returns {Buffer} The bytes read, fewer if the file is shorter
+ * @throws {Error} If the file cannot be read
+ *
+ * @example
+ * isMp3(readFileHeader("./sound", 16));
+ */
+const readFileHeader = (filePath, length) => {
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, "r");
+    try {
+        return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+/**
+ * Reserves an output path, resolving collisions according to a policy
+ *
+ * A path collides when the file already exists on disk or was already
+ * handed out to another download during this run.
+ * - "rename": append `_2`, `_3`, ... before the extension until the path is free
+ * - "overwrite": use the path as is
+ * - "skip": keep the existing file; the caller should not download
+ *
+ * @param {string} filePath - Desired output path
+ * @param {string} [policy="rename"] - One of {@link COLLISION_POLICIES}
+ * @returns {Object} Object containing:
+ *   - filePath: Path to write to (or the existing file when skipped)
+ *   - skip: True if the caller should keep the existing file
+ * @throws {Error} If the policy is unknown
+ *
+ */
+const claimOutputPath = (filePath, policy = "rename") => {
+    if (!COLLISION_POLICIES.includes(policy)) {
+        throw new Error(`Unknown collision policy: ${policy}`);
+    }
+
+    const taken = (candidate) =>
+        fs.existsSync(candidate) || claimedPaths.has(path.resolve(candidate));
+
+    let candidate = filePath;
+    if (taken(candidate)) {
+        if (policy === "skip") return { filePath, skip: true };
+
+        if (policy === "rename") {
+            const extension = path.extname(filePath);
+            const stem = filePath.slice(0, filePath.length - extension.length);
+            for (let n = 2; taken(candidate); n++) {
+                candidate = `${stem}_${n}${extension}`;
+            }
+        }
+    }
+
+    claimedPaths.add(path.resolve(candidate));
+    return { filePath: candidate, skip: false };
+};
+
 module.exports = {
+    COLLISION_POLICIES,
+    claimOutputPath,
     ensureDirectoryExists,
+    getTotalFileSize,
+    hashFile,
+    readFileHeader,
 };
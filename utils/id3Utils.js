@@ -0,0 +1,109 @@
+/**
+ * ID3 Utilities Module
+ *
+ * Writes ID3v2.3 tags (title, artist, album, ...) to MP3 data. Any ID3v2 tag
+ * already present at the start of the file is replaced, so tagging the same
+ * file twice does not stack tags.
+ *
+ * @module id3Utils
+ */
+
+/**
+ * ID3v2.3 text frames for each supported tag
+ * @constant {Object<string, string>}
+ * @private
+ */
+const TAG_FRAMES = {
+    title: "TIT2",
+    artist: "TPE1",
+    album: "TALB",
+    date: "TYER",
+};
+
+/**
+ * Checks whether a buffer starts like an MP3 file
+ *
+ * @param {Buffer} buffer - File data
+ * @returns {boolean} True if the data starts with an ID3 tag or an MPEG audio frame
+ */
+const isMp3 = (buffer) =>
+    buffer.length >= 3 &&
+    (buffer.toString("latin1", 0, 3) === "ID3" ||
+        (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0));
+
+/**
+ * Returns the length of the ID3v2 tag at the start of a buffer
+ *
+ * @param {Buffer} buffer - MP3 data
+ * @returns {number} Tag length in bytes, including header and footer, or 0
+ * @private
+ */
+const getTagLength = (buffer) => {
+    if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") {
+        return 0;
+    }
+    // Sizes are "syncsafe": 7 bits per byte
+    const size =
+        (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const footer = buffer[5] & 0x10 ? 10 : 0;
+    return Math.min(10 + size + footer, buffer.length);
+};
+
+/**
+ * Encodes one ID3v2.3 text frame as UTF-16 with a byte order mark
+ *
+ * @param {string} id - Four-character frame ID
+ * @param {string} text - Frame text
+ * @returns {Buffer} Encoded frame
+ * @private
+ */
+const textFrame = (id, text) => {
+    const body = Buffer.concat([
+        Buffer.from([0x01, 0xff, 0xfe]),
+        Buffer.from(String(text), "utf16le"),
+    ]);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 4, "latin1");
+    header.writeUInt32BE(body.length, 4);
+    return Buffer.concat([header, body]);
+};
+
+/**
+ * Writes ID3v2.3 tags to MP3 data
+ *
+ * @param {Buffer} buffer - MP3 data, with or without an existing ID3v2 tag
+ * @param {Object} [tags={}] - Tags to write
+ * @param {string} [tags.title] - Track title
+ * @param {string} [tags.artist] - Track artist
+ * @param {string} [tags.album] - Album name
+ * @param {string} [tags.date] - Release year
+ * @returns {Buffer} MP3 data with the new tag in front
+ *
+ * @example
+ * const tagged = writeId3Tags(fs.readFileSync("sound.mp3"), {
+ *     title: "original sound",
+ *     artist: "someone",
+ * });
+ */
+const writeId3Tags = (buffer, tags = {}) => {
+    const audio = buffer.subarray(getTagLength(buffer));
+    const frames = Object.entries(TAG_FRAMES)
+        .filter(([name]) => tags[name])
+        .map(([name, id]) => textFrame(id, tags[name]));
+    if (frames.length === 0) return Buffer.from(audio);
+
+    const body = Buffer.concat(frames);
+    const header = Buffer.from([
+        0x49, 0x44, 0x33, 0x03, 0x00, 0x00,
+        (body.length >> 21) & 0x7f,
+        (body.length >> 14) & 0x7f,
+        (body.length >> 7) & 0x7f,
+        body.length & 0x7f,
+    ]);
+    return Buffer.concat([header, body, audio]);
+};
+
+module.exports = {
+    isMp3,
+    writeId3Tags,
+};
@@ -0,0 +1,588 @@
+/**
+ * JPEG Utilities Module
+ *
+ * Writes and reads the descriptive tags of JPEG files, in both formats
+ * photo tools look at: an EXIF block (`ImageDescription`, `Artist`,
+ * `DateTime`, `DateTimeOriginal`, `UserComment`) and an XMP packet (Dublin
+ * Core title, creator and description, and `xmp:CreateDate`). Tagging a file
+ * replaces its earlier EXIF and XMP blocks, keeping only the EXIF
+ * orientation so the image is still displayed the right way up; the image
+ * data itself is not touched.
+ *
+ * @module jpegUtils
+ */
+
+/**
+ * Signature that starts the payload of an EXIF APP1 segment
+ * @constant {Buffer}
+ * @private
+ */
+const EXIF_SIGNATURE = Buffer.from("Exif\0\0", "latin1");
+
+/**
+ * Signature that starts the payload of an XMP APP1 segment
+ * @constant {Buffer}
+ * @private
+ */
+const XMP_SIGNATURE = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1");
+
+/**
+ * Largest payload of a JPEG segment, after its 2-byte length
+ * @constant {number}
+ * @private
+ */
+const MAX_SEGMENT_SIZE = 0xffff - 2;
+
+/**
+ * EXIF tags written and read by this module
+ * @constant {Object<string, number>}
+ * @private
+ */
+const EXIF_TAGS = {
+    imageDescription: 0x010e,
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    artist: 0x013b,
+    exifIfd: 0x8769,
+    exifVersion: 0x9000,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    userComment: 0x9286,
+};
+
+/**
+ * TIFF field types and their sizes in bytes
+ * @constant {Object<number, number>}
+ * @private
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 7: 1 };
+
+/**
+ * Checks whether a buffer starts like a JPEG file
+ *
+ * @param {Buffer} buffer - File data
+ * @returns {boolean} True if the data starts with a JPEG start-of-image marker
+ */
+const isJpeg = (buffer) =>
+    buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    buffer[1] === 0xd8 &&
+    buffer[2] === 0xff;
+
+/**
+ * Splits a JPEG file into its header segments and the image data
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Object} `segments` (marker, `start`, `end` and `payload` of every
+ *   segment before the image data) and `dataStart`, the offset of the
+ *   start-of-scan marker
+ * @throws {Error} If the data is not a well-formed JPEG
+ * @private
+ */
+const readSegments = (buffer) => {
+    if (!isJpeg(buffer)) throw new Error("Not a JPEG file");
+
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            throw new Error(`Malformed JPEG segment at offset ${offset}`);
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xda || marker === 0xd9) {
+            return { segments, dataStart: offset };
+        }
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) {
+            throw new Error(`Truncated JPEG segment at offset ${offset}`);
+        }
+        segments.push({
+            marker,
+            start: offset,
+            end,
+            payload: buffer.subarray(offset + 4, end),
+        });
+        offset = end;
+    }
+    throw new Error("JPEG file has no image data");
+};
+
+/**
+ * Checks whether a segment is an APP1 segment with a given signature
+ *
+ * @param {Object} segment - Segment from {@link readSegments}
+ * @param {Buffer} signature - Expected start of the payload
+ * @returns {boolean} True if the segment matches
+ * @private
+ */
+const isApp1 = (segment, signature) =>
+    segment.marker === 0xe1 &&
+    segment.payload.subarray(0, signature.length).equals(signature);
+
+/**
+ * Builds a JPEG segment
+ *
+ * @param {number} marker - Segment marker byte
+ * @param {...Buffer} parts - Payload parts
+ * @returns {Buffer} Encoded segment
+ * @throws {Error} If the payload does not fit a segment
+ * @private
+ */
+const segment = (marker, ...parts) => {
+    const payload = Buffer.concat(parts);
+    if (payload.length > MAX_SEGMENT_SIZE) {
+        throw new Error("JPEG metadata is too large for one segment");
+    }
+    const header = Buffer.alloc(4);
+    header[0] = 0xff;
+    header[1] = marker;
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Formats an ISO 8601 date as an EXIF date in UTC
+ *
+ * @param {string} date - ISO 8601 date
+ * @returns {string|null} Date as "YYYY:MM:DD HH:MM:SS", or null if invalid
+ * @private
+ */
+const toExifDate = (date) => {
+    const time = new Date(date);
+    if (Number.isNaN(time.getTime())) return null;
+    return time
+        .toISOString()
+        .slice(0, 19)
+        .replace(/-/g, ":")
+        .replace("T", " ");
+};
+
+/**
+ * Converts an EXIF date back to ISO 8601
+ *
+ * @param {string} date - Date as "YYYY:MM:DD HH:MM:SS"
+ * @param {string} [offset="Z"] - UTC offset such as "+00:00"
+ * @returns {string|undefined} ISO 8601 date, or undefined if malformed
+ * @private
+ */
+const fromExifDate = (date, offset = "Z") => {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(
+        date || ""
+    );
+    if (!match) return undefined;
+    const zone = offset === "+00:00" ? "Z" : offset;
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}${zone}`;
+};
+
+/**
+ * Encodes an ASCII field value; text is stored as UTF-8, which EXIF readers
+ * commonly accept
+ *
+ * @param {number} tag - EXIF tag
+ * @param {string} text - Field text
+ * @returns {Object} IFD entry
+ * @private
+ */
+const asciiEntry = (tag, text) => {
+    const data = Buffer.concat([Buffer.from(String(text)), Buffer.alloc(1)]);
+    return { tag, type: 2, count: data.length, data };
+};
+
+/**
+ * Encodes a little-endian IFD with its out-of-line values after it
+ *
+ * @param {Object[]} entries - Entries with `tag`, `type`, `count` and `data`
+ * @param {number} offset - Offset of the IFD from the start of the TIFF header
+ * @returns {Buffer} Encoded IFD
+ * @private
+ */
+const encodeIfd = (entries, offset) => {
+    const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+    const tableSize = 2 + sorted.length * 12 + 4;
+    const table = Buffer.alloc(tableSize);
+    const values = [];
+    let valueOffset = offset + tableSize;
+
+    table.writeUInt16LE(sorted.length, 0);
+    sorted.forEach((entry, i) => {
+        const position = 2 + i * 12;
+        table.writeUInt16LE(entry.tag, position);
+        table.writeUInt16LE(entry.type, position + 2);
+        table.writeUInt32LE(entry.count, position + 4);
+        if (entry.data.length <= 4) {
+            entry.data.copy(table, position + 8);
+        } else {
+            // Values start on word boundaries
+            const data =
+                entry.data.length % 2
+                    ? Buffer.concat([entry.data, Buffer.alloc(1)])
+                    : entry.data;
+            table.writeUInt32LE(valueOffset, position + 8);
+            values.push(data);
+            valueOffset += data.length;
+        }
+    });
+    return Buffer.concat([table, ...values]);
+};
+
+/**
+ * Builds the EXIF block of the tags
+ *
+ * @param {Object} tags - Tag values: title, artist, date, comment
+ * @param {number|undefined} orientation - Orientation to keep, if any
+ * @returns {Buffer} TIFF structure for an EXIF APP1 segment
+ * @private
+ */
+const buildExif = (tags, orientation) => {
+    const exifDate = tags.date ? toExifDate(tags.date) : null;
+    const short = (value) => {
+        const data = Buffer.alloc(2);
+        data.writeUInt16LE(value);
+        return data;
+    };
+
+    const exifEntries = [
+        {
+            tag: EXIF_TAGS.exifVersion,
+            type: 7,
+            count: 4,
+            data: Buffer.from("0232", "latin1"),
+        },
+    ];
+    if (exifDate) {
+        exifEntries.push(asciiEntry(EXIF_TAGS.dateTimeOriginal, exifDate));
+        exifEntries.push(asciiEntry(EXIF_TAGS.offsetTimeOriginal, "+00:00"));
+    }
+    if (tags.comment) {
+        const data = Buffer.concat([
+            Buffer.from("UNICODE\0", "latin1"),
+            Buffer.from(String(tags.comment), "utf16le"),
+        ]);
+        exifEntries.push({
+            tag: EXIF_TAGS.userComment,
+            type: 7,
+            count: data.length,
+            data,
+        });
+    }
+
+    const entries = [];
+    if (tags.title) {
+        entries.push(asciiEntry(EXIF_TAGS.imageDescription, tags.title));
+    }
+    if (orientation) {
+        entries.push({
+            tag: EXIF_TAGS.orientation,
+            type: 3,
+            count: 1,
+            data: short(orientation),
+        });
+    }
+    if (exifDate) entries.push(asciiEntry(EXIF_TAGS.dateTime, exifDate));
+    if (tags.artist) entries.push(asciiEntry(EXIF_TAGS.artist, tags.artist));
+
+    // The IFD0 size does not depend on the pointer value, so the Exif IFD
+    // offset can be measured with a placeholder
+    const pointer = { tag: EXIF_TAGS.exifIfd, type: 4, count: 1 };
+    const header = Buffer.from([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0]);
+    const ifd0Size = encodeIfd(
+        [...entries, { ...pointer, data: Buffer.alloc(4) }],
+        8
+    ).length;
+    const exifOffset = Buffer.alloc(4);
+    exifOffset.writeUInt32LE(8 + ifd0Size);
+
+    return Buffer.concat([
+        header,
+        encodeIfd([...entries, { ...pointer, data: exifOffset }], 8),
+        encodeIfd(exifEntries, 8 + ifd0Size),
+    ]);
+};
+
+/**
+ * Reads the entries of an IFD
+ *
+ * @param {Buffer} tiff - TIFF structure of an EXIF segment
+ * @param {number} offset - Offset of the IFD
+ * @param {boolean} little - Whether the TIFF is little-endian
+ * @returns {Map<number, Buffer|number>} Values keyed by tag: numbers for
+ *   SHORT and LONG fields, raw bytes for the others
+ * @private
+ */
+const readIfd = (tiff, offset, little) => {
+    const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const values = new Map();
+    if (offset + 2 > tiff.length) return values;
+
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+        const position = offset + 2 + i * 12;
+        if (position + 12 > tiff.length) break;
+        const type = u16(position + 2);
+        const size = (TYPE_SIZES[type] || 1) * u32(position + 4);
+        const start = size <= 4 ? position + 8 : u32(position + 8);
+        if (start + size > tiff.length) continue;
+
+        const tag = u16(position);
+        if (type === 3) values.set(tag, u16(start));
+        else if (type === 4) values.set(tag, u32(start));
+        else values.set(tag, tiff.subarray(start, start + size));
+    }
+    return values;
+};
+
+/**
+ * Decodes an EXIF `UserComment` value
+ *
+ * @param {Buffer} data - Raw value: an 8-byte character code and the text
+ * @param {boolean} little - Whether the TIFF is little-endian
+ * @returns {string} Comment text
+ * @private
+ */
+const decodeUserComment = (data, little) => {
+    const code = data.toString("latin1", 0, 8);
+    const text = data.subarray(8);
+    if (code === "UNICODE\0") {
+        return (little ? text : Buffer.from(text).swap16()).toString("utf16le");
+    }
+    return text.toString("utf8");
+};
+
+/**
+ * Reads the tags of an EXIF block
+ *
+ * @param {Buffer} tiff - TIFF structure of an EXIF segment
+ * @returns {Object} Tag values: title, artist, date, comment, orientation
+ * @private
+ */
+const readExif = (tiff) => {
+    const order = tiff.toString("latin1", 0, 2);
+    if (tiff.length < 8 || (order !== "II" && order !== "MM")) return {};
+    const little = order === "II";
+    const ifd0 = readIfd(
+        tiff,
+        little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4),
+        little
+    );
+    const exif = ifd0.has(EXIF_TAGS.exifIfd)
+        ? readIfd(tiff, ifd0.get(EXIF_TAGS.exifIfd), little)
+        : new Map();
+
+    const text = (values, tag) =>
+        Buffer.isBuffer(values.get(tag))
+            ? values.get(tag).toString("utf8").replace(/\0+$/, "")
+            : undefined;
+    const comment = exif.get(EXIF_TAGS.userComment);
+    return {
+        title: text(ifd0, EXIF_TAGS.imageDescription),
+        artist: text(ifd0, EXIF_TAGS.artist),
+        date: fromExifDate(
+            text(exif, EXIF_TAGS.dateTimeOriginal) ||
+                text(ifd0, EXIF_TAGS.dateTime),
+            text(exif, EXIF_TAGS.offsetTimeOriginal)
+        ),
+        comment: Buffer.isBuffer(comment)
+            ? decodeUserComment(comment, little)
+            : undefined,
+        orientation: ifd0.get(EXIF_TAGS.orientation),
+    };
+};
+
+/**
+ * Escapes text for XML content
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+const escapeXml = (text) =>
+    String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+
+/**
+ * Reverses {@link escapeXml}, plus the other predefined XML entities
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ * @private
+ */
+const unescapeXml = (text) =>
+    text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+
+/**
+ * Builds the XMP packet of the tags
+ *
+ * @param {Object} tags - Tag values: title, artist, date, comment
+ * @returns {Buffer} UTF-8 XMP packet
+ * @private
+ */
+const buildXmp = (tags) => {
+    const properties = [];
+    if (tags.title) {
+        properties.push(
+            `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(
+                tags.title
+            )}</rdf:li></rdf:Alt></dc:title>`
+        );
+    }
+    if (tags.artist) {
+        properties.push(
+            `<dc:creator><rdf:Seq><rdf:li>${escapeXml(
+                tags.artist
+            )}</rdf:li></rdf:Seq></dc:creator>`
+        );
+    }
+    if (tags.comment) {
+        properties.push(
+            `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(
+                tags.comment
+            )}</rdf:li></rdf:Alt></dc:description>`
+        );
+    }
+    if (tags.date) {
+        properties.push(
+            `<xmp:CreateDate>${escapeXml(tags.date)}</xmp:CreateDate>`
+        );
+    }
+
+    return Buffer.from(
+        [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '<rdf:Description rdf:about=""',
+            ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+            ' xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+            ...properties,
+            "</rdf:Description>",
+            "</rdf:RDF>",
+            "</x:xmpmeta>",
+            '<?xpacket end="w"?>',
+        ].join("\n")
+    );
+};
+
+/**
+ * Reads the tags of an XMP packet
+ *
+ * @param {string} xmp - XMP packet
+ * @returns {Object} Tag values: title, artist, date, comment
+ * @private
+ */
+const readXmp = (xmp) => {
+    const property = (name) => {
+        const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xmp);
+        if (!match) return undefined;
+        // Alt and Seq containers hold the value in their first item
+        const item = /<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/.exec(match[1]);
+        return unescapeXml(item ? item[1] : match[1]);
+    };
+    return {
+        title: property("dc:title"),
+        artist: property("dc:creator"),
+        date: property("xmp:CreateDate"),
+        comment: property("dc:description"),
+    };
+};
+
+/**
+ * Writes EXIF and XMP tags into a JPEG file
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @param {Object} tags - Tags to embed
+ * @param {string} [tags.title] - Image title (post caption)
+ * @param {string} [tags.artist] - Creator name
+ * @param {string} [tags.date] - Creation date, ISO 8601
+ * @param {string} [tags.comment] - Free-form comment
+ * @returns {Buffer} Tagged JPEG data
+ * @throws {Error} If the data is not a well-formed JPEG, or the tags do not
+ *   fit a JPEG segment
+ *
+ * @example
+ * const tagged = writeJpegTags(fs.readFileSync("image.jpg"), {
+ *     title: "caption",
+ *     artist: "someone",
+ *     date: "2024-01-01T12:00:00Z",
+ * });
+ */
+const writeJpegTags = (buffer, tags) => {
+    const { segments, dataStart } = readSegments(buffer);
+    const oldExif = segments.find((entry) => isApp1(entry, EXIF_SIGNATURE));
+    const { orientation } = oldExif
+        ? readExif(oldExif.payload.subarray(EXIF_SIGNATURE.length))
+        : {};
+
+    const kept = segments.filter(
+        (entry) =>
+            !isApp1(entry, EXIF_SIGNATURE) && !isApp1(entry, XMP_SIGNATURE)
+    );
+    // JFIF requires its APP0 segment to come first
+    const firstOther = kept.findIndex((entry) => entry.marker !== 0xe0);
+    const leading = firstOther === -1 ? kept.length : firstOther;
+    const raw = (entry) => buffer.subarray(entry.start, entry.end);
+
+    return Buffer.concat([
+        buffer.subarray(0, 2),
+        ...kept.slice(0, leading).map(raw),
+        segment(0xe1, EXIF_SIGNATURE, buildExif(tags, orientation)),
+        segment(0xe1, XMP_SIGNATURE, buildXmp(tags)),
+        ...kept.slice(leading).map(raw),
+        buffer.subarray(dataStart),
+    ]);
+};
+
+/**
+ * Reads the tags of a JPEG file
+ *
+ * XMP values win over EXIF values, since XMP keeps any text exactly.
+ *
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Object} Tag values found: title, artist, date, comment; empty if
+ *   the file has no tags
+ * @throws {Error} If the data is not a well-formed JPEG
+ *
+ * @example
+ * readJpegTags(fs.readFileSync("image.jpg"));
+ * // => { title: "caption", artist: "someone", date: "2024-01-01T12:00:00Z" }
+ */
+const readJpegTags = (buffer) => {
+    const { segments } = readSegments(buffer);
+    const exifSegment = segments.find((entry) =>
+        isApp1(entry, EXIF_SIGNATURE)
+    );
+    const xmpSegment = segments.find((entry) => isApp1(entry, XMP_SIGNATURE));
+
+    const { orientation, ...exif } = exifSegment
+        ? readExif(exifSegment.payload.subarray(EXIF_SIGNATURE.length))
+        : {};
+    const xmp = xmpSegment
+        ? readXmp(
+              xmpSegment.payload.toString("utf8", XMP_SIGNATURE.length)
+          )
+        : {};
+
+    const tags = {};
+    for (const name of ["title", "artist", "date", "comment"]) {
+        const value = xmp[name] ?? exif[name];
+        if (value) tags[name] = value;
+    }
+    return tags;
+};
+
+module.exports = {
+    isJpeg,
+    writeJpegTags,
+    readJpegTags,
+};
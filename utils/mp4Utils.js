@@ -0,0 +1,870 @@
+/**
+ * MP4 Utilities Module
+ *
+ * Minimal ISO base media (MP4) reader and writer used to pull the audio
+ * track out of downloaded videos without external tools. The audio samples
+ * are copied as-is into a new single-track `.m4a` file, together with
+ * iTunes-style title, artist and album tags. The same tags can be written
+ * into, and read back from, existing MP4 files.
+ *
+ * Tags can also be written to and read from files on disk without loading
+ * them: only the box headers and the `moov` box are read, and the media
+ * data is copied in fixed-size chunks.
+ *
+ * Only progressive MP4 files (one `moov` box with a complete sample table)
+ * are supported, which is what TikTok serves; fragmented files are rejected.
+ *
+ * @module mp4Utils
+ * @requires fs
+ */
+
+const fs = require("fs");
+
+/**
+ * Identity transformation matrix used in movie and track headers
+ * @constant {number[]}
+ * @private
+ */
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * iTunes metadata atoms for each supported tag
+ * @constant {Object<string, string>}
+ * @private
+ */
+const TAG_ATOMS = {
+    title: "©nam",
+    artist: "©ART",
+    album: "©alb",
+    comment: "©cmt",
+    date: "©day",
+};
+
+/**
+ * Size of the buffer used to copy media data between files
+ * @constant {number}
+ * @private
+ */
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Encodes an unsigned 32-bit big-endian integer
+ *
+ * @param {number} value - Integer to encode
+ * @returns {Buffer} 4-byte buffer
+ * @private
+ */
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+};
+
+/**
+ * Encodes an unsigned 16-bit big-endian integer
+ *
+ * @param {number} value - Integer to encode
+ * @returns {Buffer} 2-byte buffer
+ * @private
+ */
+const uint16 = (value) => {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+};
+
+/**
+ * Builds a box from its type and payload parts
+ *
+ * @param {string} type - Four-character box type
+ * @param {...Buffer} parts - Payload parts
+ * @returns {Buffer} Encoded box
+ */
+const box = (type, ...parts) => {
+    const payload = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length);
+    header.write(type, 4, 4, "latin1");
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Builds a full box, which starts with a version byte and 24-bit flags
+ *
+ * @param {string} type - Four-character box type
+ * @param {number} version - Box version
+ * @param {number} flags - Box flags
+ * @param {...Buffer} parts - Payload parts
+ * @returns {Buffer} Encoded box
+ */
+const fullBox = (type, version, flags, ...parts) =>
+    box(type, uint32(version * 0x1000000 + flags), ...parts);
+
+/**
+ * Parses a box header
+ *
+ * @param {Buffer} header - Data starting at the box: 8 bytes, or 16 for a
+ *   box with a 64-bit size
+ * @param {number} offset - Offset of the box
+ * @param {number} end - Offset after the enclosing box or file
+ * @returns {Object} Box with `type`, `start`, `dataStart` and `end` offsets
+ * @throws {Error} If the box size is invalid
+ * @private
+ */
+const parseBoxHeader = (header, offset, end) => {
+    let size = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+    let headerSize = 8;
+
+    if (size === 1 && header.length >= 16) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+        throw new Error(`Malformed MP4 box "${type}" at offset ${offset}`);
+    }
+    return {
+        type,
+        start: offset,
+        dataStart: offset + headerSize,
+        end: offset + size,
+    };
+};
+
+/**
+ * Lists the boxes stored between two offsets of a buffer
+ *
+ * @param {Buffer} buffer - MP4 data
+ * @param {number} [start=0] - Offset of the first box
+ * @param {number} [end=buffer.length] - Offset after the last box
+ * @returns {Object[]} Boxes with `type`, `start`, `dataStart` and `end` offsets
+ * @throws {Error} If a box size is invalid
+ */
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        const entry = parseBoxHeader(
+            buffer.subarray(offset, Math.min(offset + 16, end)),
+            offset,
+            end
+        );
+        boxes.push(entry);
+        offset = entry.end;
+    }
+    return boxes;
+};
+
+/**
+ * Reads part of a file
+ *
+ * @param {number} fd - Open file descriptor
+ * @param {number} position - Offset to read from
+ * @param {number} length - Number of bytes to read
+ * @returns {Buffer} The bytes read, fewer at the end of the file
+ * @private
+ */
+const readAt = (fd, position, length) => {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+};
+
+/**
+ * Lists the top-level boxes of an MP4 file, reading only their headers
+ *
+ * @param {number} fd - Open file descriptor
+ * @returns {Object[]} Boxes with `type`, `start`, `dataStart` and `end` offsets
+ * @throws {Error} If a box size is invalid
+ * @private
+ */
+const readFileBoxes = (fd) => {
+    const { size } = fs.fstatSync(fd);
+    const boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= size) {
+        const entry = parseBoxHeader(readAt(fd, offset, 16), offset, size);
+        boxes.push(entry);
+        offset = entry.end;
+    }
+    return boxes;
+};
+
+/**
+ * Copies part of a file to the current position of another file
+ *
+ * @param {number} source - File descriptor to read from
+ * @param {number} target - File descriptor to write to
+ * @param {number} start - First offset to copy
+ * @param {number} end - Offset after the last byte to copy
+ * @throws {Error} If the source ends early
+ * @private
+ */
+const copyRange = (source, target, start, end) => {
+    const buffer = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, end - start));
+    for (let offset = start; offset < end; ) {
+        const length = Math.min(buffer.length, end - offset);
+        const read = fs.readSync(source, buffer, 0, length, offset);
+        if (read === 0) throw new Error("MP4 file ended unexpectedly");
+        fs.writeSync(target, buffer, 0, read);
+        offset += read;
+    }
+};
+
+/**
+ * Follows a path of child box types from a parent box
+ *
+ * @param {Buffer} buffer - MP4 data
+ * @param {Object} parent - Box to start from
+ * @param {string[]} types - Child box types, outermost first
+ * @returns {Object|undefined} The box at the end of the path
+ * @private
+ */
+const findBox = (buffer, parent, types) =>
+    types.reduce(
+        (current, type) =>
+            current &&
+            readBoxes(buffer, current.dataStart, current.end).find(
+                (child) => child.type === type
+            ),
+        parent
+    );
+
+/**
+ * Checks whether a buffer starts like an MP4/M4A file
+ *
+ * @param {Buffer} buffer - File data
+ * @returns {boolean} True if the second box header is an `ftyp` box
+ */
+const isMp4 = (buffer) =>
+    buffer.length >= 12 && buffer.toString("latin1", 4, 8) === "ftyp";
+
+/**
+ * Picks the progressive movie box out of the top-level boxes of a file
+ *
+ * @param {Object[]} top - Top-level boxes
+ * @returns {Object} The `moov` box entry
+ * @throws {Error} If the file is fragmented or has no `moov` box
+ * @private
+ */
+const pickMovieBox = (top) => {
+    if (top.some((entry) => entry.type === "moof")) {
+        throw new Error("Fragmented MP4 files are not supported");
+    }
+    const moov = top.find((entry) => entry.type === "moov");
+    if (!moov) {
+        throw new Error("MP4 file has no movie header (moov)");
+    }
+    return moov;
+};
+
+/**
+ * Finds the progressive movie box of an MP4 file
+ *
+ * @param {Buffer} buffer - MP4 data
+ * @returns {Object} The `moov` box entry, from {@link readBoxes}
+ * @throws {Error} If the file is fragmented or has no `moov` box
+ * @private
+ */
+const findMovieBox = (buffer) => pickMovieBox(readBoxes(buffer));
+
+/**
+ * Reads the progressive movie box of an MP4 file on disk
+ *
+ * @param {number} fd - Open file descriptor
+ * @returns {Object} `moov`, the box entry with file offsets, and `data`,
+ *   the box itself
+ * @throws {Error} If the file is fragmented, malformed or has no `moov` box
+ * @private
+ */
+const readMovieBox = (fd) => {
+    const moov = pickMovieBox(readFileBoxes(fd));
+    return { moov, data: readAt(fd, moov.start, moov.end - moov.start) };
+};
+
+/**
+ * Reads the audio track of an MP4 file from its movie box
+ *
+ * @param {Buffer} buffer - The `moov` box of the file
+ * @param {number} fileSize - Size of the whole file, which the samples must
+ *   lie within
+ * @returns {Object} Track containing the raw `mdhd`, `stsd`, `stts`, `stsc`
+ *   and `stsz` boxes, its `timescale` and `duration`, and the `chunks`
+ *   (file offset and size of every chunk of samples)
+ * @throws {Error} If the box is malformed or has no audio track
+ * @private
+ */
+const readAudioTrack = (buffer, fileSize) => {
+    const [moov] = readBoxes(buffer);
+
+    const trak = readBoxes(buffer, moov.dataStart, moov.end)
+        .filter((entry) => entry.type === "trak")
+        .find((entry) => {
+            const hdlr = findBox(buffer, entry, ["mdia", "hdlr"]);
+            const handler =
+                hdlr &&
+                buffer.toString(
+                    "latin1",
+                    hdlr.dataStart + 8,
+                    hdlr.dataStart + 12
+                );
+            return handler === "soun";
+        });
+    if (!trak) {
+        throw new Error("MP4 file has no audio track");
+    }
+
+    const mdhd = findBox(buffer, trak, ["mdia", "mdhd"]);
+    const stbl = findBox(buffer, trak, ["mdia", "minf", "stbl"]);
+    const tables = Object.fromEntries(
+        readBoxes(buffer, stbl.dataStart, stbl.end).map((entry) => [
+            entry.type,
+            entry,
+        ])
+    );
+    for (const type of ["stsd", "stts", "stsc", "stsz"]) {
+        if (!tables[type]) throw new Error(`Audio track is missing "${type}"`);
+    }
+    const chunkTable = tables.stco || tables.co64;
+    if (!chunkTable) throw new Error('Audio track is missing "stco"');
+
+    // Chunk offsets
+    const chunkCount = buffer.readUInt32BE(chunkTable.dataStart + 4);
+    const offsets = [];
+    for (let i = 0; i < chunkCount; i++) {
+        const position = chunkTable.dataStart + 8;
+        offsets.push(
+            chunkTable.type === "co64"
+                ? Number(buffer.readBigUInt64BE(position + i * 8))
+                : buffer.readUInt32BE(position + i * 4)
+        );
+    }
+
+    // Sample sizes
+    const stsz = tables.stsz.dataStart;
+    const uniformSize = buffer.readUInt32BE(stsz + 4);
+    const sampleCount = buffer.readUInt32BE(stsz + 8);
+    const sampleSize = (index) =>
+        uniformSize || buffer.readUInt32BE(stsz + 12 + index * 4);
+
+    // Samples per chunk, as runs starting at a 1-based chunk number
+    const stsc = tables.stsc.dataStart;
+    const runs = [];
+    for (let i = 0; i < buffer.readUInt32BE(stsc + 4); i++) {
+        runs.push({
+            firstChunk: buffer.readUInt32BE(stsc + 8 + i * 12),
+            samplesPerChunk: buffer.readUInt32BE(stsc + 12 + i * 12),
+        });
+    }
+
+    const chunks = [];
+    let sample = 0;
+    let run = 0;
+    for (let chunk = 0; chunk < chunkCount && sample < sampleCount; chunk++) {
+        while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk + 1) {
+            run++;
+        }
+        let size = 0;
+        const samples = Math.min(
+            runs[run].samplesPerChunk,
+            sampleCount - sample
+        );
+        for (let i = 0; i < samples; i++) size += sampleSize(sample + i);
+        sample += samples;
+
+        if (offsets[chunk] + size > fileSize) {
+            throw new Error("Audio sample data lies outside the file");
+        }
+        chunks.push({ offset: offsets[chunk], size });
+    }
+
+    const version = buffer[mdhd.dataStart];
+    const raw = (entry) => buffer.subarray(entry.start, entry.end);
+    return {
+        mdhd: raw(mdhd),
+        timescale: buffer.readUInt32BE(
+            mdhd.dataStart + (version === 1 ? 20 : 12)
+        ),
+        duration:
+            version === 1
+                ? Number(buffer.readBigUInt64BE(mdhd.dataStart + 24))
+                : buffer.readUInt32BE(mdhd.dataStart + 16),
+        stsd: raw(tables.stsd),
+        stts: raw(tables.stts),
+        stsc: raw(tables.stsc),
+        stsz: raw(tables.stsz),
+        chunks,
+    };
+};
+
+/**
+ * Builds the `udta` box holding iTunes-style tags
+ *
+ * @param {Object} tags - Tag values keyed by name (see {@link TAG_ATOMS})
+ * @returns {Buffer} Encoded `udta` box, or an empty buffer without tags
+ * @private
+ */
+const buildTagBox = (tags) => {
+    const items = Object.entries(TAG_ATOMS)
+        .filter(([name]) => tags[name])
+        .map(([name, atom]) =>
+            box(
+                atom,
+                box(
+                    "data",
+                    uint32(1),
+                    uint32(0),
+                    Buffer.from(String(tags[name]))
+                )
+            )
+        );
+    if (items.length === 0) return Buffer.alloc(0);
+
+    const handler = fullBox(
+        "hdlr",
+        0,
+        0,
+        uint32(0),
+        Buffer.from("mdirappl", "latin1"),
+        Buffer.alloc(9)
+    );
+    return box("udta", fullBox("meta", 0, 0, handler, box("ilst", ...items)));
+};
+
+/**
+ * Builds the `moov` box of a single-track audio file
+ *
+ * @param {Object} track - Audio track from {@link readAudioTrack}
+ * @param {number[]} chunkOffsets - Chunk offsets in the new file
+ * @param {Object} tags - Tag values
+ * @returns {Buffer} Encoded `moov` box
+ * @private
+ */
+const buildMovieBox = (track, chunkOffsets, tags) => {
+    const duration = Math.min(track.duration, 0xffffffff);
+    const matrix = Buffer.concat(IDENTITY_MATRIX.map(uint32));
+
+    const mvhd = fullBox(
+        "mvhd",
+        0,
+        0,
+        uint32(0),
+        uint32(0),
+        uint32(track.timescale),
+        uint32(duration),
+        uint32(0x00010000),
+        uint16(0x0100),
+        Buffer.alloc(10),
+        matrix,
+        Buffer.alloc(24),
+        uint32(2)
+    );
+    const tkhd = fullBox(
+        "tkhd",
+        0,
+        7,
+        uint32(0),
+        uint32(0),
+        uint32(1),
+        uint32(0),
+        uint32(duration),
+        Buffer.alloc(8),
+        uint16(0),
+        uint16(0),
+        uint16(0x0100),
+        uint16(0),
+        matrix,
+        uint32(0),
+        uint32(0)
+    );
+    const hdlr = fullBox(
+        "hdlr",
+        0,
+        0,
+        uint32(0),
+        Buffer.from("soun", "latin1"),
+        Buffer.alloc(12),
+        Buffer.from("SoundHandler\0", "latin1")
+    );
+    const dinf = box(
+        "dinf",
+        fullBox("dref", 0, 0, uint32(1), fullBox("url ", 0, 1))
+    );
+    const stco = fullBox(
+        "stco",
+        0,
+        0,
+        uint32(chunkOffsets.length),
+        ...chunkOffsets.map(uint32)
+    );
+    const stbl = box(
+        "stbl",
+        track.stsd,
+        track.stts,
+        track.stsc,
+        track.stsz,
+        stco
+    );
+    const minf = box(
+        "minf",
+        fullBox("smhd", 0, 0, uint16(0), uint16(0)),
+        dinf,
+        stbl
+    );
+
+    return box(
+        "moov",
+        mvhd,
+        box("trak", tkhd, box("mdia", track.mdhd, hdlr, minf)),
+        buildTagBox(tags)
+    );
+};
+
+/**
+ * Shifts the chunk offsets of every track in a `moov` box
+ *
+ * Needed when the movie box grows or shrinks in front of the media data.
+ *
+ * @param {Buffer} moov - Encoded `moov` box, patched in place
+ * @param {number} from - Offsets at or above this value are shifted
+ * @param {number} delta - Number of bytes to add to each shifted offset
+ * @throws {Error} If a 32-bit offset would overflow
+ * @private
+ */
+const shiftChunkOffsets = (moov, from, delta) => {
+    const [root] = readBoxes(moov);
+    for (const trak of readBoxes(moov, root.dataStart, root.end)) {
+        if (trak.type !== "trak") continue;
+        const stbl = findBox(moov, trak, ["mdia", "minf", "stbl"]);
+        if (!stbl) continue;
+
+        for (const table of readBoxes(moov, stbl.dataStart, stbl.end)) {
+            if (table.type !== "stco" && table.type !== "co64") continue;
+            const wide = table.type === "co64";
+            const count = moov.readUInt32BE(table.dataStart + 4);
+            for (let i = 0; i < count; i++) {
+                const position = table.dataStart + 8 + i * (wide ? 8 : 4);
+                const offset = wide
+                    ? Number(moov.readBigUInt64BE(position))
+                    : moov.readUInt32BE(position);
+                if (offset < from) continue;
+                if (wide) {
+                    moov.writeBigUInt64BE(BigInt(offset + delta), position);
+                } else if (offset + delta > 0xffffffff) {
+                    throw new Error("MP4 chunk offsets overflow after tagging");
+                } else {
+                    moov.writeUInt32BE(offset + delta, position);
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Rebuilds a movie box with new tags
+ *
+ * The `meta` box of `udta` is replaced, so earlier tags are dropped; other
+ * user data is kept. Chunk offsets past the movie box are shifted by the
+ * change in its size.
+ *
+ * @param {Buffer} data - The `moov` box
+ * @param {number} end - Offset after the `moov` box in its file
+ * @param {Object} tags - Tags to embed
+ * @returns {Buffer} The new `moov` box
+ * @throws {Error} If the box is malformed or an offset would overflow
+ * @private
+ */
+const retagMovieBox = (data, end, tags) => {
+    const [moov] = readBoxes(data);
+    const children = readBoxes(data, moov.dataStart, moov.end);
+    const raw = (entry) => data.subarray(entry.start, entry.end);
+
+    // The new udta keeps any other user data and replaces only the tags
+    const oldUdta = children.find((child) => child.type === "udta");
+    const kept = oldUdta
+        ? readBoxes(data, oldUdta.dataStart, oldUdta.end)
+              .filter((child) => child.type !== "meta")
+              .map(raw)
+        : [];
+    const tagBox = buildTagBox(tags);
+    const tagMeta = tagBox.length > 0 ? tagBox.subarray(8) : Buffer.alloc(0);
+    const udta =
+        kept.length > 0 || tagMeta.length > 0
+            ? box("udta", ...kept, tagMeta)
+            : Buffer.alloc(0);
+
+    const newMoov = box(
+        "moov",
+        ...children.filter((child) => child.type !== "udta").map(raw),
+        udta
+    );
+    const delta = newMoov.length - data.length;
+    if (delta !== 0) shiftChunkOffsets(newMoov, end, delta);
+    return newMoov;
+};
+
+/**
+ * Writes iTunes-style tags into an MP4 file
+ *
+ * The `meta` box of `moov/udta` is replaced, so earlier tags are dropped;
+ * other user data is kept. The media data is not touched, but when the
+ * movie box sits in front of it the chunk offsets are shifted to match
+ * the new movie box size.
+ *
+ * @param {Buffer} buffer - MP4 data
+ * @param {Object} tags - Tags to embed: title, artist, album, comment, date
+ * @returns {Buffer} Tagged MP4 data
+ * @throws {Error} If the file is fragmented or malformed
+ *
+ * @example
+ * const tagged = writeMp4Tags(fs.readFileSync("video.mp4"), {
+ *     title: "caption",
+ *     artist: "someone",
+ * });
+ */
+const writeMp4Tags = (buffer, tags) => {
+    const moov = findMovieBox(buffer);
+    return Buffer.concat([
+        buffer.subarray(0, moov.start),
+        retagMovieBox(buffer.subarray(moov.start, moov.end), moov.end, tags),
+        buffer.subarray(moov.end),
+    ]);
+};
+
+/**
+ * Writes a tagged copy of an MP4 file
+ *
+ * Same as {@link writeMp4Tags}, but only the movie box is held in memory:
+ * the rest of the file, including the media data, is copied in chunks.
+ *
+ * @param {string} sourcePath - MP4 file to read
+ * @param {string} targetPath - Path the tagged copy is written to
+ * @param {Object} tags - Tags to embed: title, artist, album, comment, date
+ * @throws {Error} If the file is fragmented or malformed, or cannot be read
+ *   or written
+ *
+ * @example
+ * writeMp4FileTags("video.mp4", "video.mp4.tagging", { title: "caption" });
+ */
+const writeMp4FileTags = (sourcePath, targetPath, tags) => {
+    const source = fs.openSync(sourcePath, "r");
+    try {
+        const { moov, data } = readMovieBox(source);
+        const newMoov = retagMovieBox(data, moov.end, tags);
+        const target = fs.openSync(targetPath, "w");
+        try {
+            copyRange(source, target, 0, moov.start);
+            fs.writeSync(target, newMoov);
+            copyRange(source, target, moov.end, fs.fstatSync(source).size);
+        } finally {
+            fs.closeSync(target);
+        }
+    } finally {
+        fs.closeSync(source);
+    }
+};
+
+/**
+ * Reads the iTunes-style tags of an MP4 or M4A file
+ *
+ * @param {Buffer} buffer - MP4 data
+ * @returns {Object} Tag values keyed by name (see {@link TAG_ATOMS}); empty
+ *   if the file has no tags
+ * @throws {Error} If the file is fragmented or malformed
+ *
+ * @example
+ * readMp4Tags(fs.readFileSync("video.mp4"));
+ * // => { title: "caption", artist: "someone", date: "2024-01-01T12:00:00Z" }
+ */
+const readMp4Tags = (buffer) => {
+    const moov = findMovieBox(buffer);
+    const meta = findBox(buffer, moov, ["udta", "meta"]);
+    // meta is a full box: its children follow the version and flags
+    const ilst =
+        meta &&
+        readBoxes(buffer, meta.dataStart + 4, meta.end).find(
+            (child) => child.type === "ilst"
+        );
+    if (!ilst) return {};
+
+    const names = Object.fromEntries(
+        Object.entries(TAG_ATOMS).map(([name, atom]) => [atom, name])
+    );
+    const tags = {};
+    for (const item of readBoxes(buffer, ilst.dataStart, ilst.end)) {
+        const name = names[item.type];
+        const data = readBoxes(buffer, item.dataStart, item.end).find(
+            (child) => child.type === "data"
+        );
+        if (name && data) {
+            tags[name] = buffer.toString("utf8", data.dataStart + 8, data.end);
+        }
+    }
+    return tags;
+};
+
+/**
+ * Builds the start of an M4A file, up to the header of its media data
+ *
+ * The audio chunks follow in track order, copied as they are.
+ *
+ * @param {Object} track - Audio track from {@link readAudioTrack}
+ * @param {Object} tags - Tags to embed
+ * @returns {Buffer} The `ftyp` and `moov` boxes and the `mdat` box header
+ * @throws {Error} If the audio track does not fit a 4 GB file
+ * @private
+ */
+const buildM4aHeader = (track, tags) => {
+    const ftyp = box(
+        "ftyp",
+        Buffer.from("M4A ", "latin1"),
+        uint32(0),
+        Buffer.from("M4A mp42isom", "latin1")
+    );
+
+    const dataSize = track.chunks.reduce(
+        (total, chunk) => total + chunk.size,
+        0
+    );
+
+    // The movie box size does not depend on the offset values, so it can be
+    // measured with placeholders before the real offsets are known
+    const moovSize = buildMovieBox(
+        track,
+        track.chunks.map(() => 0),
+        tags
+    ).length;
+    if (ftyp.length + moovSize + 8 + dataSize > 0xffffffff) {
+        throw new Error("Audio track is too large for an M4A file");
+    }
+
+    let offset = ftyp.length + moovSize + 8;
+    const chunkOffsets = track.chunks.map((chunk) => {
+        const current = offset;
+        offset += chunk.size;
+        return current;
+    });
+
+    const mdatHeader = Buffer.alloc(8);
+    mdatHeader.writeUInt32BE(8 + dataSize);
+    mdatHeader.write("mdat", 4, 4, "latin1");
+
+    return Buffer.concat([
+        ftyp,
+        buildMovieBox(track, chunkOffsets, tags),
+        mdatHeader,
+    ]);
+};
+
+/**
+ * Extracts the audio track of an MP4 video into a tagged `.m4a` file
+ *
+ * The audio samples are copied without re-encoding, so the result has the
+ * same quality as the video's soundtrack. Also works on `.m4a` input, which
+ * is how existing audio files get their tags rewritten.
+ *
+ * @param {Buffer} buffer - MP4 or M4A data
+ * @param {Object} [tags={}] - Tags to embed
+ * @param {string} [tags.title] - Track title
+ * @param {string} [tags.artist] - Track artist
+ * @param {string} [tags.album] - Album name
+ * @param {string} [tags.comment] - Free-form comment
+ * @param {string} [tags.date] - Release date or year
+ * @returns {Buffer} M4A file data
+ * @throws {Error} If the input is not a progressive MP4 with an audio track,
+ *   or the audio track does not fit a 4 GB file
+ *
+ * @example
+ * const m4a = extractAudioToM4a(fs.readFileSync("video.mp4"), {
+ *     title: "original sound",
+ *     artist: "someone",
+ * });
+ * fs.writeFileSync("audio.m4a", m4a);
+ */
+const extractAudioToM4a = (buffer, tags = {}) => {
+    const moov = findMovieBox(buffer);
+    const track = readAudioTrack(
+        buffer.subarray(moov.start, moov.end),
+        buffer.length
+    );
+    return Buffer.concat([
+        buildM4aHeader(track, tags),
+        ...track.chunks.map((chunk) =>
+            buffer.subarray(chunk.offset, chunk.offset + chunk.size)
+        ),
+    ]);
+};
+
+/**
+ * Extracts the audio track of an MP4 file on disk into a tagged `.m4a` file
+ *
+ * Same as {@link extractAudioToM4a}, but only the movie box and the audio
+ * samples are read from the source, in chunks; the video data is skipped.
+ *
+ * @param {string} sourcePath - MP4 or M4A file to read
+ * @param {string} targetPath - Path the M4A file is written to
+ * @param {Object} [tags={}] - Tags to embed, as for {@link extractAudioToM4a}
+ * @throws {Error} If the input is not a progressive MP4 with an audio track,
+ *   the audio track does not fit a 4 GB file, or a file cannot be read or
+ *   written
+ *
+ * @example
+ * extractAudioFileToM4a("video.mp4", "audio.m4a", { title: "original sound" });
+ */
+const extractAudioFileToM4a = (sourcePath, targetPath, tags = {}) => {
+    const source = fs.openSync(sourcePath, "r");
+    try {
+        const { data } = readMovieBox(source);
+        const track = readAudioTrack(data, fs.fstatSync(source).size);
+        const header = buildM4aHeader(track, tags);
+        const target = fs.openSync(targetPath, "w");
+        try {
+            fs.writeSync(target, header);
+            for (const chunk of track.chunks) {
+                const end = chunk.offset + chunk.size;
+                copyRange(source, target, chunk.offset, end);
+            }
+        } finally {
+            fs.closeSync(target);
+        }
+    } finally {
+        fs.closeSync(source);
+    }
+};
+
+/**
+ * Reads the iTunes-style tags of an MP4 or M4A file on disk
+ *
+ * Only the box headers and the movie box are read.
+ *
+ * @param {string} filePath - MP4 file
+ * @returns {Object} Tag values, as from {@link readMp4Tags}
+ * @throws {Error} If the file is fragmented or malformed, or cannot be read
+ *
+ * @example
+ * readMp4FileTags("video.mp4"); // => { title: "caption", ... }
+ */
+const readMp4FileTags = (filePath) => {
+    const fd = fs.openSync(filePath, "r");
+    try {
+        return readMp4Tags(readMovieBox(fd).data);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+module.exports = {
+    box,
+    fullBox,
+    readBoxes,
+    isMp4,
+    extractAudioToM4a,
+    extractAudioFileToM4a,
+    writeMp4Tags,
+    readMp4Tags,
+    writeMp4FileTags,
+    readMp4FileTags,
+};
@@ -2,20 +2,39 @@
  * Network Utilities Module
  *
  * Provides network-related utility functions and configurations for making HTTP requests.
- * This module handles cookie management, request instances, and file downloading
+ * This module handles cookie management, request instances, rate limiting,
+ * retries with exponential backoff, error classification, and file downloading
  * functionality used throughout the application.
  *
  * @module networkUtils
+ * @requires fs
+ * @requires stream
+ * @requires util
  * @requires axios
  * @requires axios-cookiejar-support
  * @requires tough-cookie
- * @requires constants
+ * @requires configLoader
+ * @requires concurrencyUtils
+ * @requires errors
  */
 
+const fs = require("fs");
+const { promisify } = require("util");
+const pipeline = promisify(require("stream").pipeline);
 const axios = require("axios").default;
 const { wrapper } = require("axios-cookiejar-support");
 const { CookieJar } = require("tough-cookie");
-const { USER_AGENT } = require("../config/constants");
+const { getConfig } = require("../config/configLoader");
+const {
+    createQueue,
+    createRateLimiter,
+} = require("./concurrencyUtils");
+const {
+    ERROR_CATEGORIES,
+    DownloadError,
+    RetryableError,
+    FatalError,
+} = require("./errors");
 
 /**
  * Cookie jar instance for managing cookies across requests
@@ -33,9 +52,267 @@ const instance = wrapper(
     axios.create({
         withCredentials: true,
         jar: cookieJar,
+        timeout: 30000,
     })
 );
 
+/**
+ * Retry settings used by the shared instance and {@link withRetry}
+ * @type {Object}
+ * @private
+ */
+const retrySettings = {
+    retries: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+};
+
+/**
+ * Socket error codes that indicate a transient connection problem
+ * @constant {Set<string>}
+ * @private
+ */
+const RETRYABLE_CODES = new Set([
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "EPIPE",
+    "EAI_AGAIN",
+    "ENETUNREACH",
+    "EHOSTUNREACH",
+    "ERR_NETWORK",
+    "ERR_STREAM_PREMATURE_CLOSE",
+]);
+
+/**
+ * Socket error codes that indicate a timeout
+ * @constant {Set<string>}
+ * @private
+ */
+const TIMEOUT_CODES = new Set(["ETIMEDOUT", "ECONNABORTED", "ESOCKETTIMEDOUT"]);
+
+/**
+ * Parses a Retry-After header into milliseconds
+ *
+ * @param {string|undefined} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ * @private
+ */
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Sorts an error into a typed retryable or fatal error
+ *
+ * - Timeouts, connection resets, 5xx and 429 (with Retry-After) are retryable
+ * - 404/410, 401/403 and other 4xx responses are fatal
+ * - Errors that are already typed are returned unchanged
+ *
+ * @param {Error} error - Error thrown by axios or any other operation
+ * @returns {DownloadError} The classified error
+ */
+const classifyError = (error) => {
+    if (error instanceof DownloadError) return error;
+
+    const url = error.config?.url ?? null;
+    const status = error.response?.status;
+    const details = { url, statusCode: status, cause: error };
+
+    if (status === 429) {
+        return new RetryableError(`Rate limited by server (HTTP 429)`, {
+            ...details,
+            category: ERROR_CATEGORIES.RATE_LIMITED,
+            retryAfter: parseRetryAfter(error.response.headers?.["retry-after"]),
+        });
+    }
+    if (status >= 500) {
+        return new RetryableError(`Server error (HTTP ${status})`, {
+            ...details,
+            category: ERROR_CATEGORIES.SERVER,
+        });
+    }
+    if (status === 404 || status === 410) {
+        return new FatalError(`Content not found (HTTP ${status})`, {
+            ...details,
+            category: ERROR_CATEGORIES.NOT_FOUND,
+        });
+    }
+    if (status === 401 || status === 403) {
+        return new FatalError(`Access denied (HTTP ${status})`, {
+            ...details,
+            category: ERROR_CATEGORIES.FORBIDDEN,
+        });
+    }
+    if (status) {
+        return new FatalError(`Request failed (HTTP ${status})`, {
+            ...details,
+            category: ERROR_CATEGORIES.HTTP,
+        });
+    }
+
+    if (TIMEOUT_CODES.has(error.code) || /timeout/i.test(error.message)) {
+        return new RetryableError(`Request timed out: ${error.message}`, {
+            ...details,
+            category: ERROR_CATEGORIES.TIMEOUT,
+        });
+    }
+    if (
+        RETRYABLE_CODES.has(error.code) ||
+        /socket hang up|network error|aborted/i.test(error.message)
+    ) {
+        return new RetryableError(`Connection failed: ${error.message}`, {
+            ...details,
+            category: ERROR_CATEGORIES.NETWORK,
+        });
+    }
+
+    return new FatalError(error.message, details);
+};
+
+/**
+ * Computes the wait before a retry using jittered exponential backoff
+ *
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number|null} [retryAfter] - Server-requested wait in milliseconds
+ * @returns {number} Milliseconds to wait
+ * @private
+ */
+const computeBackoff = (attempt, retryAfter) => {
+    if (retryAfter !== null && retryAfter !== undefined) {
+        return Math.min(retryAfter, retrySettings.maxDelay);
+    }
+
+    const exponential = retrySettings.baseDelay * 2 ** (attempt - 1);
+    const capped = Math.min(exponential, retrySettings.maxDelay);
+    return Math.round(capped / 2 + Math.random() * (capped / 2));
+};
+
+/**
+ * Waits for the given number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @private
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs an async operation, retrying retryable failures with backoff
+ *
+ * @async
+ * @param {Function} operation - Async function to run; receives the attempt number
+ * @param {Object} [options={}] - Retry options
+ * @param {number} [options.retries] - Maximum retries (defaults to the configured value)
+ * @param {string} [options.label="operation"] - Name used in retry log messages
+ * @returns {Promise<*>} The operation's result
+ * @throws {DownloadError} The classified error once retries are exhausted or
+ *   the error is fatal
+ *
+ * @example
+ * const data = await withRetry(() => fetchSomething(url), { label: url });
+ */
+const withRetry = async (operation, options = {}) => {
+    const retries = options.retries ?? retrySettings.retries;
+    const label = options.label || "operation";
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const classified = classifyError(error);
+            if (!classified.retryable || attempt >= retries) {
+                throw classified;
+            }
+
+            const delay = computeBackoff(attempt + 1, classified.retryAfter);
+            console.warn(
+                `Retrying ${label} in ${delay}ms (attempt ${attempt + 1}/${retries}): ${classified.message}`
+            );
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Retries failed requests of the shared instance and types their errors
+ *
+ * The per-request `retries` config option overrides the configured default.
+ * @private
+ */
+instance.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    const classified = classifyError(error);
+    const retries = config?.retries ?? retrySettings.retries;
+
+    if (!config || !classified.retryable || (config.retryCount || 0) >= retries) {
+        throw classified;
+    }
+
+    config.retryCount = (config.retryCount || 0) + 1;
+    const delay = computeBackoff(config.retryCount, classified.retryAfter);
+    console.warn(
+        `Retrying ${config.url} in ${delay}ms (attempt ${config.retryCount}/${retries}): ${classified.message}`
+    );
+    await sleep(delay);
+    return instance(config);
+});
+
+/**
+ * Adjusts the retry behaviour of the shared instance and {@link withRetry}
+ *
+ * Only the provided values are changed.
+ *
+ * @param {Object} settings - New settings
+ * @param {number} [settings.retries] - Maximum retries per request
+ * @param {number} [settings.baseDelay] - First backoff delay in milliseconds
+ * @param {number} [settings.maxDelay] - Upper bound for any backoff delay
+ */
+const configureRetry = (settings) => {
+    for (const key of Object.keys(retrySettings)) {
+        if (settings[key] !== undefined) retrySettings[key] = settings[key];
+    }
+};
+
+/**
+ * Rate limiter shared by all requests for tiktok.com pages (post HTML and
+ * short link resolution). Defaults to one request every two seconds.
+ * @constant {Object}
+ * @public
+ */
+const pageRateLimiter = createRateLimiter({ tokens: 1, interval: 2000 });
+
+/**
+ * Queue limiting how many media files are fetched from the CDN at once
+ * @constant {Object}
+ * @public
+ */
+const mediaQueue = createQueue({ concurrency: 4 });
+
+/**
+ * Adjusts the shared page rate limit and media concurrency
+ *
+ * Only the provided values are changed.
+ *
+ * @param {Object} limits - New limits
+ * @param {number} [limits.rate] - tiktok.com page requests allowed per interval
+ * @param {number} [limits.interval] - Rate limit interval in milliseconds
+ * @param {number} [limits.mediaConcurrency] - Parallel CDN media downloads
+ */
+const configureNetworkLimits = ({ rate, interval, mediaConcurrency }) => {
+    if (rate !== undefined || interval !== undefined) {
+        pageRateLimiter.configure({ tokens: rate, interval });
+    }
+    if (mediaConcurrency !== undefined) {
+        mediaQueue.setConcurrency(mediaConcurrency);
+    }
+};
+
 /**
  * Downloads a file from a specified URL with appropriate headers
  * 
@@ -48,7 +325,7 @@ const instance = wrapper(
  * @param {string} referer - The referrer URL for the request header
  * @param {string} [responseType='arraybuffer'] - Expected response type (e.g., 'arraybuffer', 'json')
  * @returns {Promise<Buffer|Object>} Downloaded file content as buffer or parsed object
- * @throws {Error} If download fails or response is invalid
+ * @throws {DownloadError} If download fails after retries or response is invalid
 
  */
 const downloadFile = async (url, referer, responseType = "arraybuffer") => {
@@ -56,7 +333,7 @@ const downloadFile = async (url, referer, responseType = "arraybuffer") => {
         const response = await instance(url, {
             headers: {
                 Referer: referer,
-                "User-Agent": USER_AGENT,
+                "User-Agent": getConfig().userAgent,
             },
             responseType: responseType,
         });
@@ -67,7 +344,123 @@ const downloadFile = async (url, referer, responseType = "arraybuffer") => {
     }
 };
 
+/**
+ * Parses the total size out of a Content-Range header
+ *
+ * @param {string|undefined} value - Header value such as "bytes 100-999/1000"
+ * @returns {number|null} Total size in bytes, or null if unknown
+ * @private
+ */
+const parseContentRangeTotal = (value) => {
+    const match = /\/(\d+)\s*$/.exec(value || "");
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Streams a file from a URL to disk with resume support
+ *
+ * The body is written to `<destPath>.part`. If that file already exists from an
+ * interrupted run, the transfer resumes with an HTTP Range request; servers
+ * that ignore the range restart it from the beginning. Once complete, the
+ * size is checked against Content-Length and the part file is renamed to
+ * `destPath`, so a truncated file never appears under its final name.
+ * Interrupted transfers are retried (and resumed) via {@link withRetry}.
+ *
+ * @async
+ * @param {string} url - The complete URL of the file to download
+ * @param {string} referer - The referrer URL for the request header
+ * @param {string} destPath - Final path of the downloaded file
+ * @returns {Promise<number>} Size of the completed file in bytes
+ * @throws {DownloadError} If the download fails after retries
+ *
+ * @example
+ * const bytes = await downloadToFile(videoUrl, postUrl, "./tiktok-videos/a.mp4");
+ */
+const downloadToFile = async (url, referer, destPath) => {
+    const partPath = `${destPath}.part`;
+
+    return withRetry(
+        async () => {
+            const existing = fs.existsSync(partPath)
+                ? fs.statSync(partPath).size
+                : 0;
+            const headers = {
+                Referer: referer,
+                "User-Agent": getConfig().userAgent,
+            };
+            if (existing > 0) headers.Range = `bytes=${existing}-`;
+
+            let response;
+            try {
+                response = await instance(url, {
+                    headers,
+                    responseType: "stream",
+                    retries: 0,
+                    validateStatus: (status) =>
+                        (status >= 200 && status < 300) || status === 416,
+                });
+            } catch (error) {
+                throw classifyError(error);
+            }
+
+            let expectedSize;
+            if (response.status === 416) {
+                // The part file already holds the whole body, or is corrupt
+                response.data.destroy();
+                const total = parseContentRangeTotal(
+                    response.headers["content-range"]
+                );
+                if (total !== existing) {
+                    fs.unlinkSync(partPath);
+                    throw new RetryableError("Partial file is invalid", {
+                        category: ERROR_CATEGORIES.NETWORK,
+                        url,
+                    });
+                }
+                expectedSize = total;
+            } else {
+                const resuming = response.status === 206;
+                const length = Number(response.headers["content-length"]);
+                expectedSize = resuming
+                    ? parseContentRangeTotal(response.headers["content-range"])
+                    : Number.isFinite(length) && length > 0
+                    ? length
+                    : null;
+
+                if (resuming) {
+                    console.log(`Resuming download at ${existing} bytes`);
+                }
+                await pipeline(
+                    response.data,
+                    fs.createWriteStream(partPath, {
+                        flags: resuming ? "a" : "w",
+                    })
+                );
+            }
+
+            const written = fs.statSync(partPath).size;
+            if (expectedSize !== null && written !== expectedSize) {
+                throw new RetryableError(
+                    `Download truncated: got ${written} of ${expectedSize} bytes`,
+                    { category: ERROR_CATEGORIES.NETWORK, url }
+                );
+            }
+
+            fs.renameSync(partPath, destPath);
+            return written;
+        },
+        { label: url }
+    );
+};
+
 module.exports = {
     instance,
+    classifyError,
+    withRetry,
+    configureRetry,
+    pageRateLimiter,
+    mediaQueue,
+    configureNetworkLimits,
     downloadFile,
+    downloadToFile,
 };
@@ -0,0 +1,50 @@
+/**
+ * Result Utilities Module
+ *
+ * Provides the structured result object returned by the processors and the
+ * public library API, so callers can inspect what happened to each URL
+ * without parsing console output.
+ *
+ * @module resultUtils
+ */
+
+/**
+ * Creates an empty processing result for a URL
+ *
+ * @param {string} url - The TikTok URL being processed
+ * @param {string|null} type - Media type ("video" or "photo"), if known
+ * @returns {Object} Result object containing:
+ *   - url: The processed URL
+ *   - source: List URL (profile, hashtag, ...) the post was found on, or null
+ *   - resolvedUrl: Canonical post URL, once resolved
+ *   - id: Post ID, once known
+ *   - type: "video", "photo" or null
+ *   - status: "pending", later "success", "failed" or "skipped"
+ *   - method: Name of the extractor used (e.g. "rehydration", "api"), once known
+ *   - files: Paths of the files written
+ *   - metadata: Extracted post metadata, once known
+ *   - error: The error that caused a failure, or null
+ *   - reason: Why a URL was skipped ("filtered", "archived", "duplicate",
+ *     or "seen" for links already processed from a watched inbox), or null
+ *   - bytes: Total size of the files written
+ *   - durationMs: Processing time in milliseconds
+ */
+const createResult = (url, type = null) => ({
+    url,
+    source: null,
+    resolvedUrl: null,
+    id: null,
+    type,
+    status: "pending",
+    method: null,
+    files: [],
+    metadata: null,
+    error: null,
+    reason: null,
+    bytes: 0,
+    durationMs: null,
+});
+
+module.exports = {
+    createResult,
+};
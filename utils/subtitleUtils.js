@@ -0,0 +1,237 @@
+/**
+ * Subtitle Utilities Module
+ *
+ * Picks caption tracks by language and converts TikTok's WebVTT captions to
+ * SubRip. TikTok names tracks with ISO 639-3 codes plus region or script
+ * subtags (`eng-US`, `cmn-Hans-CN`), while users usually ask for the short
+ * ISO 639-1 code (`en`, `zh`), so both spellings are accepted.
+ *
+ * @module subtitleUtils
+ */
+
+/**
+ * Subtitle file formats that can be written
+ * @constant {string[]}
+ */
+const SUBTITLE_FORMATS = ["vtt", "srt"];
+
+/**
+ * Matches one requested subtitle language: `all`, or a language code with
+ * optional subtags such as `en`, `eng-US` or `zh-Hans`
+ * @constant {RegExp}
+ */
+const LANGUAGE_REGEX = /^(?:all|[a-z]{2,3}(?:-[a-z0-9]{2,8})*)$/i;
+
+/**
+ * ISO 639-3 codes TikTok uses for the ISO 639-1 codes users type
+ * @constant {Object<string, string>}
+ * @private
+ */
+const LANGUAGE_ALIASES = {
+    ar: "ara",
+    bn: "ben",
+    cs: "ces",
+    de: "deu",
+    el: "ell",
+    en: "eng",
+    es: "spa",
+    fr: "fra",
+    he: "heb",
+    hi: "hin",
+    hu: "hun",
+    id: "ind",
+    it: "ita",
+    ja: "jpn",
+    ko: "kor",
+    ms: "msa",
+    nl: "nld",
+    pl: "pol",
+    pt: "por",
+    ro: "ron",
+    ru: "rus",
+    sv: "swe",
+    th: "tha",
+    tl: "fil",
+    tr: "tur",
+    uk: "ukr",
+    vi: "vie",
+    zh: "cmn",
+};
+
+/**
+ * Splits a language code into lower-case subtags, with the primary language
+ * converted to its ISO 639-3 form
+ *
+ * @param {string} code - Language code such as "en-US" or "eng-US"
+ * @returns {string[]} Subtags, e.g. ["eng", "us"]
+ * @private
+ */
+const splitLanguage = (code) => {
+    const [primary, ...subtags] = String(code).toLowerCase().split(/[-_]/);
+    return [LANGUAGE_ALIASES[primary] || primary, ...subtags];
+};
+
+/**
+ * Checks whether a track language satisfies a requested language
+ *
+ * The primary languages must be the same, and every subtag of the request
+ * must appear in the track language, so `en` matches `eng-US` and `eng-GB`
+ * while `en-US` only matches `eng-US`.
+ *
+ * @param {string} trackLanguage - Language of the track, e.g. "eng-US"
+ * @param {string} requested - Requested language, e.g. "en"
+ * @returns {boolean} True if the track is in the requested language
+ *
+ * @example
+ * matchesLanguage("cmn-Hans-CN", "zh-Hans"); // true
+ * matchesLanguage("eng-US", "en-GB"); // false
+ */
+const matchesLanguage = (trackLanguage, requested) => {
+    const [trackPrimary, ...trackSubtags] = splitLanguage(trackLanguage);
+    const [primary, ...subtags] = splitLanguage(requested);
+    return (
+        trackPrimary === primary &&
+        subtags.every((subtag) => trackSubtags.includes(subtag))
+    );
+};
+
+/**
+ * Ranks tracks of one language: captions made for the video before machine
+ * translations, then in the order TikTok lists them
+ *
+ * @param {Object} a - Track
+ * @param {Object} b - Track
+ * @returns {number} Sort order
+ * @private
+ */
+const compareTracks = (a, b) =>
+    Number(a.source === "MT") - Number(b.source === "MT");
+
+/**
+ * Picks the caption tracks to download for the requested languages
+ *
+ * Each language yields at most one track per distinct track language; when
+ * TikTok offers several tracks of the same language, creator and
+ * auto-generated captions win over machine translations.
+ *
+ * @param {Object[]} tracks - Available tracks with `language`, `url` and
+ *   `source` (see dataExtractor)
+ * @param {string[]} languages - Requested languages, or `["all"]`
+ * @returns {Object} Selection containing:
+ *   - tracks: Tracks to download, one per track language
+ *   - missing: Requested languages no track matched
+ *
+ * @example
+ * selectSubtitleTracks(tracks, ["en", "es"]);
+ * // => { tracks: [{ language: "eng-US", ... }], missing: ["es"] }
+ */
+const selectSubtitleTracks = (tracks, languages) => {
+    const ranked = [...tracks].sort(compareTracks);
+    const selected = new Map();
+    const missing = [];
+
+    for (const requested of languages) {
+        const matches = ranked.filter(
+            (track) =>
+                requested.toLowerCase() === "all" ||
+                matchesLanguage(track.language, requested)
+        );
+        if (matches.length === 0) missing.push(requested);
+        for (const track of matches) {
+            if (!selected.has(track.language)) {
+                selected.set(track.language, track);
+            }
+        }
+    }
+
+    return { tracks: [...selected.values()], missing };
+};
+
+/**
+ * Matches a WebVTT cue timing line, capturing the start and end timestamps
+ * @constant {RegExp}
+ * @private
+ */
+const CUE_TIMING_REGEX =
+    /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+/**
+ * Converts a WebVTT timestamp to a SubRip timestamp
+ *
+ * @param {string} timestamp - WebVTT timestamp, e.g. "01:02.500"
+ * @returns {string} SubRip timestamp, e.g. "00:01:02,500"
+ * @private
+ */
+const toSrtTimestamp = (timestamp) => {
+    const parts = timestamp.split(":");
+    if (parts.length === 2) parts.unshift("0");
+    const [hours, minutes, seconds] = parts;
+    return `${hours.padStart(2, "0")}:${minutes}:${seconds.replace(".", ",")}`;
+};
+
+/**
+ * Removes WebVTT markup that SubRip players do not understand, keeping
+ * the italic, bold and underline tags both formats share
+ *
+ * @param {string} text - Cue text
+ * @returns {string} Cue text for SubRip
+ * @private
+ */
+const toSrtText = (text) =>
+    text
+        .replace(/<(?!\/?[ibu]>)[^>]*>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+
+/**
+ * Converts WebVTT captions to SubRip
+ *
+ * Cues are renumbered from 1; cue identifiers, cue settings, and the
+ * header, `NOTE`, `STYLE` and `REGION` blocks are dropped.
+ *
+ * @param {string} vtt - WebVTT document
+ * @returns {string} SubRip document
+ * @throws {Error} If the document is not WebVTT
+ *
+ * @example
+ * vttToSrt("WEBVTT\n\n00:01.000 --> 00:02.500\nHello\n");
+ * // => "1\n00:00:01,000 --> 00:00:02,500\nHello\n"
+ */
+const vttToSrt = (vtt) => {
+    const text = String(vtt).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    if (!/^WEBVTT(?:[ \t\n]|$)/.test(text)) {
+        throw new Error("Subtitle track is not WebVTT");
+    }
+
+    const cues = [];
+    for (const block of text.split(/\n{2,}/)) {
+        const lines = block.split("\n").filter((line) => line.trim() !== "");
+        const timingIndex = lines.findIndex((line) =>
+            CUE_TIMING_REGEX.test(line)
+        );
+        // Only cue blocks have a timing line, in first or second position
+        if (timingIndex === -1 || timingIndex > 1) continue;
+
+        const [, start, end] = lines[timingIndex].match(CUE_TIMING_REGEX);
+        const cueText = lines.slice(timingIndex + 1).map(toSrtText);
+        cues.push(
+            [
+                cues.length + 1,
+                `${toSrtTimestamp(start)} --> ${toSrtTimestamp(end)}`,
+                ...cueText,
+            ].join("\n")
+        );
+    }
+
+    return cues.length > 0 ? `${cues.join("\n\n")}\n` : "";
+};
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    LANGUAGE_REGEX,
+    matchesLanguage,
+    selectSubtitleTracks,
+    vttToSrt,
+};
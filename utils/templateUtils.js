@@ -0,0 +1,195 @@
+/**
+ * Filename Template Module
+ *
+ * Renders output filename templates such as
+ * `{author}/{date:YYYY}/{author}_{id}.{ext}` into safe relative paths.
+ * Every path segment is sanitized for characters that are illegal in
+ * filenames and truncated to a portable length.
+ *
+ * @module templateUtils
+ * @requires dateUtils
+ */
+
+const { formatDate } = require("./dateUtils");
+
+/**
+ * Fields that can be used in templates
+ * @constant {string[]}
+ */
+const TEMPLATE_FIELDS = [
+    "author",
+    "nickname",
+    "id",
+    "date",
+    "desc",
+    "index",
+    "ext",
+    "type",
+];
+
+/**
+ * Matches `{field}` and `{field:argument}` placeholders
+ * @constant {RegExp}
+ * @private
+ */
+const PLACEHOLDER_REGEX = /\{(\w+)(?::([^}]*))?\}/g;
+
+/**
+ * Characters that are illegal in filenames on Windows, macOS or Linux,
+ * plus ASCII control characters
+ * @constant {RegExp}
+ * @private
+ */
+const ILLEGAL_CHARS_REGEX = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+/**
+ * Device names Windows refuses as filenames
+ * @constant {RegExp}
+ * @private
+ */
+const RESERVED_NAMES_REGEX = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Longest path segment produced, in characters
+ * @constant {number}
+ * @private
+ */
+const MAX_SEGMENT_LENGTH = 180;
+
+/**
+ * Makes a single path segment safe to use as a file or directory name
+ *
+ * Illegal characters become "_", whitespace is collapsed, leading and
+ * trailing dots and spaces are removed, reserved device names are prefixed,
+ * and overly long names are shortened while keeping their extension.
+ *
+ * @param {string} segment - Raw segment
+ * @returns {string} Sanitized segment ("_" if nothing usable remains)
+ */
+const sanitizeSegment = (segment) => {
+    let clean = String(segment)
+        .replace(ILLEGAL_CHARS_REGEX, "_")
+        .replace(/\s+/g, " ")
+        .replace(/^[\s.]+|[\s.]+$/g, "");
+
+    if (RESERVED_NAMES_REGEX.test(clean)) clean = `_${clean}`;
+
+    if (clean.length > MAX_SEGMENT_LENGTH) {
+        const dot = clean.lastIndexOf(".");
+        const extension =
+            dot > 0 && clean.length - dot <= 10 ? clean.slice(dot) : "";
+        clean =
+            clean.slice(0, MAX_SEGMENT_LENGTH - extension.length).trimEnd() +
+            extension;
+    }
+
+    return clean || "_";
+};
+
+/**
+ * Renders the value of a single placeholder
+ *
+ * @param {string} name - Field name
+ * @param {string|undefined} argument - Text after the colon, if any
+ * @param {Object} fields - Field values
+ * @returns {string} Rendered value
+ * @throws {Error} If the field is unknown
+ * @private
+ */
+const renderField = (name, argument, fields) => {
+    if (!TEMPLATE_FIELDS.includes(name)) {
+        throw new Error(
+            `Unknown template field {${name}} (available: ${TEMPLATE_FIELDS.join(
+                ", "
+            )})`
+        );
+    }
+
+    const value = fields[name];
+    if (value === undefined || value === null || value === "") {
+        return name === "desc" ? "" : "unknown";
+    }
+
+    if (name === "date") {
+        return formatDate(value, argument || "DDMMYYYY");
+    }
+
+    const text = String(value).replace(/\s+/g, " ").trim();
+    const limit = Number(argument);
+    if (argument && Number.isInteger(limit) && limit > 0) {
+        return Array.from(text).slice(0, limit).join("").trim();
+    }
+    return text;
+};
+
+/**
+ * Checks a template for unknown fields without rendering it
+ *
+ * @param {string} template - Template to check
+ * @throws {Error} If the template is empty or uses an unknown field
+ */
+const validateTemplate = (template) => {
+    if (!template || typeof template !== "string") {
+        throw new Error("Filename template must be a non-empty string");
+    }
+    for (const [, name] of template.matchAll(PLACEHOLDER_REGEX)) {
+        renderField(name, undefined, {});
+    }
+};
+
+/**
+ * Renders a filename template into a relative path
+ *
+ * Templates may contain "/" to create directories. A template ending in "/"
+ * only names the directory; `defaultName` is then appended. Values are
+ * sanitized per segment, so a "/" inside a caption never creates a directory.
+ *
+ * @param {string} template - Template with `{field}` placeholders
+ * @param {Object} fields - Values for author, nickname, id, date (Unix
+ *   seconds), desc, index, ext and type
+ * @param {string} [defaultName] - Template appended to directory-only templates
+ * @returns {string} Relative path using "/" separators
+ * @throws {Error} If the template uses an unknown field
+ *
+ * @example
+ * renderTemplate("{author}/{date:YYYY}/{desc:20}_{id}.{ext}", {
+ *     author: "user", date: 1700000000, desc: "Hello: world?", id: "123", ext: "mp4",
+ * });
+ * // => "user/2023/Hello_ world__123.mp4"
+ */
+const renderTemplate = (template, fields, defaultName) => {
+    const fullTemplate =
+        template.endsWith("/") && defaultName ? template + defaultName : template;
+
+    return fullTemplate
+        .split("/")
+        .filter(Boolean)
+        .map((segment) =>
+            sanitizeSegment(
+                segment.replace(PLACEHOLDER_REGEX, (match, name, argument) =>
+                    renderField(name, argument, fields).replace(/[/\\]/g, "_")
+                )
+            )
+        )
+        .join("/");
+};
+
+/**
+ * Removes the `{index}` placeholder, and the separator before it, from a template
+ *
+ * Used to derive a name for files that belong to a whole photo set (such as
+ * metadata sidecars) from the per-image template.
+ *
+ * @param {string} template - Per-image template
+ * @returns {string} Template without the index
+ */
+const stripIndexField = (template) =>
+    template.replace(/[\s_.-]*\{index(?::[^}]*)?\}/g, "");
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    renderTemplate,
+    sanitizeSegment,
+    stripIndexField,
+    validateTemplate,
+};
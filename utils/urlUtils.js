@@ -1,31 +1,256 @@
 /**
  * URL Validation Module
  *
- * Provides utilities for validating TikTok URLs and ensuring they match
- * the expected format before processing. This module helps prevent
+ * Provides utilities for validating and parsing TikTok URLs and ensuring they
+ * match the expected format before processing. This module helps prevent
  * invalid URLs from being processed by the downloader.
  *
  * @module urlUtils
- * @requires constants
+ * @requires errors
  */
 
-const { TIKTOK_URL_REGEX } = require("../config/constants");
+const { FatalError, ERROR_CATEGORIES } = require("./errors");
+
+/**
+ * Hosts that serve TikTok pages, keyed by hostname
+ * @constant {Object<string, string>}
+ * @private
+ */
+const HOST_TYPES = {
+    "tiktok.com": "web",
+    "www.tiktok.com": "web",
+    "m.tiktok.com": "short",
+    "vm.tiktok.com": "short",
+    "vt.tiktok.com": "short",
+};
+
+/**
+ * Numeric post, music and embed identifiers
+ * @constant {RegExp}
+ * @private
+ */
+const NUMERIC_ID_REGEX = /^\d+$/;
+
+/**
+ * Builds the parse result object
+ *
+ * @param {string} kind - URL kind
+ * @param {string|null} username - Creator username without the "@"
+ * @param {string|null} id - Post ID, music ID, collection ID, tag name or short code
+ * @param {string} canonicalUrl - Normalized URL without query string
+ * @returns {Object} Parsed URL identity
+ * @private
+ */
+const identity = (kind, username, id, canonicalUrl) => ({
+    kind,
+    username,
+    id,
+    canonicalUrl,
+});
+
+/**
+ * Creates the error thrown for URLs that cannot be processed
+ *
+ * @param {string} reason - Why the URL was rejected
+ * @returns {FatalError} Error with the "invalid_url" category
+ * @private
+ */
+const invalidUrl = (reason) =>
+    new FatalError(reason, { category: ERROR_CATEGORIES.INVALID_URL });
+
+/**
+ * Decodes a percent-encoded path segment
+ *
+ * @param {string} segment - Path segment, e.g. a username or tag name
+ * @param {string} url - URL the segment comes from, for the error message
+ * @returns {string} Decoded segment
+ * @throws {FatalError} If the segment has an invalid escape sequence
+ * @private
+ */
+const decodeSegment = (segment, url) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw invalidUrl(`Malformed URL: ${url}`);
+    }
+};
+
+/**
+ * Parses a TikTok URL into a structured identity
+ *
+ * Recognized forms:
+ * - `/@user/video/<id>` and `/@user/photo/<id>` (kind "video" / "photo")
+ * - `/embed/v2/<id>` and `/embed/<id>` (kind "video", username unknown)
+ * - `/@user` (kind "user")
+ * - `/@user/collection/<name>-<id>` (kind "collection")
+ * - `/music/<slug>-<id>` (kind "music")
+ * - `/tag/<name>` (kind "tag")
+ * - `/t/<code>` and vm./vt./m.tiktok.com links (kind "short"); these carry no
+ *   post information and must be resolved with `resolverService.resolveUrl`
+ *
+ * The canonical URL never contains a query string or fragment, so tracking
+ * parameters such as `is_from_webapp`, `sender_device` or `web_id` are dropped.
+ *
+ * @param {string} url - The URL string to parse
+ * @returns {Object} Parsed identity containing:
+ *   - kind: "video", "photo", "user", "collection", "music", "tag" or "short"
+ *   - username: Creator username without "@", or null if not in the URL
+ *   - id: Post ID, music ID, collection ID, tag name or short code, or null
+ *     for profiles
+ *   - canonicalUrl: Normalized https://www.tiktok.com URL
+ * @throws {FatalError} If the URL is malformed, not a TikTok URL, or not a
+ *   supported page; the message states the reason
+ *
+ * @example
+ * parseTikTokUrl("https://www.tiktok.com/@user/video/123?is_from_webapp=1");
+ * // => { kind: "video", username: "user", id: "123",
+ * //      canonicalUrl: "https://www.tiktok.com/@user/video/123" }
+ */
+const parseTikTokUrl = (url) => {
+    if (!url || typeof url !== "string") {
+        throw invalidUrl("URL must be a non-empty string");
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch (error) {
+        throw invalidUrl(`Malformed URL: ${url}`);
+    }
+
+    const hostType = HOST_TYPES[parsed.hostname.toLowerCase()];
+    if (!/^https?:$/.test(parsed.protocol) || !hostType) {
+        throw invalidUrl(`Not a TikTok URL: ${url}`);
+    }
+
+    const segments = parsed.pathname.split("/").filter(Boolean);
+
+    if (hostType === "short") {
+        if (segments.length === 0) {
+            throw invalidUrl(`Share link is missing its code: ${url}`);
+        }
+        return identity(
+            "short",
+            null,
+            segments[segments.length - 1],
+            `https://${parsed.hostname.toLowerCase()}/${segments.join("/")}/`
+        );
+    }
+
+    const [first, second, third] = segments;
+
+    if (first === "t" && second) {
+        return identity(
+            "short",
+            null,
+            second,
+            `https://www.tiktok.com/t/${second}/`
+        );
+    }
+
+    if (first === "embed") {
+        const id = second === "v2" ? third : second;
+        if (!NUMERIC_ID_REGEX.test(id || "")) {
+            throw invalidUrl(`Embed URL is missing a numeric post ID: ${url}`);
+        }
+        return identity(
+            "video",
+            null,
+            id,
+            `https://www.tiktok.com/@/video/${id}`
+        );
+    }
+
+    if (first && first.startsWith("@")) {
+        // "@" alone is the placeholder used for embeds with an unknown author
+        const username = decodeSegment(first.slice(1), url) || null;
+
+        if (!second && username) {
+            return identity(
+                "user",
+                username,
+                null,
+                `https://www.tiktok.com/@${username}`
+            );
+        }
+
+        if (second === "video" || second === "photo") {
+            if (!NUMERIC_ID_REGEX.test(third || "")) {
+                throw invalidUrl(`Post URL is missing a numeric ID: ${url}`);
+            }
+            return identity(
+                second,
+                username,
+                third,
+                `https://www.tiktok.com/@${username || ""}/${second}/${third}`
+            );
+        }
+
+        if (!username) {
+            throw invalidUrl(`URL is missing a username: ${url}`);
+        }
+
+        if (second === "collection" && third) {
+            const match = third.match(/-(\d+)$/);
+            if (!match) {
+                throw invalidUrl(
+                    `Collection URL is missing a numeric ID: ${url}`
+                );
+            }
+            return identity(
+                "collection",
+                username,
+                match[1],
+                `https://www.tiktok.com/@${username}/collection/${third}`
+            );
+        }
+        throw invalidUrl(`Unsupported profile page "/${second}": ${url}`);
+    }
+
+    if (first === "music" && second) {
+        const match = second.match(/^(.*)-(\d+)$/);
+        if (!match) {
+            throw invalidUrl(`Music URL is missing a numeric ID: ${url}`);
+        }
+        return identity(
+            "music",
+            null,
+            match[2],
+            `https://www.tiktok.com/music/${second}`
+        );
+    }
+
+    if (first === "tag" && second) {
+        const tag = decodeSegment(second, url);
+        return identity("tag", null, tag, `https://www.tiktok.com/tag/${second}`);
+    }
+
+    throw invalidUrl(
+        `Not a TikTok post, profile, collection, music or tag URL: ${url}`
+    );
+};
 
 /**
  * Validates whether a given string is a properly formatted TikTok URL
  *
- * This function checks if the provided URL matches the expected TikTok URL pattern,
- * supporting both www.tiktok.com and vm.tiktok.com domains.
+ * This function checks if the provided URL can be parsed by
+ * {@link parseTikTokUrl}, supporting www.tiktok.com as well as the vm., vt.
+ * and m.tiktok.com share domains.
  *
  * @param {string} url - The URL string to validate
  * @returns {boolean} True if the URL is a valid TikTok URL, false otherwise
  *
  */
 const validateURL = (url) => {
-    if (!url || typeof url !== "string") return false;
-    return TIKTOK_URL_REGEX.test(url);
+    try {
+        parseTikTokUrl(url);
+        return true;
+    } catch (error) {
+        return false;
+    }
 };
 
 module.exports = {
+    parseTikTokUrl,
     validateURL,
 };